@@ -0,0 +1,146 @@
+/**
+ * $apply parser (OData Data Aggregation extension)
+ * Splits $apply into its transformations; parser.buildQuery validates the
+ * fields and turns the result into a grouped SQL query
+ *
+ * Supported: filter(expr), groupby((A,B)[,aggregate(...)]) and
+ * aggregate(Field with method as Alias, $count as Alias)
+ */
+
+const { invalidQueryOption } = require('./errors')
+
+const AGGREGATE_METHODS = ['sum', 'average', 'min', 'max', 'countdistinct']
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+const AGGREGATE_PATTERN = /^(\$count|[A-Za-z_][A-Za-z0-9_]*)(?:\s+with\s+(\S+))?\s+as\s+(\S+)$/
+
+// Split text on a separator, ignoring separators inside parentheses or quotes
+function splitTopLevel(text, separator) {
+  const parts = []
+  let depth = 0
+  let inString = false
+  let current = ''
+
+  for (const char of text) {
+    if (char === "'") {
+      inString = !inString
+    } else if (!inString && char === '(') {
+      depth++
+    } else if (!inString && char === ')') {
+      depth--
+      if (depth < 0) {
+        throw new Error('Unbalanced parentheses')
+      }
+    } else if (!inString && depth === 0 && char === separator) {
+      parts.push(current.trim())
+      current = ''
+      continue
+    }
+    current += char
+  }
+
+  if (depth !== 0 || inString) {
+    throw new Error(inString ? 'Unterminated string literal' : 'Unbalanced parentheses')
+  }
+  parts.push(current.trim())
+  return parts
+}
+
+// name(arguments) -> { name, body }
+function parseCall(text) {
+  const match = text.match(/^([A-Za-z]+)\s*\(([\s\S]*)\)$/)
+  if (!match) {
+    throw new Error(`Invalid transformation: ${text}`)
+  }
+  return { name: match[1], body: match[2].trim() }
+}
+
+function parseAggregate(body) {
+  return splitTopLevel(body, ',').map(item => {
+    const match = item.match(AGGREGATE_PATTERN)
+    if (!match) {
+      throw new Error(`Invalid aggregate expression: ${item}`)
+    }
+    const [, field, method, alias] = match
+
+    if (!IDENTIFIER_PATTERN.test(alias)) {
+      throw new Error(`Invalid alias: ${alias}`)
+    }
+    if (field === '$count') {
+      if (method) {
+        throw new Error('$count does not take an aggregation method')
+      }
+      return { field, method: 'count', alias }
+    }
+    if (!method) {
+      throw new Error(`Missing aggregation method for ${field}`)
+    }
+    if (!AGGREGATE_METHODS.includes(method)) {
+      throw new Error(`Unsupported aggregation method: ${method}`)
+    }
+    return { field, method, alias }
+  })
+}
+
+function parseGroupBy(body) {
+  const [list, ...rest] = splitTopLevel(body, ',')
+  const match = list.match(/^\(([\s\S]*)\)$/)
+  if (!match || rest.length > 1) {
+    throw new Error(`Invalid groupby: ${body}`)
+  }
+
+  const groupBy = splitTopLevel(match[1], ',')
+  for (const field of groupBy) {
+    if (!IDENTIFIER_PATTERN.test(field)) {
+      throw new Error(`Invalid groupby property: ${field}`)
+    }
+  }
+
+  let aggregates = []
+  if (rest.length === 1) {
+    const call = parseCall(rest[0])
+    if (call.name !== 'aggregate') {
+      throw new Error(`Unsupported groupby transformation: ${call.name}`)
+    }
+    aggregates = parseAggregate(call.body)
+  }
+  return { groupBy, aggregates }
+}
+
+// Parse $apply into { filters, groupBy, aggregates }. filter() steps must come
+// before the aggregation; groupBy is null when only aggregate() is used.
+function parseApply(apply) {
+  const plan = { filters: [], groupBy: null, aggregates: [] }
+  let aggregated = false
+
+  try {
+    for (const step of splitTopLevel(apply, '/')) {
+      const { name, body } = parseCall(step)
+      if (aggregated) {
+        throw new Error(`${name} after aggregation is not supported`)
+      }
+
+      if (name === 'filter') {
+        plan.filters.push(body)
+      } else if (name === 'groupby') {
+        Object.assign(plan, parseGroupBy(body))
+        aggregated = true
+      } else if (name === 'aggregate') {
+        plan.aggregates = parseAggregate(body)
+        aggregated = true
+      } else {
+        throw new Error(`Unsupported transformation: ${name}`)
+      }
+    }
+  } catch (err) {
+    throw invalidQueryOption('$apply', err)
+  }
+
+  return plan
+}
+
+module.exports = {
+  AGGREGATE_METHODS,
+  parseApply,
+  splitTopLevel
+}
@@ -0,0 +1,309 @@
+/**
+ * $batch
+ * Runs several requests in one round trip, in the multipart/mixed format of
+ * OData 4.0 or the JSON batch format of OData 4.01.
+ *
+ * Each request is dispatched through the app with its own headers plus the
+ * caller's Authorization, so it is authenticated, parsed and limited exactly
+ * like a standalone request. Every request is validated before any is
+ * dispatched; they then run concurrently, except that in JSON batches a request
+ * listing dependsOn waits for those requests (or atomicity groups) and fails
+ * with 424 if one failed.
+ * Responses carry the id (JSON) or Content-ID (multipart) of their request.
+ *
+ * Change sets are not supported: every resource is read-only.
+ */
+
+const http = require('http')
+const crypto = require('crypto')
+const { ODataError } = require('./errors')
+
+const MAX_BATCH_REQUESTS = parseInt(process.env.ODATA_MAX_BATCH_REQUESTS) || 50
+
+// Headers of the batch request its requests inherit: the caller's credentials,
+// and the host the service URLs in their responses are built from
+const FORWARDED_HEADERS = ['authorization', 'host']
+
+// Response headers not worth repeating inside a batch response
+const OMITTED_RESPONSE_HEADERS = ['content-length', 'x-powered-by']
+
+function batchError(message) {
+  return new ODataError(400, 'BadRequest', `Invalid $batch: ${message}`)
+}
+
+// Path and query of a request URL, which may be absolute, absolute-path or
+// relative to the service root
+function resolveUrl(req, url) {
+  const serviceRoot = `${req.protocol}://${req.get('host')}${req.baseUrl}/`
+  let resolved
+  try {
+    resolved = new URL(url, serviceRoot)
+  } catch {
+    throw batchError(`malformed request URL ${url}`)
+  }
+  if (resolved.origin !== new URL(serviceRoot).origin || !`${resolved.pathname}/`.startsWith(`${req.baseUrl}/`)) {
+    throw batchError(`request URL ${url} is outside the service`)
+  }
+  if (resolved.pathname === `${req.baseUrl}/$batch`) {
+    throw batchError('nested $batch requests are not supported')
+  }
+  return resolved.pathname + resolved.search
+}
+
+// Run one request through the app; resolves to { status, headers, body (Buffer) }
+function dispatch(req, { method, url, headers, body }) {
+  const subHeaders = Object.fromEntries(
+    Object.entries(req.headers).filter(([name]) => FORWARDED_HEADERS.includes(name))
+  )
+  for (const [name, value] of Object.entries(headers || {})) {
+    subHeaders[name.toLowerCase()] = String(value)
+  }
+
+  // The batch connection's address and TLS state, but never its stream
+  const socket = { encrypted: req.socket.encrypted, remoteAddress: req.socket.remoteAddress, readable: false }
+  const subReq = new http.IncomingMessage(socket)
+  subReq.method = method.toUpperCase()
+  subReq.url = url
+  subReq.httpVersion = '1.1'
+  subReq.httpVersionMajor = 1
+  subReq.httpVersionMinor = 1
+  subReq.headers = subHeaders
+  if (body) {
+    subReq.headers['content-length'] = String(Buffer.byteLength(body))
+    subReq.push(body)
+  }
+  subReq.push(null)
+
+  return new Promise(resolve => {
+    const subRes = new http.ServerResponse(subReq)
+    const chunks = []
+    subRes.write = (chunk, encoding) => {
+      chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined))
+      return true
+    }
+    subRes.end = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') subRes.write(chunk, encoding)
+      resolve({ status: subRes.statusCode, headers: subRes.getHeaders(), body: Buffer.concat(chunks) })
+      return subRes
+    }
+
+    // Only reached when no route handled the request
+    req.app.handle(subReq, subRes, err => {
+      subRes.status(err ? 500 : 404).json({
+        error: {
+          code: err ? 'ServerError' : 'NotFound',
+          message: err ? err.message : `Resource not found: ${url}`
+        }
+      })
+    })
+  })
+}
+
+function responseHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !OMITTED_RESPONSE_HEADERS.includes(name))
+  )
+}
+
+function checkSize(count) {
+  if (count === 0) {
+    throw batchError('no requests')
+  }
+  if (count > MAX_BATCH_REQUESTS) {
+    throw batchError(`more than ${MAX_BATCH_REQUESTS} requests`)
+  }
+}
+
+// JSON batch: { requests: [{ id, method, url, headers, body, dependsOn, atomicityGroup }] }
+async function runJsonBatch(req, batch) {
+  const requests = batch?.requests
+  if (!Array.isArray(requests)) {
+    throw batchError('expected a requests array')
+  }
+  checkSize(requests.length)
+
+  // Validate every request before dispatching any
+  const ids = new Set()
+  const earlier = new Set() // ids and atomicity groups dependsOn may name
+  const plans = requests.map(request => {
+    const { id, method = 'GET', url, headers, body, dependsOn = [], atomicityGroup } = request || {}
+    if (typeof id !== 'string' || !id) {
+      throw batchError('every request needs an id')
+    }
+    if (ids.has(id)) {
+      throw batchError(`duplicate request id ${id}`)
+    }
+    if (typeof method !== 'string') {
+      throw batchError(`request ${id} has a method that is not a string`)
+    }
+    if (typeof url !== 'string') {
+      throw batchError(`request ${id} has no url`)
+    }
+    if (!Array.isArray(dependsOn)) {
+      throw batchError(`request ${id} has a dependsOn that is not an array`)
+    }
+    for (const dependency of dependsOn) {
+      if (!earlier.has(dependency)) {
+        throw batchError(`request ${id} depends on ${dependency}, which is not an earlier request`)
+      }
+    }
+    const path = resolveUrl(req, url)
+    ids.add(id)
+    earlier.add(id)
+    if (atomicityGroup) earlier.add(atomicityGroup)
+
+    const content = body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    const contentHeaders = typeof body === 'object' && body !== null ? { 'content-type': 'application/json', ...headers } : headers
+    return { id, method, path, headers: contentHeaders, body: content, dependsOn, atomicityGroup }
+  })
+
+  // id or atomicity group -> promises of the responses it stands for
+  const pending = new Map()
+  const responses = plans.map(({ id, method, path, headers, body, dependsOn, atomicityGroup }) => {
+    const dependencies = dependsOn.flatMap(dependency => pending.get(dependency))
+
+    const response = Promise.all(dependencies).then(results => {
+      const failed = results.find(result => result.status >= 400)
+      if (failed) {
+        return {
+          id,
+          status: 424,
+          headers: { 'content-type': 'application/json; charset=utf-8' },
+          body: { error: { code: 'FailedDependency', message: `Request ${failed.id} failed` } }
+        }
+      }
+      return dispatch(req, { method, url: path, headers, body })
+        .then(result => ({ id, ...formatJsonResponse(result) }))
+    })
+
+    pending.set(id, [response])
+    if (atomicityGroup) {
+      pending.set(atomicityGroup, [...(pending.get(atomicityGroup) || []), response])
+    }
+    return response
+  })
+
+  return Promise.all(responses)
+}
+
+function formatJsonResponse({ status, headers, body }) {
+  const text = body.toString('utf8')
+  const isJson = /json/.test(headers['content-type'] || '')
+  return { status, headers: responseHeaders(headers), body: isJson && text ? JSON.parse(text) : text || undefined }
+}
+
+// Split a multipart body into parts of { headers, content }
+function parseMultipart(body, boundary) {
+  const sections = body.split(`--${boundary}`)
+  const close = sections.findIndex((section, i) => i > 0 && section.startsWith('--'))
+  if (sections.length < 2 || close === -1) {
+    throw batchError(`missing closing boundary --${boundary}--`)
+  }
+
+  return sections.slice(1, close).map(section => {
+    const text = section.replace(/^\r?\n/, '').replace(/\r?\n$/, '')
+    const separator = text.match(/\r?\n\r?\n/)
+    const headerText = separator ? text.slice(0, separator.index) : text
+    const content = separator ? text.slice(separator.index + separator[0].length) : ''
+    return { headers: parseHeaders(headerText.split(/\r?\n/)), content }
+  })
+}
+
+function parseHeaders(lines) {
+  const headers = {}
+  for (const line of lines) {
+    if (!line) continue
+    const separator = line.indexOf(':')
+    if (separator <= 0) {
+      throw batchError(`malformed header ${line}`)
+    }
+    headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+  }
+  return headers
+}
+
+// application/http part content: request line, headers, blank line, body
+function parseHttpRequest(content) {
+  const [head, ...rest] = content.split(/\r?\n\r?\n/)
+  const [requestLine, ...headerLines] = head.split(/\r?\n/)
+  const match = requestLine.match(/^([A-Z]+)\s+(\S+)(?:\s+HTTP\/1\.[01])?$/)
+  if (!match) {
+    throw batchError(`malformed request line ${requestLine}`)
+  }
+  const body = rest.join('\n\n').replace(/\r?\n$/, '')
+  return { method: match[1], url: match[2], headers: parseHeaders(headerLines), body: body || undefined }
+}
+
+function boundaryOf(contentType) {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i)
+  if (!match) {
+    throw batchError('multipart/mixed requires a boundary')
+  }
+  return match[1] || match[2]
+}
+
+async function runMultipartBatch(req, body) {
+  const parts = parseMultipart(body, boundaryOf(req.get('content-type')))
+  checkSize(parts.length)
+
+  const requests = parts.map(({ headers, content }) => {
+    if (/^multipart\/mixed/i.test(headers['content-type'] || '')) {
+      throw batchError('change sets are not supported, the service is read-only')
+    }
+    if (!/^application\/http/i.test(headers['content-type'] || '')) {
+      throw batchError('parts must have Content-Type application/http')
+    }
+    const request = parseHttpRequest(content)
+    return { contentId: headers['content-id'], ...request, url: resolveUrl(req, request.url) }
+  })
+
+  return Promise.all(requests.map(request =>
+    dispatch(req, request).then(result => ({ contentId: request.contentId, ...result }))
+  ))
+}
+
+function formatMultipart(responses, boundary) {
+  const parts = responses.map(({ contentId, status, headers, body }) => {
+    const partHeaders = ['Content-Type: application/http', 'Content-Transfer-Encoding: binary']
+    if (contentId) partHeaders.push(`Content-ID: ${contentId}`)
+    const head = Object.entries(responseHeaders(headers)).map(([name, value]) => `${name}: ${value}`)
+    return [
+      `--${boundary}`,
+      ...partHeaders,
+      '',
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`.trimEnd(),
+      ...head,
+      '',
+      body.toString('utf8')
+    ].join('\r\n')
+  })
+  return `${parts.join('\r\n')}\r\n--${boundary}--\r\n`
+}
+
+async function handler(req, res, next) {
+  try {
+    if (req.is('application/json')) {
+      const responses = await runJsonBatch(req, req.body)
+      return res.json({ responses })
+    }
+
+    if (req.is('multipart/mixed')) {
+      if (typeof req.body !== 'string') {
+        throw batchError('empty multipart body')
+      }
+      const responses = await runMultipartBatch(req, req.body)
+      const boundary = `batchresponse_${crypto.randomUUID()}`
+      return res.type(`multipart/mixed; boundary=${boundary}`).send(formatMultipart(responses, boundary))
+    }
+
+    throw new ODataError(415, 'UnsupportedMediaType', '$batch requests must be multipart/mixed or application/json')
+  } catch (err) {
+    next(err)
+  }
+}
+
+module.exports = {
+  handler,
+  parseMultipart,
+  MAX_BATCH_REQUESTS
+}
@@ -0,0 +1,230 @@
+/**
+ * Entity set handlers
+ * The collection, /$count, single entity and individual property routes of a
+ * resource whose queries need nothing beyond buildQuery (Member, Office, Media,
+ * OpenHouse), built from its description:
+ *   { TABLE, ENTITY_SET, KEY_FIELD, fieldMap, fieldTypes, reverseFieldMap, ETAG_FIELDS,
+ *     BASE_WHERE, LARGE_TEXT_FIELDS, keyDecoders, relationships, transformEntity, entityKey }
+ * Only TABLE, ENTITY_SET, KEY_FIELD, fieldMap, fieldTypes, reverseFieldMap and
+ * ETAG_FIELDS are required. transformEntity(row, computedProperties) turns a
+ * row into an entity (default transformRow) and entityKey(req) reads the route
+ * key (default keyParam).
+ *
+ * sendCollection, sendCount and sendEntity also answer navigation routes
+ * (see navigation.js), with the navigation's baseWhere and path.
+ */
+
+const db = require('../db')
+const { buildQuery, buildCountQuery, transformRow, omitFields } = require('./parser')
+const { limitsForClient } = require('./limits')
+const { annotateEntities } = require('./format')
+const { tagEntities, collectionETag, matchesETag } = require('./etag')
+const { sendPropertyValue, propertyNotFound } = require('./values')
+
+// Key from an Entity('key') or Entity(key) route; numeric keys as numbers
+function keyParam(req) {
+  let key = req.params.key
+  if (key.startsWith("'") && key.endsWith("'")) {
+    key = key.slice(1, -1)
+  }
+  return parseInt(key) || key
+}
+
+function entitySetHandlers(resource) {
+  const {
+    TABLE, ENTITY_SET, KEY_FIELD, fieldMap, fieldTypes, reverseFieldMap, ETAG_FIELDS,
+    BASE_WHERE, LARGE_TEXT_FIELDS, keyDecoders, relationships = {}, entityKey = keyParam
+  } = resource
+  const transformEntity = resource.transformEntity || ((row, computedProperties) => transformRow(row, reverseFieldMap, computedProperties))
+  const annotated = { ENTITY_SET, KEY_FIELD, expansions: relationships }
+
+  function notFound(res, key) {
+    return res.status(404).json({
+      error: {
+        code: 'NotFound',
+        message: `${ENTITY_SET} with key '${key}' not found`
+      }
+    })
+  }
+
+  // Entities matching the query options within baseWhere, as the collection at
+  // path (the entity set, or a navigation path such as Office(7)/Members)
+  async function sendCollection(req, res, { baseWhere = BASE_WHERE, path = ENTITY_SET } = {}) {
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`
+
+    const { dataQuery, countQuery, params, nextLinkBuilder, aggregateProperties, computedProperties, hiddenFields } = buildQuery({
+      table: TABLE,
+      fieldMap,
+      fieldTypes,
+      keyDecoders,
+      query: req.query,
+      extraFields: ETAG_FIELDS,
+      limits: limitsForClient(req.clientId),
+      largeTextFields: LARGE_TEXT_FIELDS,
+      keyField: KEY_FIELD,
+      baseUrl: `${baseUrl}/${path}`,
+      baseWhere
+    })
+
+    // Execute queries
+    const [dataResult, countResult] = await Promise.all([
+      db.query(dataQuery, params),
+      countQuery ? db.query(countQuery, params) : Promise.resolve(null)
+    ])
+
+    // Transform rows to RESO format ($apply rows already use RESO names)
+    const value = aggregateProperties
+      ? dataResult.recordset
+      : omitFields(tagEntities(dataResult.recordset.map(row => transformEntity(row, computedProperties)), ETAG_FIELDS), hiddenFields)
+
+    // Build response
+    const selected = aggregateProperties ? `(${aggregateProperties.join(',')})` : ''
+    const response = {
+      '@odata.context': `${baseUrl}/$metadata#${ENTITY_SET}${selected}`
+    }
+
+    if (countResult) {
+      response['@odata.count'] = countResult.recordset[0].total
+    }
+
+    // Add nextLink whenever the page is full
+    const nextLink = nextLinkBuilder(dataResult.recordset)
+    if (nextLink) {
+      response['@odata.nextLink'] = nextLink
+    }
+
+    response.value = aggregateProperties ? value : annotateEntities(req, value, annotated)
+
+    if (!aggregateProperties) {
+      res.set('ETag', collectionETag(value, KEY_FIELD))
+    }
+    res.json(response)
+  }
+
+  async function list(req, res, next) {
+    try {
+      await sendCollection(req, res)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  // The number of entities matching the query options within baseWhere as plain text
+  async function sendCount(req, res, { baseWhere = BASE_WHERE } = {}) {
+    const { countQuery, params } = buildCountQuery({
+      table: TABLE,
+      fieldMap,
+      fieldTypes,
+      keyDecoders,
+      query: req.query,
+      limits: limitsForClient(req.clientId),
+      largeTextFields: LARGE_TEXT_FIELDS,
+      keyField: KEY_FIELD,
+      baseWhere
+    })
+
+    const result = await db.query(countQuery, params)
+    res.type('text/plain').send(String(result.recordset[0].total))
+  }
+
+  // /$count: the number of matching entities as plain text
+  async function count(req, res, next) {
+    try {
+      await sendCount(req, res)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  // The entity with key, also answering single-valued navigations (Property('k')/ListAgent)
+  async function sendEntity(req, res, key) {
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`
+
+    const { dataQuery, params, computedProperties, hiddenFields } = buildQuery({
+      table: TABLE,
+      fieldMap,
+      fieldTypes,
+      query: req.query,
+      extraFields: ETAG_FIELDS,
+      keyField: KEY_FIELD,
+      keyValue: key,
+      baseWhere: BASE_WHERE
+    })
+
+    const result = await db.query(dataQuery, params)
+
+    if (result.recordset.length === 0) {
+      return notFound(res, key)
+    }
+
+    const [row] = omitFields(tagEntities([transformEntity(result.recordset[0], computedProperties)], ETAG_FIELDS), hiddenFields)
+
+    // Unchanged since the client's copy
+    res.set('ETag', row['@odata.etag'])
+    if (matchesETag(req.get('If-None-Match'), row['@odata.etag'])) {
+      return res.status(304).end()
+    }
+
+    const [entity] = annotateEntities(req, [row], annotated)
+    entity['@odata.context'] = `${baseUrl}/$metadata#${ENTITY_SET}/$entity`
+
+    res.json(entity)
+  }
+
+  async function get(req, res, next) {
+    try {
+      await sendEntity(req, res, entityKey(req))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  // /Entity(key)/Name and /Entity(key)/Name/$value, selecting just that column
+  async function value(req, res, next) {
+    try {
+      const name = req.params.property
+      if (!Object.hasOwn(fieldMap, name)) {
+        return propertyNotFound(res, ENTITY_SET, name)
+      }
+
+      const key = entityKey(req)
+      const { dataQuery, params } = buildQuery({
+        table: TABLE,
+        fieldMap,
+        fieldTypes,
+        query: { $select: name },
+        keyField: KEY_FIELD,
+        keyValue: key,
+        baseWhere: BASE_WHERE
+      })
+
+      const result = await db.query(dataQuery, params)
+
+      if (result.recordset.length === 0) {
+        return notFound(res, key)
+      }
+
+      const entity = transformEntity(result.recordset[0])
+      sendPropertyValue(req, res, ENTITY_SET, entity[name])
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  return {
+    list,
+    count,
+    get,
+    value,
+    sendCollection,
+    sendCount,
+    sendEntity,
+    entityKey,
+    transformEntity
+  }
+}
+
+module.exports = {
+  entitySetHandlers,
+  keyParam
+}
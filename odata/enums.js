@@ -0,0 +1,142 @@
+/**
+ * RESO enumerations
+ * Maps database lookup codes to RESO Data Dictionary enum members and back
+ *
+ * Each member lists the DB codes that represent it; the first code is the
+ * canonical one. Matching is case-insensitive, like the database collation.
+ * Multi-valued lookups (isFlags) are stored as comma-separated codes.
+ *
+ * Codes missing from these tables are passed through unchanged rather than
+ * dropped, and logged once so they can be added here.
+ */
+
+const ENUM_NAMESPACE = 'org.reso.metadata.enums'
+
+const enumTypes = {
+  StandardStatus: {
+    members: {
+      Active: ['Active', 'A'],
+      ActiveUnderContract: ['Active Under Contract', 'Under Contract', 'Contingent', 'Backup'],
+      Canceled: ['Canceled', 'Cancelled'],
+      Closed: ['Closed', 'Sold', 'S'],
+      ComingSoon: ['Coming Soon'],
+      Delete: ['Delete', 'Deleted'],
+      Expired: ['Expired', 'X'],
+      Hold: ['Hold', 'Temporarily Off Market'],
+      Incomplete: ['Incomplete'],
+      Pending: ['Pending', 'P'],
+      Withdrawn: ['Withdrawn', 'W']
+    }
+  },
+  PropertyType: {
+    members: {
+      BusinessOpportunity: ['Business Opportunity'],
+      CommercialLease: ['Commercial Lease'],
+      CommercialSale: ['Commercial Sale', 'Commercial'],
+      Farm: ['Farm', 'Ranch'],
+      Land: ['Land', 'Lots and Land', 'Lot'],
+      ManufacturedInPark: ['Manufactured In Park', 'Mobile Home'],
+      Residential: ['Residential', 'Single Family', 'Condominium', 'Townhouse'],
+      ResidentialIncome: ['Residential Income', 'Multi-Family', 'Income'],
+      ResidentialLease: ['Residential Lease', 'Rental', 'Lease']
+    }
+  }
+}
+
+// Enum definition for a qualified type name (org.reso.metadata.enums.StandardStatus)
+function getEnumType(type) {
+  if (typeof type !== 'string' || !type.startsWith(`${ENUM_NAMESPACE}.`)) return null
+  const name = type.slice(ENUM_NAMESPACE.length + 1)
+  return Object.hasOwn(enumTypes, name) ? { name, ...enumTypes[name] } : null
+}
+
+// Parse the member list of an enum literal ('Active' or 'Pool,Spa' for flags)
+function parseEnumValue(type, value) {
+  const enumType = getEnumType(type)
+  if (!enumType) {
+    throw new Error(`Unknown enumeration type: ${type}`)
+  }
+  const members = String(value).split(',').map(member => member.trim())
+  for (const member of members) {
+    if (!Object.hasOwn(enumType.members, member)) {
+      throw new Error(`Invalid ${enumType.name} value: ${member}`)
+    }
+  }
+  if (members.length > 1 && !enumType.isFlags) {
+    throw new Error(`${enumType.name} is not multi-valued: ${value}`)
+  }
+  return members
+}
+
+// DB codes representing an enum member
+function memberCodes(type, member) {
+  return getEnumType(type).members[member]
+}
+
+// Unmapped codes already logged, as type:code
+const reportedCodes = new Set()
+
+function reportUnknownCode(name, code) {
+  if (reportedCodes.has(`${name}:${code}`)) return
+  reportedCodes.add(`${name}:${code}`)
+  console.warn(`Unmapped ${name} code '${code}' passed through; add it to enumTypes.${name}`)
+}
+
+// Translate a DB value to its enum member(s); unknown codes are passed through
+function decodeEnumValue(type, code) {
+  if (code == null) return null
+  const { name, members, isFlags } = getEnumType(type)
+  const lookup = value => {
+    const trimmed = String(value).trim()
+    const needle = trimmed.toLowerCase()
+    const member = Object.keys(members).find(member => members[member].some(c => c.toLowerCase() === needle))
+    if (member) return member
+    if (trimmed) reportUnknownCode(name, trimmed)
+    return trimmed || null
+  }
+  if (!isFlags) return lookup(code)
+  const decoded = String(code).split(',').map(lookup).filter(Boolean)
+  return decoded.length > 0 ? [...new Set(decoded)].join(',') : null
+}
+
+// Replace DB codes with enum members on enum-typed fields of an entity
+function decodeEnums(entity, fieldTypes) {
+  for (const [field, type] of Object.entries(fieldTypes)) {
+    if (entity[field] !== undefined && getEnumType(type)) {
+      entity[field] = decodeEnumValue(type, entity[field])
+    }
+  }
+  return entity
+}
+
+// SQL expression translating a column's DB codes to member names (for
+// grouping); unknown codes are grouped as themselves
+function enumMemberSql(type, column) {
+  const { members } = getEnumType(type)
+  const cases = Object.entries(members).flatMap(([member, codes]) =>
+    codes.map(code => `WHEN '${code.replace(/'/g, "''")}' THEN '${member}'`)
+  )
+  return `CASE ${column} ${cases.join(' ')} ELSE ${column} END`
+}
+
+// ORDER BY expression sorting a column by enum member declaration order,
+// unknown codes last
+function enumOrderSql(type, column) {
+  const { members } = getEnumType(type)
+  const cases = Object.values(members).flatMap((codes, i) =>
+    codes.map(code => `WHEN '${code.replace(/'/g, "''")}' THEN ${i}`)
+  )
+  return `CASE ${column} ${cases.join(' ')} ELSE ${Object.keys(members).length} END`
+}
+
+module.exports = {
+  ENUM_NAMESPACE,
+  enumTypes,
+  getEnumType,
+  parseEnumValue,
+  memberCodes,
+  decodeEnumValue,
+  decodeEnums,
+  enumMemberSql,
+  enumOrderSql
+}
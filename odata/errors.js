@@ -0,0 +1,79 @@
+/**
+ * OData errors
+ * Errors carrying the HTTP status and OData error code the router's error
+ * handler responds with. Other errors are reported as 500 ServerError.
+ *
+ * Query option errors follow the OData JSON error format: target names the
+ * query option and each details entry describes one problem. Parser errors
+ * may carry position (character offset in the option value), token (what was
+ * found, null at the end of the value) and expected (what would have been valid).
+ */
+
+class ODataError extends Error {
+  constructor(status, code, message, { target, details } = {}) {
+    super(message)
+    this.name = 'ODataError'
+    this.status = status
+    this.code = code
+    if (target) this.target = target
+    if (details) this.details = details
+  }
+}
+
+// Error raised while parsing a query option, located at token ({ position }).
+// Without a token it points at the end of the input.
+function syntaxError(message, token, expected) {
+  const err = new Error(message)
+  err.code = 'SyntaxError'
+  err.position = token ? token.position : null
+  if (expected) err.expected = expected
+  return err
+}
+
+// 400 error for a query option. position locates the problem in the option
+// value, token is what was found there (null at the end of the value).
+function queryOptionError(option, message, { code = 'InvalidQueryOption', position, token, expected } = {}) {
+  const detail = { code, message, target: option }
+  if (position !== undefined) {
+    detail.position = position
+    detail.token = token
+    message += ` at position ${position}`
+  }
+  if (expected) {
+    detail.expected = expected
+  }
+  return new ODataError(400, 'BadRequest', message, { target: option, details: [detail] })
+}
+
+// Convert an error raised while processing a query option into a 400 ODataError.
+// text is the option value, used to locate errors at the end of the input.
+function invalidQueryOption(option, err, text = '') {
+  if (err instanceof ODataError) return err
+
+  const located = err.position !== undefined
+  const position = err.position === null ? text.length : err.position
+  return queryOptionError(option, `Invalid ${option}: ${err.message}`, {
+    code: err.code,
+    position,
+    token: located ? tokenAt(text, position) : null,
+    expected: err.expected
+  })
+}
+
+// The word or character starting at position, for error details; null where an
+// expression ends (at the end of the value or before whitespace)
+function tokenAt(text, position) {
+  const rest = text.slice(position)
+  if (!rest || /^\s/.test(rest)) return null
+  const quoted = rest.match(/^'(?:[^']|'')*'?/)
+  if (quoted) return quoted[0]
+  const word = rest.match(/^[\w.$-]+/)
+  return word ? word[0] : rest.charAt(0)
+}
+
+module.exports = {
+  ODataError,
+  syntaxError,
+  queryOptionError,
+  invalidQueryOption
+}
@@ -0,0 +1,43 @@
+/**
+ * ETags
+ * Weak entity ETags computed from the properties that change with an entity
+ * (metadata.concurrencyFields), and collection ETags computed from the keys
+ * and ETags of a page, so an unchanged page keeps its ETag.
+ */
+
+const crypto = require('crypto')
+
+function weakETag(parts) {
+  return `W/"${crypto.createHash('sha1').update(JSON.stringify(parts)).digest('base64url')}"`
+}
+
+function entityETag(entity, fields) {
+  return weakETag(fields.map(field => {
+    const value = entity[field]
+    return value instanceof Date ? value.toISOString() : value ?? null
+  }))
+}
+
+// Entities with @odata.etag added as their first annotation
+function tagEntities(entities, fields) {
+  return entities.map(entity => ({ '@odata.etag': entityETag(entity, fields), ...entity }))
+}
+
+// ETag of a page of tagged entities
+function collectionETag(entities, keyField) {
+  return weakETag(entities.map(entity => [entity[keyField], entity['@odata.etag']]))
+}
+
+// Whether an If-None-Match header matches etag, comparing weakly
+function matchesETag(header, etag) {
+  if (!header) return false
+  const opaque = tag => tag.trim().replace(/^W\//, '')
+  return header.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag))
+}
+
+module.exports = {
+  entityETag,
+  tagEntities,
+  collectionETag,
+  matchesETag
+}
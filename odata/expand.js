@@ -0,0 +1,90 @@
+/**
+ * $expand execution
+ * Loads related entities for a page of results with one query per navigation
+ * property, honoring nested $select, $filter, $orderby, $top and $expand
+ *
+ * Navigation properties are declared by resources as
+ *   { resource: () => require('./member'), localKey: 'ListAgentKey', remoteKey: 'MemberKey' }
+ * where resource exposes TABLE, KEY_FIELD, fieldMap, fieldTypes, reverseFieldMap
+ * and optionally BASE_WHERE, LARGE_TEXT_FIELDS, expansions and transformEntity
+ */
+
+const db = require('../db')
+const { buildQuery, parseExpandItems, transformRow, omitFields } = require('./parser')
+
+// Parse $expand against expansions, nested $expand options included, so an
+// invalid expansion at any level is rejected before anything is queried
+function parseExpansions(expand, expansions) {
+  return parseExpandItems(expand, Object.keys(expansions)).map(item => ({
+    ...item,
+    nested: parseExpansions(item.options.$expand, expansions[item.name].resource().expansions || {})
+  }))
+}
+
+// Foreign keys the parent query must return for the requested expansions
+function expansionKeys(items, expansions) {
+  return items.map(item => expansions[item.name].localKey)
+}
+
+// Attach the expanded entities to each parent in place; items come from
+// parseExpansions. limits are the
+// client's query cost limits, applied to nested $filter options.
+async function expandEntities(entities, items, expansions, limits) {
+  for (const { name, options, nested } of items) {
+    const navigation = expansions[name]
+    const keys = [...new Set(entities.map(e => e[navigation.localKey]).filter(key => key != null))]
+    // Single-valued: each entity has at most one related entity, which $top=0 leaves out
+    if (keys.length === 0 || parseInt(options.$top) === 0) continue
+
+    const resource = navigation.resource()
+
+    const params = {}
+    const placeholders = keys.map((key, i) => {
+      params[`expand${i}`] = key
+      return `@expand${i}`
+    })
+    const conditions = [`${resource.fieldMap[navigation.remoteKey]} IN (${placeholders.join(', ')})`]
+    if (resource.BASE_WHERE) {
+      conditions.unshift(resource.BASE_WHERE.sql)
+      Object.assign(params, resource.BASE_WHERE.params)
+    }
+
+    // One related entity per key, so a $top of keys.length covers them all
+    const { dataQuery, params: queryParams, hiddenFields } = buildQuery({
+      table: resource.TABLE,
+      fieldMap: resource.fieldMap,
+      fieldTypes: resource.fieldTypes,
+      limits,
+      largeTextFields: resource.LARGE_TEXT_FIELDS,
+      query: {
+        $select: options.$select,
+        $filter: options.$filter,
+        $orderby: options.$orderby,
+        $top: String(keys.length)
+      },
+      // Matching and nested expansion need the keys, whatever the nested $select says
+      extraFields: [navigation.remoteKey, ...expansionKeys(nested, resource.expansions)],
+      keyField: resource.KEY_FIELD,
+      baseWhere: { sql: conditions.join(' AND '), params }
+    })
+
+    const result = await db.query(dataQuery, queryParams)
+    const transform = resource.transformEntity || (row => transformRow(row, resource.reverseFieldMap))
+    const related = result.recordset.map(row => transform(row))
+    await expandEntities(related, nested, resource.expansions, limits)
+
+    const visible = omitFields(related, hiddenFields)
+    const byKey = new Map(related.map((entity, i) => [entity[navigation.remoteKey], visible[i]]))
+    for (const entity of entities) {
+      if (byKey.has(entity[navigation.localKey])) {
+        entity[name] = byKey.get(entity[navigation.localKey])
+      }
+    }
+  }
+}
+
+module.exports = {
+  parseExpansions,
+  expandEntities,
+  expansionKeys
+}
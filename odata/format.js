@@ -0,0 +1,126 @@
+/**
+ * JSON metadata levels
+ * Negotiates odata.metadata=minimal|full|none from $format or the Accept
+ * header and shapes the control information of responses accordingly:
+ * - minimal (default): @odata.context, @odata.count and @odata.nextLink
+ * - full: also @odata.id, @odata.editLink and @odata.type on every entity,
+ *   and a navigationLink per navigation property
+ * - none: no annotations, except @odata.count and @odata.nextLink, which the
+ *   OData JSON format keeps so clients can still count and page
+ */
+
+const { NAMESPACE } = require('./metadata')
+const { ODataError, queryOptionError } = require('./errors')
+
+const METADATA_LEVELS = ['minimal', 'full', 'none']
+
+// Annotations kept with odata.metadata=none
+const ESSENTIAL_ANNOTATIONS = ['@odata.count', '@odata.nextLink']
+
+// application/json;odata.metadata=full -> { type, params }
+function parseMediaType(text) {
+  const [type, ...params] = text.split(';').map(part => part.trim())
+  return {
+    type: type.toLowerCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [name, value = ''] = param.split('=').map(part => part.trim())
+      return [name.toLowerCase(), value.replace(/^"|"$/g, '').toLowerCase()]
+    }))
+  }
+}
+
+// The metadata level requested by $format, else by the first JSON media range in Accept
+function metadataLevel(req) {
+  const format = req.query.$format
+  if (format !== undefined) {
+    const { type, params } = parseMediaType(String(format))
+    if (type !== 'json' && type !== 'application/json') {
+      throw new ODataError(406, 'NotAcceptable', `Unsupported $format: ${format}`, { target: '$format' })
+    }
+    const level = params['odata.metadata'] || 'minimal'
+    if (!METADATA_LEVELS.includes(level)) {
+      throw queryOptionError('$format', `Invalid $format: odata.metadata must be one of ${METADATA_LEVELS.join(', ')}`)
+    }
+    return level
+  }
+
+  for (const range of (req.get('accept') || '').split(',')) {
+    const { type, params } = parseMediaType(range)
+    if (!['application/json', 'application/*', '*/*'].includes(type) || !params['odata.metadata']) continue
+    if (!METADATA_LEVELS.includes(params['odata.metadata'])) {
+      throw new ODataError(406, 'NotAcceptable', `Unsupported odata.metadata: ${params['odata.metadata']}`)
+    }
+    return params['odata.metadata']
+  }
+  return 'minimal'
+}
+
+// Remove annotations below odata.metadata=none from a response body
+function stripAnnotations(value) {
+  if (Array.isArray(value)) return value.map(stripAnnotations)
+  if (!value || typeof value !== 'object' || value instanceof Date) return value
+  return Object.fromEntries(Object.entries(value)
+    .filter(([name]) => !name.includes('@') || ESSENTIAL_ANNOTATIONS.some(annotation => name.endsWith(annotation)))
+    .map(([name, child]) => [name, stripAnnotations(child)]))
+}
+
+// Sets req.metadataLevel, and makes res.json label the level in Content-Type
+// and strip annotations when it is none
+function middleware(req, res, next) {
+  try {
+    req.metadataLevel = metadataLevel(req)
+  } catch (err) {
+    return next(err)
+  }
+
+  const json = res.json.bind(res)
+  res.json = body => {
+    if (!res.get('Content-Type')) {
+      res.type(`application/json;odata.metadata=${req.metadataLevel}`)
+    }
+    return json(req.metadataLevel === 'none' ? stripAnnotations(body) : body)
+  }
+  next()
+}
+
+// Key in URL form: 42 or 'PROP-001'
+function keyLiteral(value) {
+  if (typeof value === 'number') return String(value)
+  return `'${encodeURIComponent(String(value).replace(/'/g, "''"))}'`
+}
+
+// Add full-metadata annotations to entities of resource (which exposes
+// ENTITY_SET, KEY_FIELD and optionally expansions), including expanded ones.
+// Returns new entities with the annotations first; others are returned as is.
+function annotateEntities(req, entities, resource) {
+  if (req.metadataLevel !== 'full') return entities
+
+  const serviceRoot = `${req.protocol}://${req.get('host')}${req.baseUrl}`
+  return entities.map(entity => {
+    const annotations = { '@odata.type': `#${NAMESPACE}.${resource.ENTITY_SET}` }
+    const key = entity[resource.KEY_FIELD]
+    const path = key == null ? null : `${resource.ENTITY_SET}(${keyLiteral(key)})`
+    if (path) {
+      annotations['@odata.id'] = `${serviceRoot}/${path}`
+      annotations['@odata.editLink'] = path
+    }
+
+    const annotated = { ...annotations, ...entity }
+    for (const [name, navigation] of Object.entries(resource.expansions || {})) {
+      if (path) {
+        annotated[`${name}@odata.navigationLink`] = `${path}/${name}`
+      }
+      if (entity[name]) {
+        annotated[name] = annotateEntities(req, [entity[name]], navigation.resource())[0]
+      }
+    }
+    return annotated
+  })
+}
+
+module.exports = {
+  middleware,
+  metadataLevel,
+  stripAnnotations,
+  annotateEntities
+}
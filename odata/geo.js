@@ -0,0 +1,110 @@
+/**
+ * Geography helpers
+ * Parses OData geography literals (WKT) and builds GeoJSON values
+ *
+ * All geography values use WGS 84 (SRID 4326), the only CRS the listing data uses
+ */
+
+const SRID = 4326
+
+const POSITION_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)\s*$/
+
+// Parse "lon lat" into numbers, validating coordinate ranges
+function parsePosition(text) {
+  const match = text.match(POSITION_PATTERN)
+  if (!match) {
+    throw new Error(`Invalid geography position: ${text.trim()}`)
+  }
+  const lon = parseFloat(match[1])
+  const lat = parseFloat(match[2])
+  if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+    throw new Error(`Geography position out of range: ${text.trim()}`)
+  }
+  return [lon, lat]
+}
+
+// Signed area of a ring in lon/lat space (positive when counter-clockwise)
+function signedArea(ring) {
+  let area = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1]
+  }
+  return area / 2
+}
+
+function parseRing(text) {
+  const ring = text.split(',').map(parsePosition)
+  if (ring.length < 4) {
+    throw new Error('Polygon rings need at least 4 positions')
+  }
+  const first = ring[0]
+  const last = ring[ring.length - 1]
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    throw new Error('Polygon rings must be closed')
+  }
+  return ring
+}
+
+function formatRing(ring) {
+  return `(${ring.map(([lon, lat]) => `${lon} ${lat}`).join(', ')})`
+}
+
+// Parse the body of an OData geography literal: geography'[SRID=4326;]POINT(lon lat)'
+// or geography'[SRID=4326;]POLYGON((lon lat, ...))'. Returns the EDM type and
+// normalized WKT, safe to pass to geography::STGeomFromText as a parameter.
+function parseGeographyLiteral(text) {
+  const match = text.trim().match(/^(?:SRID=(\d+);)?\s*(POINT|POLYGON)\s*\((.*)\)$/is)
+  if (!match) {
+    throw new Error(`Unsupported geography literal: ${text}`)
+  }
+
+  if (match[1] && parseInt(match[1]) !== SRID) {
+    throw new Error(`Unsupported SRID: ${match[1]}. Only ${SRID} is supported`)
+  }
+
+  if (match[2].toUpperCase() === 'POINT') {
+    const [lon, lat] = parsePosition(match[3])
+    return { type: 'Edm.GeographyPoint', wkt: `POINT(${lon} ${lat})` }
+  }
+
+  const body = match[3]
+  const rings = []
+  const ringPattern = /\(([^()]*)\)/g
+  let ringMatch
+  while ((ringMatch = ringPattern.exec(body)) !== null) {
+    rings.push(parseRing(ringMatch[1]))
+  }
+  if (rings.length === 0 || body.replace(ringPattern, '').replace(/[\s,]/g, '') !== '') {
+    throw new Error(`Invalid polygon: ${text}`)
+  }
+
+  // SQL Server geography uses the left-hand rule: the exterior ring must be
+  // counter-clockwise and holes clockwise, otherwise the polygon is inverted
+  const oriented = rings.map((ring, i) => {
+    const counterClockwise = signedArea(ring) > 0
+    return (i === 0) === counterClockwise ? ring : [...ring].reverse()
+  })
+
+  return { type: 'Edm.GeographyPolygon', wkt: `POLYGON(${oriented.map(formatRing).join(', ')})` }
+}
+
+// SQL expression for a point built from latitude/longitude columns.
+// Out-of-range coordinates become NULL rather than failing the whole query.
+function pointSql(latColumn, lonColumn) {
+  const lat = `CASE WHEN ${latColumn} BETWEEN -90 AND 90 THEN ${latColumn} END`
+  const lon = `CASE WHEN ${lonColumn} BETWEEN -180 AND 180 THEN ${lonColumn} END`
+  return `geography::Point(${lat}, ${lon}, ${SRID})`
+}
+
+// GeoJSON point as used by OData JSON for Edm.GeographyPoint values
+function toGeoJsonPoint(lat, lon) {
+  if (lat == null || lon == null) return null
+  return { type: 'Point', coordinates: [Number(lon), Number(lat)] }
+}
+
+module.exports = {
+  SRID,
+  parseGeographyLiteral,
+  pointSql,
+  toGeoJsonPoint
+}
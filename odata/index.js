@@ -1,9 +1,14 @@
 const express = require('express')
 const metadata = require('./metadata')
 const auth = require('./auth')
+const batch = require('./batch')
+const format = require('./format')
+const navigation = require('./navigation')
 const property = require('./resources/property')
 const member = require('./resources/member')
 const office = require('./resources/office')
+const media = require('./resources/media')
+const openHouse = require('./resources/openHouse')
 
 const router = express.Router()
 
@@ -13,6 +18,12 @@ router.use((req, res, next) => {
   next()
 })
 
+// Metadata endpoint: CSDL XML, so mounted before JSON format negotiation
+router.get('/\\$metadata', metadata.handler)
+
+// odata.metadata level from $format or Accept
+router.use(format.middleware)
+
 // Service document (root)
 router.get('/', (req, res) => {
   const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`
@@ -21,41 +32,67 @@ router.get('/', (req, res) => {
     value: [
       { name: 'Property', kind: 'EntitySet', url: 'Property' },
       { name: 'Member', kind: 'EntitySet', url: 'Member' },
-      { name: 'Office', kind: 'EntitySet', url: 'Office' }
+      { name: 'Office', kind: 'EntitySet', url: 'Office' },
+      { name: 'Media', kind: 'EntitySet', url: 'Media' },
+      ...(metadata.openHouseEnabled ? [{ name: 'OpenHouse', kind: 'EntitySet', url: 'OpenHouse' }] : [])
     ]
   })
 })
 
-// Metadata endpoint
-router.get('/\\$metadata', metadata.handler)
-
 // Token endpoint (no auth required)
 router.post('/token', express.urlencoded({ extended: true }), auth.tokenHandler)
 
 // Auth middleware for all other routes
 router.use(auth.middleware)
 
+// Batch requests, each dispatched through this router with the caller's token
+router.post('/\\$batch', express.json(), express.text({ type: 'multipart/mixed' }), batch.handler)
+
 // Property routes
 router.get('/Property', property.list)
+router.get('/Property/\\$count', property.count)
 router.get('/Property\\(:key\\)', property.get)
+router.get('/Property\\(:key\\)/:navigation', navigation.get(property))
+router.get('/Property\\(:key\\)/:navigation/\\$count', navigation.count(property))
+router.get('/Property\\(:key\\)/:property/:raw(\\$value)?', property.value)
 
 // Member routes
 router.get('/Member', member.list)
+router.get('/Member/\\$count', member.count)
 router.get('/Member\\(:key\\)', member.get)
+router.get('/Member\\(:key\\)/:navigation', navigation.get(member))
+router.get('/Member\\(:key\\)/:navigation/\\$count', navigation.count(member))
+router.get('/Member\\(:key\\)/:property/:raw(\\$value)?', member.value)
 
 // Office routes
 router.get('/Office', office.list)
+router.get('/Office/\\$count', office.count)
 router.get('/Office\\(:key\\)', office.get)
+router.get('/Office\\(:key\\)/:navigation', navigation.get(office))
+router.get('/Office\\(:key\\)/:navigation/\\$count', navigation.count(office))
+router.get('/Office\\(:key\\)/:property/:raw(\\$value)?', office.value)
+
+// Media routes
+router.get('/Media', media.list)
+router.get('/Media/\\$count', media.count)
+router.get('/Media\\(:key\\)', media.get)
+router.get('/Media\\(:key\\)/:property/:raw(\\$value)?', media.value)
+
+// OpenHouse routes, once its view is confirmed (see metadata.openHouseEnabled)
+if (metadata.openHouseEnabled) {
+  router.get('/OpenHouse', openHouse.list)
+  router.get('/OpenHouse/\\$count', openHouse.count)
+  router.get('/OpenHouse\\(:key\\)', openHouse.get)
+  router.get('/OpenHouse\\(:key\\)/:property/:raw(\\$value)?', openHouse.value)
+}
 
 // Error handler
 router.use((err, req, res, next) => {
   console.error('OData Error:', err.message)
-  res.status(err.status || 500).json({
-    error: {
-      code: err.code || 'ServerError',
-      message: err.message
-    }
-  })
+  const error = { code: err.code || 'ServerError', message: err.message }
+  if (err.target) error.target = err.target
+  if (err.details) error.details = err.details
+  res.status(err.status || 500).json({ error })
 })
 
 module.exports = router
@@ -0,0 +1,209 @@
+/**
+ * Query cost limits
+ * Rejects $filter and $search expressions that are too expensive to run against
+ * the listing database, before any SQL is sent.
+ *
+ * Defaults come from the environment; ODATA_CLIENT_LIMITS holds per-client
+ * overrides as JSON keyed by OAuth client id, e.g.
+ *   {"dashboard": {"maxPredicates": 200, "allowTextScan": true}}
+ *
+ * - maxDepth: nesting of logical groups, not, lambdas and function calls
+ *   (a chain of the same and/or operator counts once)
+ * - maxPredicates: comparisons, in, has, boolean functions, lambdas and $search terms
+ * - maxInListSize: values in a single `in` list
+ * - allowTextScan: permit leading-wildcard matching (contains, endswith, indexof)
+ *   on large text fields without another selective condition; without it
+ *   $search leaves large text fields out unless $filter is selective
+ *
+ * Overrides naming unknown limits fail at startup rather than on each request.
+ */
+
+const { ODataError } = require('./errors')
+
+const DEFAULT_LIMITS = {
+  maxDepth: parseInt(process.env.ODATA_MAX_FILTER_DEPTH) || 10,
+  maxPredicates: parseInt(process.env.ODATA_MAX_PREDICATES) || 50,
+  maxInListSize: parseInt(process.env.ODATA_MAX_IN_LIST_SIZE) || 100,
+  allowTextScan: process.env.ODATA_ALLOW_TEXT_SCAN === 'true'
+}
+
+// Per-client overrides, checked against the known limits
+function validateClientLimits(overrides) {
+  for (const [clientId, limits] of Object.entries(overrides)) {
+    for (const name of Object.keys(limits)) {
+      if (!Object.hasOwn(DEFAULT_LIMITS, name)) {
+        throw new Error(`Unknown query limit for client ${clientId}: ${name}`)
+      }
+    }
+  }
+  return overrides
+}
+
+const clientLimits = validateClientLimits(JSON.parse(process.env.ODATA_CLIENT_LIMITS || '{}'))
+
+// Effective limits for an OAuth client
+function limitsForClient(clientId, overrides = clientLimits) {
+  if (clientId && Object.hasOwn(overrides, clientId)) {
+    return { ...DEFAULT_LIMITS, ...overrides[clientId] }
+  }
+  return { ...DEFAULT_LIMITS }
+}
+
+function limitExceeded(option, limit, message) {
+  return new ODataError(400, 'QueryLimitExceeded', `${option} exceeds ${limit}: ${message}`, { target: option })
+}
+
+// Functions that match anywhere in a string, so no index can narrow them down
+const SCAN_FUNCTIONS = ['contains', 'endswith', 'indexof']
+const SELECTIVE_OPERATORS = ['eq', 'gt', 'ge', 'lt', 'le']
+const COMPARISON_OPERATORS = [...SELECTIVE_OPERATORS, 'ne']
+
+function isLargeTextProperty(node, largeTextFields) {
+  return node.type === 'property' && !node.path && largeTextFields.includes(node.name)
+}
+
+function referencesLargeText(node, largeTextFields) {
+  if (isLargeTextProperty(node, largeTextFields)) return true
+  return childNodes(node).some(child => referencesLargeText(child, largeTextFields))
+}
+
+// contains(PublicRemarks, 'x'), or a startswith pattern that itself begins with a wildcard
+function isTextScan(node, largeTextFields) {
+  if (node.type !== 'call' || !node.args[0] || !referencesLargeText(node.args[0], largeTextFields)) return false
+  if (SCAN_FUNCTIONS.includes(node.name)) return true
+  if (node.name !== 'startswith') return false
+  const pattern = node.args[1]
+  return pattern.type !== 'literal' || /^[%_[]/.test(pattern.value)
+}
+
+function containsTextScan(node, largeTextFields) {
+  if (isTextScan(node, largeTextFields)) return true
+  return childNodes(node).some(child => containsTextScan(child, largeTextFields))
+}
+
+function childNodes(node) {
+  switch (node.type) {
+    case 'binary': return [node.left, node.right]
+    case 'unary': return [node.operand]
+    case 'in': return [node.operand, ...node.values]
+    case 'has': return [node.operand, node.value]
+    case 'lambda': return node.predicate ? [node.predicate] : []
+    case 'call': return node.args
+    default: return []
+  }
+}
+
+// Conditions ANDed at the top level of a filter
+function conjuncts(node) {
+  if (node.type === 'binary' && node.operator === 'and') {
+    return [...conjuncts(node.left), ...conjuncts(node.right)]
+  }
+  return [node]
+}
+
+// A condition that narrows the rows before text is scanned: a range or equality
+// comparison on a property, `in` on a property or an area search, not itself
+// involving a text scan. Constant comparisons such as 1 eq 1 narrow nothing.
+function isSelective(node, largeTextFields) {
+  if (containsTextScan(node, largeTextFields)) return false
+  if (node.type === 'in') return node.operand.type === 'property'
+  if (node.type === 'call') return node.name === 'geo.intersects'
+  return node.type === 'binary' && SELECTIVE_OPERATORS.includes(node.operator) &&
+    node.left.dataType !== null && node.right.dataType !== null &&
+    (node.left.type === 'property' || node.right.type === 'property')
+}
+
+// Whether a filter has a top-level selective condition that narrows the rows
+// a text scan combined with it has to look at
+function hasSelectiveCondition(expression, largeTextFields = []) {
+  return conjuncts(expression).some(node => isSelective(node, largeTextFields))
+}
+
+// Check a type-checked $filter expression tree against limits.
+// largeTextFields names the properties that must not be scanned on their own;
+// option names the query option in error messages ($compute uses the same engine).
+function checkFilterCost(expression, limits, largeTextFields = [], option = '$filter') {
+  let predicates = 0
+
+  function visit(node, depth) {
+    if (depth > limits.maxDepth) {
+      throw limitExceeded(option, 'maxDepth', `expression is nested more than ${limits.maxDepth} levels deep`)
+    }
+    if (node.type === 'in' && node.values.length > limits.maxInListSize) {
+      throw limitExceeded(option, 'maxInListSize',
+        `in list has ${node.values.length} values, maximum is ${limits.maxInListSize}`)
+    }
+    const logical = node.type === 'binary' && (node.operator === 'and' || node.operator === 'or')
+    if ((node.type === 'binary' && COMPARISON_OPERATORS.includes(node.operator)) ||
+      node.type === 'in' || node.type === 'has' || node.type === 'lambda' ||
+      (node.type === 'call' && node.dataType === 'Edm.Boolean')) {
+      predicates++
+      if (predicates > limits.maxPredicates) {
+        throw limitExceeded(option, 'maxPredicates', `more than ${limits.maxPredicates} conditions`)
+      }
+    }
+    for (const child of childNodes(node)) {
+      const sameChain = logical && child.type === 'binary' && child.operator === node.operator
+      visit(child, sameChain ? depth : depth + 1)
+    }
+  }
+
+  visit(expression, 1)
+
+  if (!limits.allowTextScan && containsTextScan(expression, largeTextFields) &&
+    !hasSelectiveCondition(expression, largeTextFields)) {
+    throw limitExceeded(option, 'allowTextScan',
+      `searching within ${largeTextFields.join(', ')} requires another selective condition combined with and`)
+  }
+}
+
+// Check a $search expression tree against limits; each term is one predicate
+function checkSearchCost(expression, limits) {
+  let terms = 0
+
+  function visit(node, depth) {
+    if (depth > limits.maxDepth) {
+      throw limitExceeded('$search', 'maxDepth', `expression is nested more than ${limits.maxDepth} levels deep`)
+    }
+    if (node.type === 'term') {
+      terms++
+      if (terms > limits.maxPredicates) {
+        throw limitExceeded('$search', 'maxPredicates', `more than ${limits.maxPredicates} terms`)
+      }
+      return
+    }
+    if (node.type === 'not') {
+      visit(node.operand, depth + 1)
+      return
+    }
+    for (const child of [node.left, node.right]) {
+      visit(child, child.type === node.type ? depth : depth + 1)
+    }
+  }
+
+  visit(expression, 1)
+}
+
+// The search fields each $search term is matched against. Large text fields
+// are only scanned alongside a selective $filter or when allowTextScan is set;
+// otherwise the search covers the remaining fields.
+function searchableFields(searchFields, limits, { largeTextFields = [], selective = false } = {}) {
+  if (limits.allowTextScan || selective) return searchFields
+
+  const fields = searchFields.filter(field => !largeTextFields.includes(field))
+  if (fields.length === 0) {
+    throw limitExceeded('$search', 'allowTextScan',
+      `searching within ${searchFields.join(', ')} requires a selective $filter condition`)
+  }
+  return fields
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  validateClientLimits,
+  limitsForClient,
+  hasSelectiveCondition,
+  checkFilterCost,
+  checkSearchCost,
+  searchableFields
+}
@@ -1,3 +1,5 @@
+const { ENUM_NAMESPACE, enumTypes } = require('./enums')
+
 const NAMESPACE = 'org.reso.metadata'
 
 const propertyFields = [
@@ -5,9 +7,9 @@ const propertyFields = [
   { name: 'ListingId', type: 'Edm.String' },
   { name: 'OriginatingSystemName', type: 'Edm.String' },
   { name: 'ListPrice', type: 'Edm.Decimal' },
-  { name: 'StandardStatus', type: 'Edm.String' },
+  { name: 'StandardStatus', type: `${ENUM_NAMESPACE}.StandardStatus` },
   { name: 'ListingContractDate', type: 'Edm.Date' },
-  { name: 'PropertyType', type: 'Edm.String' },
+  { name: 'PropertyType', type: `${ENUM_NAMESPACE}.PropertyType` },
   { name: 'YearBuilt', type: 'Edm.Int32' },
   { name: 'BedroomsTotal', type: 'Edm.Int32' },
   { name: 'BathroomsTotalInteger', type: 'Edm.Decimal' },
@@ -24,6 +26,7 @@ const propertyFields = [
   { name: 'Country', type: 'Edm.String' },
   { name: 'Latitude', type: 'Edm.Decimal' },
   { name: 'Longitude', type: 'Edm.Decimal' },
+  { name: 'Location', type: 'Edm.GeographyPoint', srid: 4326 }, // Synthesized from Latitude/Longitude
   { name: 'PublicRemarks', type: 'Edm.String' },
   { name: 'ListAgentKey', type: 'Edm.Int32' },
   { name: 'ListOfficeKey', type: 'Edm.Int32' },
@@ -31,15 +34,24 @@ const propertyFields = [
   { name: 'ModificationTimestamp', type: 'Edm.DateTimeOffset' },
   { name: 'PhotoCount', type: 'Edm.Int32' },
   { name: 'PhotosChangeTimestamp', type: 'Edm.DateTimeOffset' },
-  { name: 'Media', type: 'Collection(org.reso.metadata.Media)' }
+  { name: 'Media', type: `Collection(${NAMESPACE}.MediaItem)` }
 ]
 
 const mediaFields = [
-  { name: 'MediaKey', type: 'Edm.String' },
+  { name: 'MediaKey', type: 'Edm.String', nullable: false },
+  { name: 'ResourceName', type: 'Edm.String' },
+  { name: 'ResourceRecordKey', type: 'Edm.String' },
+  { name: 'ResourceRecordID', type: 'Edm.String' },
+  { name: 'MediaCategory', type: 'Edm.String' },
   { name: 'MediaURL', type: 'Edm.String' },
-  { name: 'Order', type: 'Edm.Int32' }
+  { name: 'Order', type: 'Edm.Int32' },
+  { name: 'ImageOf', type: 'Edm.String' },
+  { name: 'ModificationTimestamp', type: 'Edm.DateTimeOffset' }
 ]
 
+// Photos embedded in Property.Media: the Media fields the PROPERTYPHOTOS XML provides
+const mediaItemFields = mediaFields.filter(f => ['MediaKey', 'MediaURL', 'Order'].includes(f.name))
+
 const memberFields = [
   { name: 'MemberKey', type: 'Edm.Int32', nullable: false },
   { name: 'MemberMlsId', type: 'Edm.String' },
@@ -78,17 +90,69 @@ const officeFields = [
   { name: 'ModificationTimestamp', type: 'Edm.DateTimeOffset' }
 ]
 
+// OpenHouse is served only once its view and columns (resources/openHouse.js)
+// are confirmed against the database; until then it is neither routed nor
+// advertised. Set ODATA_ENABLE_OPENHOUSE=true to serve it.
+const openHouseEnabled = process.env.ODATA_ENABLE_OPENHOUSE === 'true'
+
+const openHouseFields = [
+  { name: 'OpenHouseKey', type: 'Edm.Int32', nullable: false },
+  { name: 'ListingKey', type: 'Edm.String' },
+  { name: 'OpenHouseDate', type: 'Edm.Date' },
+  { name: 'OpenHouseStartTime', type: 'Edm.DateTimeOffset' },
+  { name: 'OpenHouseEndTime', type: 'Edm.DateTimeOffset' },
+  { name: 'OpenHouseRemarks', type: 'Edm.String' },
+  { name: 'ShowingAgentKey', type: 'Edm.Int32' },
+  { name: 'ModificationTimestamp', type: 'Edm.DateTimeOffset' }
+]
+
+// Navigation properties by entity type. Single-valued ones name the foreign key
+// (constraint) they follow to the related entity's key; partners are the
+// inverse navigation property of the related type.
+const navigationProperties = {
+  Property: [
+    { name: 'ListAgent', type: 'Member', partner: 'Listings', constraint: { property: 'ListAgentKey', referencedProperty: 'MemberKey' } },
+    { name: 'ListOffice', type: 'Office', constraint: { property: 'ListOfficeKey', referencedProperty: 'OfficeKey' } },
+    ...(openHouseEnabled ? [{ name: 'OpenHouses', type: 'OpenHouse', collection: true }] : [])
+  ],
+  Member: [
+    { name: 'Office', type: 'Office', partner: 'Members', constraint: { property: 'OfficeKey', referencedProperty: 'OfficeKey' } },
+    { name: 'Listings', type: 'Property', collection: true, partner: 'ListAgent' }
+  ],
+  Office: [
+    { name: 'Members', type: 'Member', collection: true, partner: 'Office' }
+  ]
+}
+
+// RESO field name -> EDM type, used to type-check $filter expressions
+function getFieldTypes(fields) {
+  return Object.fromEntries(fields.map(f => [f.name, f.type]))
+}
+
+function generateNavigationProperty({ name, type, collection, partner, constraint }) {
+  const navigationType = collection ? `Collection(${NAMESPACE}.${type})` : `${NAMESPACE}.${type}`
+  const partnerAttribute = partner ? ` Partner="${partner}"` : ''
+  if (!constraint) {
+    return `        <NavigationProperty Name="${name}" Type="${navigationType}"${partnerAttribute}/>`
+  }
+  return `        <NavigationProperty Name="${name}" Type="${navigationType}"${partnerAttribute}>
+          <ReferentialConstraint Property="${constraint.property}" ReferencedProperty="${constraint.referencedProperty}"/>
+        </NavigationProperty>`
+}
+
 function generateEntityType(name, fields, keyField) {
   const properties = fields.map(f => {
     const nullable = f.nullable === false ? ' Nullable="false"' : ''
-    return `        <Property Name="${f.name}" Type="${f.type}"${nullable}/>`
-  }).join('\n')
+    const srid = f.srid ? ` SRID="${f.srid}"` : ''
+    return `        <Property Name="${f.name}" Type="${f.type}"${nullable}${srid}/>`
+  })
+  const navigations = (navigationProperties[name] || []).map(generateNavigationProperty)
 
   return `      <EntityType Name="${name}">
         <Key>
           <PropertyRef Name="${keyField}"/>
         </Key>
-${properties}
+${[...properties, ...navigations].join('\n')}
       </EntityType>`
 }
 
@@ -102,21 +166,89 @@ ${properties}
       </ComplexType>`
 }
 
+// Flags enums use bit values so members can be combined
+function generateEnumType(name, { members, isFlags }) {
+  const flags = isFlags ? ' IsFlags="true"' : ''
+  const values = Object.keys(members).map((member, i) => {
+    return `        <Member Name="${member}" Value="${isFlags ? 2 ** i : i}"/>`
+  }).join('\n')
+
+  return `      <EnumType Name="${name}"${flags}>
+${values}
+      </EnumType>`
+}
+
+// Org.OData.Aggregation.V1 capabilities of the $apply implementation (see apply.js)
+const APPLY_SUPPORTED = `
+          <Annotation Term="Aggregation.ApplySupported">
+            <Record>
+              <PropertyValue Property="Transformations">
+                <Collection>
+                  <String>aggregate</String>
+                  <String>groupby</String>
+                  <String>filter</String>
+                </Collection>
+              </PropertyValue>
+              <PropertyValue Property="Rollup" EnumMember="Aggregation.RollupType/None"/>
+            </Record>
+          </Annotation>`
+
+// Properties that change whenever an entity does; ETags are computed from them
+const concurrencyFields = {
+  Property: ['ModificationTimestamp', 'PhotosChangeTimestamp'],
+  Member: ['ModificationTimestamp'],
+  Office: ['ModificationTimestamp'],
+  Media: ['ModificationTimestamp'],
+  OpenHouse: ['ModificationTimestamp']
+}
+
+// Org.OData.Core.V1 annotation naming the properties ETags are computed from
+function concurrencyAnnotation(name) {
+  const paths = concurrencyFields[name].map(field => `              <PropertyPath>${field}</PropertyPath>`).join('\n')
+  return `
+          <Annotation Term="Core.OptimisticConcurrency">
+            <Collection>
+${paths}
+            </Collection>
+          </Annotation>`
+}
+
+// Every navigation property leads to the entity set of its type
+function generateEntitySet(name) {
+  const bindings = (navigationProperties[name] || []).map(({ name: path, type }) => `
+          <NavigationPropertyBinding Path="${path}" Target="${type}"/>`).join('')
+  return `        <EntitySet Name="${name}" EntityType="${NAMESPACE}.${name}">${bindings}${APPLY_SUPPORTED}${concurrencyAnnotation(name)}
+        </EntitySet>`
+}
+
 function generateMetadata() {
   return `<?xml version="1.0" encoding="utf-8"?>
 <edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">
+  <edmx:Reference Uri="https://oasis-tcs.github.io/odata-vocabularies/vocabularies/Org.OData.Aggregation.V1.xml">
+    <edmx:Include Namespace="Org.OData.Aggregation.V1" Alias="Aggregation"/>
+  </edmx:Reference>
+  <edmx:Reference Uri="https://oasis-tcs.github.io/odata-vocabularies/vocabularies/Org.OData.Core.V1.xml">
+    <edmx:Include Namespace="Org.OData.Core.V1" Alias="Core"/>
+  </edmx:Reference>
   <edmx:DataServices>
     <Schema Namespace="${NAMESPACE}" xmlns="http://docs.oasis-open.org/odata/ns/edm">
-${generateComplexType('Media', mediaFields)}
+${generateComplexType('MediaItem', mediaItemFields)}
 ${generateEntityType('Property', propertyFields, 'ListingKey')}
 ${generateEntityType('Member', memberFields, 'MemberKey')}
 ${generateEntityType('Office', officeFields, 'OfficeKey')}
+${generateEntityType('Media', mediaFields, 'MediaKey')}${openHouseEnabled ? `
+${generateEntityType('OpenHouse', openHouseFields, 'OpenHouseKey')}` : ''}
       <EntityContainer Name="Default">
-        <EntitySet Name="Property" EntityType="${NAMESPACE}.Property"/>
-        <EntitySet Name="Member" EntityType="${NAMESPACE}.Member"/>
-        <EntitySet Name="Office" EntityType="${NAMESPACE}.Office"/>
+${generateEntitySet('Property')}
+${generateEntitySet('Member')}
+${generateEntitySet('Office')}
+${generateEntitySet('Media')}${openHouseEnabled ? `
+${generateEntitySet('OpenHouse')}` : ''}
       </EntityContainer>
     </Schema>
+    <Schema Namespace="${ENUM_NAMESPACE}" xmlns="http://docs.oasis-open.org/odata/ns/edm">
+${Object.entries(enumTypes).map(([name, def]) => generateEnumType(name, def)).join('\n')}
+    </Schema>
   </edmx:DataServices>
 </edmx:Edmx>`
 }
@@ -127,8 +259,16 @@ function handler(req, res) {
 }
 
 module.exports = {
+  NAMESPACE,
   handler,
+  getFieldTypes,
   propertyFields,
+  mediaFields,
+  mediaItemFields,
   memberFields,
-  officeFields
+  officeFields,
+  openHouseFields,
+  openHouseEnabled,
+  navigationProperties,
+  concurrencyFields
 }
@@ -0,0 +1,125 @@
+/**
+ * Navigation routes
+ * /Property('k')/ListAgent, /Member(1)/Listings, /Office(1)/Members/$count...
+ *
+ * Resources declare their navigation properties as relationships:
+ *   { resource: () => require('./property'), localKey: 'MemberKey', remoteKey: 'ListAgentKey', collection: true }
+ * The related entities are those whose remoteKey equals the source entity's
+ * localKey. A single-valued navigation answers like a request for the related
+ * entity by key; a collection-valued one lists the related entities with all
+ * query options, the foreign key condition being part of the base filter.
+ */
+
+const db = require('../db')
+const { buildQuery } = require('./parser')
+
+function notFound(res, message) {
+  return res.status(404).json({
+    error: {
+      code: 'NotFound',
+      message
+    }
+  })
+}
+
+// Value of field on the source entity; undefined when there is no such entity
+async function sourceValue(resource, key, field) {
+  const { dataQuery, params } = buildQuery({
+    table: resource.TABLE,
+    fieldMap: resource.fieldMap,
+    fieldTypes: resource.fieldTypes,
+    query: { $select: field },
+    keyField: resource.KEY_FIELD,
+    keyValue: key,
+    baseWhere: resource.BASE_WHERE
+  })
+
+  const result = await db.query(dataQuery, params)
+  if (result.recordset.length === 0) return undefined
+  return result.recordset[0][resource.fieldMap[field]]
+}
+
+// Base filter of the entities related through navigation to a source entity
+// whose localKey is value
+function relatedWhere(navigation, value) {
+  const resource = navigation.resource()
+  const conditions = [`${resource.fieldMap[navigation.remoteKey]} = @navigationKey`]
+  const params = { navigationKey: value }
+  if (resource.BASE_WHERE) {
+    conditions.unshift(resource.BASE_WHERE.sql)
+    Object.assign(params, resource.BASE_WHERE.params)
+  }
+  return { sql: conditions.join(' AND '), params }
+}
+
+// Resolve the navigation named in the route and the source entity's localKey.
+// Responds with 404 (returning null) when either does not exist.
+async function resolve(req, res, resource, { collection } = {}) {
+  const name = req.params.navigation
+  const navigation = resource.relationships[name]
+  if (!navigation || (collection && !navigation.collection)) {
+    const kind = collection ? 'collection-valued navigation property' : 'navigation property'
+    notFound(res, `${resource.ENTITY_SET} has no ${kind} '${name}'`)
+    return null
+  }
+
+  const key = resource.entityKey(req)
+  const value = key == null ? undefined : await sourceValue(resource, key, navigation.localKey)
+  if (value === undefined) {
+    notFound(res, `${resource.ENTITY_SET} with key '${req.params.key}' not found`)
+    return null
+  }
+  return { name, navigation, value }
+}
+
+// GET /Resource(key)/Navigation; names that are not navigation properties are
+// left to the following routes (individual properties)
+function get(resource) {
+  return async (req, res, next) => {
+    if (!Object.hasOwn(resource.relationships, req.params.navigation)) {
+      return next()
+    }
+
+    try {
+      const resolved = await resolve(req, res, resource)
+      if (!resolved) return
+
+      const { name, navigation, value } = resolved
+      const related = navigation.resource()
+      if (navigation.collection) {
+        return await related.sendCollection(req, res, {
+          baseWhere: relatedWhere(navigation, value),
+          path: `${resource.ENTITY_SET}(${req.params.key})/${name}`
+        })
+      }
+
+      // No related entity
+      if (value === null) {
+        return res.status(204).end()
+      }
+      await related.sendEntity(req, res, value)
+    } catch (err) {
+      next(err)
+    }
+  }
+}
+
+// GET /Resource(key)/Navigation/$count for collection-valued navigation properties
+function count(resource) {
+  return async (req, res, next) => {
+    try {
+      const resolved = await resolve(req, res, resource, { collection: true })
+      if (!resolved) return
+
+      const { navigation, value } = resolved
+      await navigation.resource().sendCount(req, res, { baseWhere: relatedWhere(navigation, value) })
+    } catch (err) {
+      next(err)
+    }
+  }
+}
+
+module.exports = {
+  get,
+  count
+}
@@ -5,6 +5,13 @@
  * SECURITY: All user input is parameterized to prevent SQL injection
  */
 
+const crypto = require('crypto')
+const { SRID, parseGeographyLiteral } = require('./geo')
+const { getEnumType, parseEnumValue, memberCodes, enumOrderSql, enumMemberSql } = require('./enums')
+const { parseApply, splitTopLevel } = require('./apply')
+const { DEFAULT_LIMITS, hasSelectiveCondition, checkFilterCost, checkSearchCost, searchableFields } = require('./limits')
+const { syntaxError, queryOptionError, invalidQueryOption } = require('./errors')
+
 // Validate field name against whitelist (prevents SQL injection via field names)
 function validateFieldName(fieldName, allowedFields) {
   if (!allowedFields.has(fieldName)) {
@@ -13,320 +20,1842 @@ function validateFieldName(fieldName, allowedFields) {
   return fieldName
 }
 
-// Tokenize filter expression
-function tokenizeFilter(filter) {
+const COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le', 'in', 'has']
+const LOGICAL_OPERATORS = ['and', 'or', 'not']
+const ADDITIVE_OPERATORS = ['add', 'sub']
+const MULTIPLICATIVE_OPERATORS = ['mul', 'div', 'mod']
+const ARITHMETIC_OPERATORS = [...ADDITIVE_OPERATORS, ...MULTIPLICATIVE_OPERATORS]
+const LITERALS = ['null', 'true', 'false']
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?/
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?/
+const NUMBER_PATTERN = /^-?(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/
+
+// EDM type families used for type checking filter expressions
+const NUMERIC_TYPES = new Set([
+  'Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64',
+  'Edm.Decimal', 'Edm.Double', 'Edm.Single'
+])
+
+// Result type of an arithmetic operation, following EDM numeric promotion
+function promoteNumeric(left, right) {
+  if (left === undefined || right === undefined) return undefined
+  for (const type of ['Edm.Double', 'Edm.Single', 'Edm.Decimal', 'Edm.Int64']) {
+    if (left === type || right === type) return type
+  }
+  return 'Edm.Int32'
+}
+
+function typeFamily(type) {
+  if (type === undefined) return 'any'
+  if (type === null) return 'null'
+  if (NUMERIC_TYPES.has(type)) return 'numeric'
+  if (type === 'Edm.Date' || type === 'Edm.DateTimeOffset') return 'temporal'
+  if (type === 'Edm.TimeOfDay') return 'timeofday'
+  if (type.startsWith('Edm.Geography')) return 'geography'
+  if (type === 'Edm.String') return 'string'
+  if (type === 'Edm.Boolean') return 'boolean'
+  return type
+}
+
+// Date/time component functions: year(), month(), ...
+function datePartFunction(part, params) {
+  return {
+    params: [params],
+    returns: 'Edm.Int32',
+    toSql: (args, ctx) => `DATEPART(${part}, ${compileValue(args[0], ctx)})`
+  }
+}
+
+// Supported filter functions: accepted type families per parameter, return type and SQL translation.
+// minArgs allows trailing parameters to be omitted.
+const FILTER_FUNCTIONS = {
+  contains: {
+    params: ['string', 'string'],
+    returns: 'Edm.Boolean',
+    toSql: (args, ctx) => likeSql(args, ctx, '%', '%')
+  },
+  startswith: {
+    params: ['string', 'string'],
+    returns: 'Edm.Boolean',
+    toSql: (args, ctx) => likeSql(args, ctx, '', '%')
+  },
+  endswith: {
+    params: ['string', 'string'],
+    returns: 'Edm.Boolean',
+    toSql: (args, ctx) => likeSql(args, ctx, '%', '')
+  },
+  tolower: {
+    params: ['string'],
+    returns: 'Edm.String',
+    toSql: (args, ctx) => `LOWER(${compileValue(args[0], ctx)})`
+  },
+  toupper: {
+    params: ['string'],
+    returns: 'Edm.String',
+    toSql: (args, ctx) => `UPPER(${compileValue(args[0], ctx)})`
+  },
+  trim: {
+    params: ['string'],
+    returns: 'Edm.String',
+    toSql: (args, ctx) => `LTRIM(RTRIM(${compileValue(args[0], ctx)}))`
+  },
+  length: {
+    params: ['string'],
+    returns: 'Edm.Int32',
+    toSql: (args, ctx) => `LEN(${compileValue(args[0], ctx)})`
+  },
+  concat: {
+    params: ['string', 'string'],
+    returns: 'Edm.String',
+    toSql: (args, ctx) => `CONCAT(${compileValue(args[0], ctx)}, ${compileValue(args[1], ctx)})`
+  },
+  // OData positions are zero-based, T-SQL positions are one-based
+  indexof: {
+    params: ['string', 'string'],
+    returns: 'Edm.Int32',
+    toSql: (args, ctx) => {
+      const value = compileValue(args[0], ctx)
+      const search = compileValue(args[1], ctx)
+      return `(CHARINDEX(${search}, ${value}) - 1)`
+    }
+  },
+  substring: {
+    params: ['string', 'numeric', 'numeric'],
+    minArgs: 2,
+    returns: 'Edm.String',
+    toSql: (args, ctx) => {
+      const value = compileValue(args[0], ctx)
+      const start = compileValue(args[1], ctx)
+      const length = args[2] ? compileValue(args[2], ctx) : '2147483647'
+      return `SUBSTRING(${value}, ${start} + 1, ${length})`
+    }
+  },
+  year: datePartFunction('year', 'temporal'),
+  month: datePartFunction('month', 'temporal'),
+  day: datePartFunction('day', 'temporal'),
+  hour: datePartFunction('hour', ['Edm.DateTimeOffset', 'timeofday']),
+  minute: datePartFunction('minute', ['Edm.DateTimeOffset', 'timeofday']),
+  second: datePartFunction('second', ['Edm.DateTimeOffset', 'timeofday']),
+  date: {
+    params: ['temporal'],
+    returns: 'Edm.Date',
+    toSql: (args, ctx) => `CAST(${compileValue(args[0], ctx)} AS date)`
+  },
+  time: {
+    params: [['Edm.DateTimeOffset', 'timeofday']],
+    returns: 'Edm.TimeOfDay',
+    toSql: (args, ctx) => `CAST(${compileValue(args[0], ctx)} AS time)`
+  },
+  // Timestamps in the listing database are stored as UTC
+  now: {
+    params: [],
+    returns: 'Edm.DateTimeOffset',
+    toSql: () => 'SYSUTCDATETIME()'
+  },
+  mindatetime: {
+    params: [],
+    returns: 'Edm.DateTimeOffset',
+    toSql: () => "CAST('0001-01-01T00:00:00' AS datetime2)"
+  },
+  maxdatetime: {
+    params: [],
+    returns: 'Edm.DateTimeOffset',
+    toSql: () => "CAST('9999-12-31T23:59:59.9999999' AS datetime2)"
+  },
+  // Distance in meters (SRID 4326)
+  'geo.distance': {
+    params: ['Edm.GeographyPoint', 'Edm.GeographyPoint'],
+    returns: 'Edm.Double',
+    toSql: (args, ctx) => geographyMethodSql('STDistance', args, ctx)
+  },
+  'geo.intersects': {
+    params: ['Edm.GeographyPoint', 'Edm.GeographyPolygon'],
+    returns: 'Edm.Boolean',
+    toSql: (args, ctx) => `${geographyMethodSql('STIntersects', args, ctx)} = 1`
+  }
+}
+
+// Tokenize filter expression
+function tokenizeFilter(filter) {
+  const tokens = []
+  let i = 0
+
+  // Read a quoted string starting at filter[i], unescaping doubled quotes
+  function readString() {
+    const start = i
+    let value = ''
+    i++ // skip opening quote
+    while (i < filter.length) {
+      if (filter[i] === "'" && filter[i + 1] === "'") {
+        // Escaped quote
+        value += "'"
+        i += 2
+      } else if (filter[i] === "'") {
+        // End of string
+        i++ // skip closing quote
+        return value
+      } else {
+        value += filter[i]
+        i++
+      }
+    }
+    throw syntaxError('Unterminated string literal', { position: start }, ["'"])
+  }
+
+  while (i < filter.length) {
+    // Skip whitespace
+    if (/\s/.test(filter[i])) {
+      i++
+      continue
+    }
+
+    const position = i
+
+    // String literal
+    if (filter[i] === "'") {
+      tokens.push({ type: 'string', value: readString(), position })
+      continue
+    }
+
+    // Number or datetime literal
+    if (/[\d.-]/.test(filter[i])) {
+      const remaining = filter.slice(i)
+      const datetime = remaining.match(DATETIME_PATTERN)
+      if (datetime) {
+        tokens.push({ type: 'datetime', value: datetime[0], position })
+        i += datetime[0].length
+        continue
+      }
+
+      const time = remaining.match(TIME_PATTERN)
+      if (time) {
+        tokens.push({ type: 'time', value: time[0], position })
+        i += time[0].length
+        continue
+      }
+
+      const number = remaining.match(NUMBER_PATTERN)
+      if (!number) {
+        throw syntaxError(`Unexpected character in filter: ${filter[i]}`, { position }, ['number'])
+      }
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position })
+      i += number[0].length
+      continue
+    }
+
+    // Parentheses
+    if (filter[i] === '(' || filter[i] === ')') {
+      tokens.push({ type: 'paren', value: filter[i], position })
+      i++
+      continue
+    }
+
+    // Comma
+    if (filter[i] === ',') {
+      tokens.push({ type: 'comma', value: ',', position })
+      i++
+      continue
+    }
+
+    // Path separator (Media/$count) and lambda variable separator (m: ...)
+    if (filter[i] === '/') {
+      tokens.push({ type: 'slash', value: '/', position })
+      i++
+      continue
+    }
+    if (filter[i] === ':') {
+      tokens.push({ type: 'colon', value: ':', position })
+      i++
+      continue
+    }
+
+    // Word (identifier, operator, or function); $ starts $count and $it
+    if (/[a-zA-Z_$]/.test(filter[i])) {
+      let word = filter[i++]
+      while (i < filter.length && /[a-zA-Z0-9_.]/.test(filter[i])) {
+        word += filter[i]
+        i++
+      }
+
+      const lowerWord = word.toLowerCase()
+
+      // Typed literal: geography'POINT(-118.4 34.07)'
+      if (lowerWord === 'geography' && filter[i] === "'") {
+        tokens.push({ type: 'geography', value: readString(), position })
+        continue
+      }
+
+      // Enum literal: org.reso.metadata.enums.StandardStatus'Active'
+      if (filter[i] === "'") {
+        tokens.push({ type: 'enum', typeName: word, value: readString(), position })
+        continue
+      }
+
+      if (COMPARISON_OPERATORS.includes(lowerWord)) {
+        tokens.push({ type: 'operator', value: lowerWord, position })
+      } else if (LOGICAL_OPERATORS.includes(lowerWord)) {
+        tokens.push({ type: 'logical', value: lowerWord, position })
+      } else if (ARITHMETIC_OPERATORS.includes(lowerWord)) {
+        tokens.push({ type: 'arithmetic', value: lowerWord, position })
+      } else if (Object.hasOwn(FILTER_FUNCTIONS, lowerWord)) {
+        tokens.push({ type: 'function', value: lowerWord, position })
+      } else if (LITERALS.includes(lowerWord)) {
+        tokens.push({ type: 'literal', value: lowerWord, position })
+      } else {
+        tokens.push({ type: 'identifier', value: word, position })
+      }
+      continue
+    }
+
+    throw syntaxError(`Unexpected character in filter: ${filter[i]}`, { position })
+  }
+
+  return tokens
+}
+
+function describeToken(token) {
+  if (!token) return 'end of filter'
+  if (token.type === 'string') return `'${token.value}'`
+  return String(token.value)
+}
+
+// What may start an expression, for syntax error details
+const EXPRESSION_START = ['property', 'literal', 'function', '(', 'not']
+const TOKEN_LABELS = { identifier: 'property', colon: ':', comma: ',' }
+
+// Parse tokens into an expression tree using OData operator precedence:
+//   or < and < comparison (eq, ne, gt, ge, lt, le) < additive (add, sub)
+//   < multiplicative (mul, div, mod) < not < in, has < primary
+// Paths use / separators: Media/$count, Media/any(m: m/Order eq 1)
+function parseFilterExpression(tokens) {
+  let pos = 0
+
+  function peek() {
+    return tokens[pos]
+  }
+
+  function matches(type, value) {
+    const token = tokens[pos]
+    return token && token.type === type && (value === undefined || token.value === value)
+  }
+
+  function expect(type, value, description) {
+    if (!matches(type, value)) {
+      throw syntaxError(`Expected ${description} but found ${describeToken(peek())}`, peek(), [value || TOKEN_LABELS[type]])
+    }
+    return tokens[pos++]
+  }
+
+  // Binary node positioned at its operator token
+  function binary(operatorToken, left, right) {
+    return { type: 'binary', operator: operatorToken.value, left, right, position: operatorToken.position }
+  }
+
+  function parseOr() {
+    let left = parseAnd()
+    while (matches('logical', 'or')) {
+      left = binary(tokens[pos++], left, parseAnd())
+    }
+    return left
+  }
+
+  function parseAnd() {
+    let left = parseComparison()
+    while (matches('logical', 'and')) {
+      left = binary(tokens[pos++], left, parseComparison())
+    }
+    return left
+  }
+
+  function parseComparison() {
+    const left = parseAdditive()
+    if (matches('operator') && !matches('operator', 'in') && !matches('operator', 'has')) {
+      return binary(tokens[pos++], left, parseAdditive())
+    }
+    return left
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative()
+    while (matches('arithmetic') && ADDITIVE_OPERATORS.includes(peek().value)) {
+      left = binary(tokens[pos++], left, parseMultiplicative())
+    }
+    return left
+  }
+
+  function parseMultiplicative() {
+    let left = parseUnary()
+    while (matches('arithmetic') && MULTIPLICATIVE_OPERATORS.includes(peek().value)) {
+      left = binary(tokens[pos++], left, parseUnary())
+    }
+    return left
+  }
+
+  function parseUnary() {
+    if (matches('logical', 'not')) {
+      const { position } = tokens[pos++]
+      return { type: 'unary', operator: 'not', operand: parseUnary(), position }
+    }
+    return parsePostfix()
+  }
+
+  // `in` and `has` bind at the same level as primary expressions:
+  // City in ('A','B'), StandardStatus has org.reso.metadata.enums.StandardStatus'Active'
+  function parsePostfix() {
+    const operand = parsePrimary()
+    if (matches('operator', 'has')) {
+      const { position } = tokens[pos++]
+      return { type: 'has', operand, value: parsePrimary(), position }
+    }
+    if (!matches('operator', 'in')) {
+      return operand
+    }
+    const { position } = tokens[pos++]
+
+    expect('paren', '(', '( after in')
+    const values = [parseListValue()]
+    while (matches('comma')) {
+      pos++
+      values.push(parseListValue())
+    }
+    expect('paren', ')', ') after in list')
+
+    return { type: 'in', operand, values, position }
+  }
+
+  function parseListValue() {
+    const token = peek()
+    const value = parsePrimary()
+    if (value.type !== 'literal') {
+      throw syntaxError(`Expected literal in list but found ${describeToken(token)}`, token, ['literal'])
+    }
+    return value
+  }
+
+  function parsePrimary() {
+    const token = peek()
+    if (!token) {
+      throw syntaxError('Unexpected end of filter', null, EXPRESSION_START)
+    }
+    const { position } = token
+
+    if (matches('paren', '(')) {
+      pos++
+      const expression = parseOr()
+      expect('paren', ')', ')')
+      return expression
+    }
+
+    if (token.type === 'function') {
+      pos++
+      return parseCall(token.value, position)
+    }
+
+    if (token.type === 'identifier') {
+      pos++
+      if (matches('paren', '(')) {
+        throw syntaxError(`Unknown function: ${token.value}`, token, Object.keys(FILTER_FUNCTIONS))
+      }
+      if (matches('slash')) {
+        return parsePath(token.value, position)
+      }
+      return { type: 'property', name: token.value, position }
+    }
+
+    if (token.type === 'string') {
+      pos++
+      return { type: 'literal', dataType: 'Edm.String', value: token.value, position }
+    }
+
+    if (token.type === 'number') {
+      pos++
+      const dataType = Number.isInteger(token.value) ? 'Edm.Int32' : 'Edm.Decimal'
+      return { type: 'literal', dataType, value: token.value, position }
+    }
+
+    if (token.type === 'datetime') {
+      pos++
+      const dataType = token.value.includes('T') ? 'Edm.DateTimeOffset' : 'Edm.Date'
+      return { type: 'literal', dataType, value: token.value, position }
+    }
+
+    if (token.type === 'geography') {
+      pos++
+      const { type, wkt } = locate(() => parseGeographyLiteral(token.value), token)
+      return { type: 'literal', dataType: type, value: wkt, position }
+    }
+
+    if (token.type === 'enum') {
+      pos++
+      const members = locate(() => parseEnumValue(token.typeName, token.value), token)
+      return { type: 'literal', dataType: token.typeName, value: token.value, members, position }
+    }
+
+    if (token.type === 'time') {
+      pos++
+      return { type: 'literal', dataType: 'Edm.TimeOfDay', value: token.value, position }
+    }
+
+    if (token.type === 'literal') {
+      pos++
+      if (token.value === 'null') {
+        return { type: 'literal', dataType: null, value: null, position }
+      }
+      return { type: 'literal', dataType: 'Edm.Boolean', value: token.value === 'true', position }
+    }
+
+    throw syntaxError(`Unexpected token: ${describeToken(token)}`, token, EXPRESSION_START)
+  }
+
+  function parsePath(first, position) {
+    const segments = [first]
+    while (matches('slash')) {
+      pos++
+      segments.push(expect('identifier', undefined, 'property name after /').value)
+    }
+
+    const last = segments[segments.length - 1]
+    const path = segments.slice(0, -1)
+    if ((last === 'any' || last === 'all') && matches('paren', '(')) {
+      return { ...parseLambda(last, path), position }
+    }
+    if (last === '$count') {
+      return { type: 'count', collection: path, position }
+    }
+    return { type: 'property', name: last, path, position }
+  }
+
+  // any() / any(m: predicate) / all(m: predicate)
+  function parseLambda(operator, collection) {
+    expect('paren', '(', `( after ${operator}`)
+    if (operator === 'any' && matches('paren', ')')) {
+      pos++
+      return { type: 'lambda', operator, collection, variable: null, predicate: null }
+    }
+
+    const variable = expect('identifier', undefined, `lambda variable in ${operator}()`).value
+    expect('colon', undefined, `: after lambda variable ${variable}`)
+    const predicate = parseOr()
+    expect('paren', ')', `) after ${operator} predicate`)
+    return { type: 'lambda', operator, collection, variable, predicate }
+  }
+
+  function parseCall(name, position) {
+    expect('paren', '(', `( after ${name}`)
+    const args = []
+    if (!matches('paren', ')')) {
+      args.push(parseOr())
+      while (matches('comma')) {
+        pos++
+        args.push(parseOr())
+      }
+    }
+    expect('paren', ')', `) after ${name} arguments`)
+    return { type: 'call', name, args, position }
+  }
+
+  if (tokens.length === 0) {
+    throw syntaxError('Empty filter expression', null, EXPRESSION_START)
+  }
+
+  const expression = parseOr()
+  if (pos < tokens.length) {
+    // A complete condition continues with and/or, a value with an operator
+    const expected = isCondition(expression)
+      ? ['and', 'or']
+      : [...COMPARISON_OPERATORS, ...ARITHMETIC_OPERATORS, 'and', 'or']
+    throw syntaxError(`Unexpected token: ${describeToken(peek())}`, peek(), expected)
+  }
+  return expression
+}
+
+// Attach the position of token to errors raised while reading its literal
+function locate(read, token) {
+  try {
+    return read()
+  } catch (err) {
+    if (err.position === undefined) err.position = token.position
+    throw err
+  }
+}
+
+// Whether an (unchecked) expression is a boolean condition rather than a value
+function isCondition(node) {
+  if (node.type === 'binary') return !ARITHMETIC_OPERATORS.includes(node.operator)
+  return ['unary', 'in', 'has', 'lambda'].includes(node.type) ||
+    (node.type === 'call' && FILTER_FUNCTIONS[node.name].returns === 'Edm.Boolean')
+}
+
+function describeType(type) {
+  if (type === undefined) return 'untyped'
+  if (type === null) return 'null'
+  return type
+}
+
+// Check whether two operand types can be compared with each other
+function isComparable(left, right) {
+  const a = typeFamily(left)
+  const b = typeFamily(right)
+  if (a === 'geography' || b === 'geography') return false
+  return a === 'any' || b === 'any' || a === 'null' || b === 'null' || a === b
+}
+
+// Check a type against an accepted family or EDM type (or a list of them)
+function acceptsFamily(type, accepted) {
+  const actual = typeFamily(type)
+  const allowed = [].concat(accepted)
+  return actual === 'any' || actual === 'null' || allowed.includes(actual) || allowed.includes(type)
+}
+
+// String literals compared with an enum-typed operand name its members:
+// StandardStatus eq 'Active' is read as StandardStatus eq ...StandardStatus'Active'
+function coerceEnumLiteral(type, node) {
+  if (getEnumType(type) && node.type === 'literal' && node.dataType === 'Edm.String') {
+    node.members = parseEnumValue(type, node.value)
+    node.dataType = type
+  }
+}
+
+// String literals compared with an encoded key field (ctx.keyDecoders) are
+// decoded to the DB value. Unknown keys become null, which no entity has.
+function decodeKeyLiteral(operand, node, ctx) {
+  const decode = operand.type === 'property' && !operand.path ? ctx.keyDecoders[operand.name] : null
+  if (decode && node.type === 'literal' && node.dataType === 'Edm.String') {
+    node.value = decode(node.value) ?? null
+  }
+}
+
+// Enum comparisons translate members back to their DB codes
+function checkEnumComparison(operator, leftType, rightType) {
+  const enumType = getEnumType(leftType) || getEnumType(rightType)
+  if (!enumType || leftType === null || rightType === null) return
+  if (!['eq', 'ne', 'in'].includes(operator)) {
+    throw new Error(`Operator ${operator} is not supported for ${enumType.name}`)
+  }
+  if (enumType.isFlags) {
+    throw new Error(`${enumType.name} is multi-valued, use has instead of ${operator}`)
+  }
+}
+
+// Validate an expression tree against the field whitelist and EDM types.
+// Annotates each node with its resolved dataType and returns it. Errors are
+// located at the innermost node that raised them.
+function checkExpression(node, ctx) {
+  try {
+    return checkNode(node, ctx)
+  } catch (err) {
+    if (err.position === undefined && node.position !== undefined) err.position = node.position
+    throw err
+  }
+}
+
+function checkNode(node, ctx) {
+  switch (node.type) {
+    case 'literal':
+      return node.dataType
+
+    case 'property': {
+      if (node.path) {
+        return checkMemberPath(node, ctx)
+      }
+      if (!Object.hasOwn(ctx.fieldMap, node.name) && !ctx.derivedFields[node.name]?.sql) {
+        throw new Error(`Unknown field: ${node.name}`)
+      }
+      node.dataType = ctx.fieldTypes[node.name]
+      return node.dataType
+    }
+
+    case 'unary': {
+      const operandType = checkExpression(node.operand, ctx)
+      if (!acceptsFamily(operandType, 'boolean')) {
+        throw new Error(`Operator not requires a boolean operand, got ${describeType(operandType)}`)
+      }
+      node.dataType = 'Edm.Boolean'
+      return node.dataType
+    }
+
+    case 'binary': {
+      const leftType = checkExpression(node.left, ctx)
+      const rightType = checkExpression(node.right, ctx)
+
+      if (ARITHMETIC_OPERATORS.includes(node.operator)) {
+        for (const type of [leftType, rightType]) {
+          if (!acceptsFamily(type, 'numeric')) {
+            throw new Error(`Operator ${node.operator} requires numeric operands, got ${describeType(type)}`)
+          }
+        }
+        node.dataType = promoteNumeric(leftType, rightType)
+        return node.dataType
+      }
+
+      if (node.operator === 'and' || node.operator === 'or') {
+        for (const type of [leftType, rightType]) {
+          if (!acceptsFamily(type, 'boolean') || type === null) {
+            throw new Error(`Operator ${node.operator} requires boolean operands, got ${describeType(type)}`)
+          }
+        }
+      } else {
+        coerceEnumLiteral(leftType, node.right)
+        coerceEnumLiteral(rightType, node.left)
+        const [left, right] = [node.left.dataType, node.right.dataType]
+        if (!isComparable(left, right)) {
+          throw new Error(`Cannot compare ${describeType(left)} with ${describeType(right)} using ${node.operator}`)
+        }
+        if ((left === null || right === null) && node.operator !== 'eq' && node.operator !== 'ne') {
+          throw new Error(`null can only be compared using eq or ne`)
+        }
+        checkEnumComparison(node.operator, left, right)
+        if (node.operator === 'eq' || node.operator === 'ne') {
+          decodeKeyLiteral(node.left, node.right, ctx)
+          decodeKeyLiteral(node.right, node.left, ctx)
+        }
+      }
+
+      node.dataType = 'Edm.Boolean'
+      return node.dataType
+    }
+
+    case 'in': {
+      const operandType = checkExpression(node.operand, ctx)
+      for (const value of node.values) {
+        if (value.dataType === null) {
+          throw new Error('in list cannot contain null')
+        }
+        coerceEnumLiteral(operandType, value)
+        if (!isComparable(operandType, value.dataType)) {
+          throw new Error(`Cannot compare ${describeType(operandType)} with ${describeType(value.dataType)} using in`)
+        }
+        checkEnumComparison('in', operandType, value.dataType)
+        decodeKeyLiteral(node.operand, value, ctx)
+      }
+      node.dataType = 'Edm.Boolean'
+      return node.dataType
+    }
+
+    case 'has': {
+      const operandType = checkExpression(node.operand, ctx)
+      const enumType = getEnumType(operandType)
+      if (!enumType) {
+        throw new Error(`Operator has requires an enumeration operand, got ${describeType(operandType)}`)
+      }
+      checkExpression(node.value, ctx)
+      coerceEnumLiteral(operandType, node.value)
+      if (node.value.dataType !== operandType || !node.value.members) {
+        throw new Error(`Operator has requires a ${enumType.name} literal`)
+      }
+      node.dataType = 'Edm.Boolean'
+      return node.dataType
+    }
+
+    case 'count': {
+      node.source = resolveCollection(node.collection, ctx).source
+      node.dataType = 'Edm.Int32'
+      return node.dataType
+    }
+
+    case 'lambda': {
+      const collection = resolveCollection(node.collection, ctx)
+      node.source = collection.source
+      node.alias = `lambda${ctx.lambdaCount++}`
+
+      if (node.predicate) {
+        if (node.variable === '$it' || ctx.lambdaVariables.has(node.variable)) {
+          throw new Error(`Lambda variable ${node.variable} is already in use`)
+        }
+        const outer = ctx.lambdaVariables
+        ctx.lambdaVariables = new Map(outer).set(node.variable, { alias: node.alias, collection })
+        const predicateType = checkExpression(node.predicate, ctx)
+        ctx.lambdaVariables = outer
+        if (!acceptsFamily(predicateType, 'boolean') || predicateType === null) {
+          throw new Error(`${node.operator}() predicate must be boolean, got ${describeType(predicateType)}`)
+        }
+      }
+
+      node.dataType = 'Edm.Boolean'
+      return node.dataType
+    }
+
+    case 'call': {
+      const func = FILTER_FUNCTIONS[node.name]
+      const minArgs = func.minArgs ?? func.params.length
+      if (node.args.length < minArgs || node.args.length > func.params.length) {
+        const expected = minArgs === func.params.length ? minArgs : `${minArgs} to ${func.params.length}`
+        throw new Error(`${node.name}() expects ${expected} arguments, got ${node.args.length}`)
+      }
+      node.args.forEach((arg, i) => {
+        const argType = checkExpression(arg, ctx)
+        if (!acceptsFamily(argType, func.params[i]) || argType === null) {
+          const expected = [].concat(func.params[i]).join(' or ')
+          throw new Error(`${node.name}() argument ${i + 1} must be ${expected}, got ${describeType(argType)}`)
+        }
+      })
+      node.dataType = func.returns
+      return node.dataType
+    }
+
+    default:
+      throw new Error(`Unsupported expression: ${node.type}`)
+  }
+}
+
+// Collection-valued properties (e.g. Media) are declared in ctx.collections with a
+// correlated row source, so lambdas and $count translate to subqueries
+function resolveCollection(path, ctx) {
+  const name = path.join('/')
+  if (path.length !== 1 || !Object.hasOwn(ctx.collections, name)) {
+    throw new Error(`Unknown collection: ${name}`)
+  }
+  return ctx.collections[name]
+}
+
+// Single-valued navigation properties (ListAgent/MemberLastName) are declared in
+// navigations as { table, key, foreignKey, fieldMap, fieldTypes }
+function resolveNavigation(path, field, navigations = {}) {
+  if (path.length !== 1 || !Object.hasOwn(navigations, path[0])) return null
+  const navigation = navigations[path[0]]
+  return Object.hasOwn(navigation.fieldMap, field) ? navigation : null
+}
+
+// Correlated scalar subquery reading one column of the related entity. Used
+// instead of a join so unqualified columns of the main table stay unambiguous.
+function navigationSql(navigation, field) {
+  return `(SELECT TOP 1 nav.${navigation.fieldMap[field]} FROM ${navigation.table} AS nav ` +
+    `WHERE nav.${navigation.key} = ${navigation.foreignKey})`
+}
+
+// Resolve variable/Property inside a lambda predicate to a column of the collection source
+function checkMemberPath(node, ctx) {
+  // $it/Field refers to the entity being filtered, even inside a lambda
+  if (node.path.length === 1 && node.path[0] === '$it') {
+    delete node.path
+    return checkExpression(node, ctx)
+  }
+
+  const fullName = [...node.path, node.name].join('/')
+  const scope = node.path.length === 1 && ctx.lambdaVariables.get(node.path[0])
+  if (!scope) {
+    const navigation = resolveNavigation(node.path, node.name, ctx.navigations)
+    if (!navigation) {
+      throw new Error(`Unknown field: ${fullName}`)
+    }
+    node.column = navigationSql(navigation, node.name)
+    node.dataType = navigation.fieldTypes?.[node.name]
+    return node.dataType
+  }
+  if (!Object.hasOwn(scope.collection.fieldMap, node.name)) {
+    throw new Error(`Unknown field: ${fullName}`)
+  }
+  node.column = `${scope.alias}.${scope.collection.fieldMap[node.name]}`
+  node.dataType = scope.collection.fieldTypes?.[node.name]
+  return node.dataType
+}
+
+// SQL precedence of expression nodes (higher binds tighter)
+function sqlPrecedence(node) {
+  if (node.type === 'binary') {
+    if (node.operator === 'or') return 1
+    if (node.operator === 'and') return 2
+    if (ADDITIVE_OPERATORS.includes(node.operator)) return 5
+    if (MULTIPLICATIVE_OPERATORS.includes(node.operator)) return 6
+    return 4
+  }
+  if (node.type === 'unary') return 3
+  if (node.type === 'in') return 4
+  if (node.type === 'has') return 2
+  return 10
+}
+
+function isPredicate(node) {
+  if (node.type === 'binary' && ARITHMETIC_OPERATORS.includes(node.operator)) return false
+  return node.type === 'binary' || node.type === 'unary' || node.type === 'in' || node.type === 'has' || node.type === 'lambda' ||
+    (node.type === 'call' && node.dataType === 'Edm.Boolean')
+}
+
+function addParam(ctx, value) {
+  const paramName = `${ctx.paramPrefix}${ctx.paramIndex++}`
+  ctx.params[paramName] = value
+  return `@${paramName}`
+}
+
+// Geography methods are symmetric here, so call them on a literal argument when
+// there is one: method calls need a simple receiver expression in T-SQL
+function geographyMethodSql(method, args, ctx) {
+  const [receiver, argument] = args[0].type !== 'literal' && args[1].type === 'literal'
+    ? [args[1], args[0]]
+    : args
+  return `${compileValue(receiver, ctx)}.${method}(${compileValue(argument, ctx)})`
+}
+
+// contains/startswith/endswith: the pattern argument matches literally, so its
+// LIKE wildcards are escaped (in SQL when it is not a literal)
+function likeSql(args, ctx, prefix, suffix) {
+  const field = compileValue(args[0], ctx)
+  const pattern = args[1]
+  if (pattern.type === 'literal') {
+    return `${field} LIKE ${addParam(ctx, `${prefix}${escapeLike(pattern.value)}${suffix}`)}`
+  }
+  const escaped = `REPLACE(REPLACE(REPLACE(${compileValue(pattern, ctx)}, '[', '[[]'), '%', '[%]'), '_', '[_]')`
+  const parts = [prefix && `'${prefix}'`, escaped, suffix && `'${suffix}'`]
+  return `${field} LIKE ${parts.filter(Boolean).join(' + ')}`
+}
+
+// Parameters for the DB codes of an enum literal's members
+function enumCodeParams(literal, ctx) {
+  return literal.members.flatMap(member => memberCodes(literal.dataType, member)).map(code => addParam(ctx, code))
+}
+
+function enumMatchSql(column, codes, negate) {
+  if (codes.length === 1) {
+    return `${column} ${negate ? '!=' : '='} ${codes[0]}`
+  }
+  return `${column} ${negate ? 'NOT IN' : 'IN'} (${codes.join(', ')})`
+}
+
+// Multi-valued enums hold comma-separated codes: every member must be present
+function flagsMatchSql(column, literal, ctx) {
+  const list = `',' + REPLACE(${column}, ', ', ',') + ','`
+  return literal.members.map(member => {
+    const matches = memberCodes(literal.dataType, member)
+      .map(code => `${list} LIKE ${addParam(ctx, `%,${code},%`)}`)
+    return matches.length > 1 ? `(${matches.join(' OR ')})` : matches[0]
+  }).join(' AND ')
+}
+
+const SQL_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  ge: '>=',
+  lt: '<',
+  le: '<=',
+  add: '+',
+  sub: '-',
+  mul: '*',
+  div: '/',
+  mod: '%'
+}
+
+// Compile a node that must produce a SQL predicate (WHERE/AND/OR/NOT operand)
+function compilePredicate(node, ctx, parentPrecedence = 0) {
+  if (!isPredicate(node)) {
+    if (node.type === 'literal') {
+      return node.value ? '1 = 1' : '1 = 0'
+    }
+    return `${compileValue(node, ctx)} = 1`
+  }
+
+  const sql = compileNode(node, ctx)
+  return sqlPrecedence(node) < parentPrecedence ? `(${sql})` : sql
+}
+
+// Compile a node that must produce a SQL scalar value
+function compileValue(node, ctx, parentPrecedence = 0) {
+  if (isPredicate(node)) {
+    return `CASE WHEN ${compileNode(node, ctx)} THEN 1 ELSE 0 END`
+  }
+  const sql = compileNode(node, ctx)
+  return sqlPrecedence(node) < parentPrecedence ? `(${sql})` : sql
+}
+
+function compileArithmetic(node, ctx) {
+  const precedence = sqlPrecedence(node)
+  const left = compileValue(node.left, ctx, precedence)
+
+  // Division and modulo by zero yield NULL instead of a SQL error
+  if (node.operator === 'div' || node.operator === 'mod') {
+    return `${left} ${SQL_OPERATORS[node.operator]} NULLIF(${compileValue(node.right, ctx)}, 0)`
+  }
+
+  // Right operand needs parentheses at equal precedence: a sub (b sub c)
+  const right = compileValue(node.right, ctx, precedence + 1)
+  return `${left} ${SQL_OPERATORS[node.operator]} ${right}`
+}
+
+function compileNode(node, ctx) {
+  switch (node.type) {
+    case 'literal':
+      if (node.value === null) return 'NULL'
+      if (node.dataType === 'Edm.Boolean') return node.value ? '1' : '0'
+      if (node.members) return enumCodeParams(node, ctx)[0]
+      if (typeFamily(node.dataType) === 'geography') {
+        return `geography::STGeomFromText(${addParam(ctx, node.value)}, ${SRID})`
+      }
+      return addParam(ctx, node.value)
+
+    case 'property':
+      if (node.column) return node.column
+      return Object.hasOwn(ctx.fieldMap, node.name)
+        ? ctx.fieldMap[node.name]
+        : ctx.derivedFields[node.name].sql
+
+    case 'unary':
+      return `NOT (${compilePredicate(node.operand, ctx)})`
+
+    case 'binary': {
+      if (ARITHMETIC_OPERATORS.includes(node.operator)) {
+        return compileArithmetic(node, ctx)
+      }
+
+      const precedence = sqlPrecedence(node)
+      if (node.operator === 'and' || node.operator === 'or') {
+        const left = compilePredicate(node.left, ctx, precedence)
+        const right = compilePredicate(node.right, ctx, precedence)
+        return `${left} ${node.operator.toUpperCase()} ${right}`
+      }
+
+      // Comparisons against null must use IS [NOT] NULL
+      const leftIsNull = node.left.type === 'literal' && node.left.value === null
+      const rightIsNull = node.right.type === 'literal' && node.right.value === null
+      if (leftIsNull || rightIsNull) {
+        const operand = leftIsNull ? node.right : node.left
+        const nullCheck = node.operator === 'eq' ? 'IS NULL' : 'IS NOT NULL'
+        return `${compileValue(operand, ctx)} ${nullCheck}`
+      }
+
+      // Enum members match any of their DB codes
+      if (node.right.members && !node.left.members) {
+        return enumMatchSql(compileValue(node.left, ctx), enumCodeParams(node.right, ctx), node.operator === 'ne')
+      }
+      if (node.left.members && !node.right.members) {
+        const codes = enumCodeParams(node.left, ctx)
+        return enumMatchSql(compileValue(node.right, ctx), codes, node.operator === 'ne')
+      }
+
+      const left = compileValue(node.left, ctx)
+      const right = compileValue(node.right, ctx)
+      return `${left} ${SQL_OPERATORS[node.operator]} ${right}`
+    }
+
+    case 'in': {
+      const operand = compileValue(node.operand, ctx)
+      const values = node.values.flatMap(value => value.members ? enumCodeParams(value, ctx) : [compileNode(value, ctx)])
+      return `${operand} IN (${values.join(', ')})`
+    }
+
+    case 'has': {
+      const column = compileValue(node.operand, ctx)
+      if (getEnumType(node.operand.dataType).isFlags) {
+        return flagsMatchSql(column, node.value, ctx)
+      }
+      return enumMatchSql(column, enumCodeParams(node.value, ctx), false)
+    }
+
+    case 'count':
+      return `(SELECT COUNT(*) FROM ${node.source} AS items)`
+
+    case 'lambda': {
+      const from = `SELECT 1 FROM ${node.source} AS ${node.alias}`
+      if (!node.predicate) {
+        return `EXISTS (${from})`
+      }
+      const predicate = compilePredicate(node.predicate, ctx)
+      if (node.operator === 'any') {
+        return `EXISTS (${from} WHERE ${predicate})`
+      }
+      // all: no item where the predicate is false or unknown
+      return `NOT EXISTS (${from} WHERE CASE WHEN ${predicate} THEN 0 ELSE 1 END = 1)`
+    }
+
+    case 'call':
+      return FILTER_FUNCTIONS[node.name].toSql(node.args, ctx)
+
+    default:
+      throw new Error(`Unsupported expression: ${node.type}`)
+  }
+}
+
+// State shared by checkExpression and the compile functions
+function createExpressionContext(fieldMap, options, paramPrefix) {
+  return {
+    fieldMap,
+    fieldTypes: options.fieldTypes || {},
+    derivedFields: options.derivedFields || {},
+    collections: options.collections || {},
+    navigations: options.navigations || {},
+    keyDecoders: options.keyDecoders || {},
+    lambdaVariables: new Map(),
+    lambdaCount: 0,
+    params: {},
+    paramPrefix: options.paramPrefix || paramPrefix,
+    paramIndex: 0
+  }
+}
+
+// Parse $filter expression to SQL WHERE clause
+// options.fieldTypes maps RESO field names to EDM types for type checking
+// options.limits caps the cost of the expression (see limits.js)
+// options.largeTextFields names fields that must not be scanned without a selective condition
+// options.derivedFields maps synthesized field names to { sql } expressions
+// options.collections maps collection-valued fields to { source, fieldMap, fieldTypes }
+// options.navigations maps single-valued navigation properties to related tables
+// options.keyDecoders maps fields holding encoded keys to functions returning the DB value
+// options.paramPrefix names the SQL parameters (default @filter0, @filter1, ...)
+function parseFilter(filter, fieldMap, options = {}) {
+  if (!filter) return { sql: '', params: {} }
+
+  try {
+    const tokens = tokenizeFilter(filter)
+    const expression = parseFilterExpression(tokens)
+    const ctx = createExpressionContext(fieldMap, options, 'filter')
+
+    const resultType = checkExpression(expression, ctx)
+    if (!acceptsFamily(resultType, 'boolean') || resultType === null) {
+      throw new Error(`Filter must be a boolean expression, got ${describeType(resultType)}`)
+    }
+
+    checkFilterCost(expression, { ...DEFAULT_LIMITS, ...options.limits }, options.largeTextFields)
+
+    const sql = compilePredicate(expression, ctx)
+    return {
+      sql,
+      params: ctx.params,
+      topLevelOr: expression.type === 'binary' && expression.operator === 'or',
+      selective: hasSelectiveCondition(expression, options.largeTextFields)
+    }
+  } catch (err) {
+    throw invalidQueryOption('$filter', err, filter)
+  }
+}
+
+// Start of each trimmed splitTopLevel item within text
+function itemOffsets(text, items) {
+  let cursor = 0
+  return items.map(item => {
+    const offset = text.indexOf(item, cursor)
+    cursor = offset + item.length
+    return offset
+  })
+}
+
+// Shift the position of errors raised while parsing a part of a query option
+// (starting at offset, length characters long) to the whole option value
+function offsetErrors(parse, offset, length) {
+  try {
+    return parse()
+  } catch (err) {
+    if (err.position === null) err.position = offset + length
+    else if (err.position !== undefined) err.position += offset
+    throw err
+  }
+}
+
+// Prefix of the result columns holding computed properties, so an alias
+// cannot clash with a database column name
+const COMPUTE_COLUMN_PREFIX = '_compute_'
+
+// Parse $compute (ListPrice div LivingArea as PricePerSqFt, ...) into
+// { fields, params }. fields maps each alias to { sql, type, computed: true },
+// usable as a derived field in $select, $filter and $orderby; types are
+// inferred from the operands. Later expressions may use earlier aliases.
+// Takes the same options as parseFilter.
+function parseCompute(compute, fieldMap, options = {}) {
+  const fields = {}
+  const params = {}
+  if (!compute) return { fields, params }
+
+  const limits = { ...DEFAULT_LIMITS, ...options.limits }
+  const reserved = new Set([
+    ...Object.keys(fieldMap),
+    ...Object.keys(options.derivedFields || {}),
+    ...Object.keys(options.collections || {}),
+    ...Object.keys(options.navigations || {})
+  ])
+
+  try {
+    const items = splitTopLevel(compute, ',')
+    const offsets = itemOffsets(compute, items)
+    items.forEach((item, i) => {
+      const match = item.match(/^([\s\S]+?)\s+as\s+([A-Za-z_][A-Za-z0-9_]*)$/)
+      if (!match) {
+        throw syntaxError(`Expected <expression> as <alias>: ${item}`, { position: offsets[i] }, ['<expression> as <alias>'])
+      }
+      const [, text, alias] = match
+      if (reserved.has(alias)) {
+        throw syntaxError(`Alias ${alias} conflicts with an existing property`, { position: offsets[i] + item.lastIndexOf(alias) })
+      }
+
+      const expression = offsetErrors(() => parseFilterExpression(tokenizeFilter(text)), offsets[i], text.length)
+      const ctx = createExpressionContext(fieldMap, {
+        ...options,
+        derivedFields: { ...options.derivedFields, ...fields },
+        fieldTypes: { ...options.fieldTypes, ...Object.fromEntries(Object.entries(fields).map(([name, f]) => [name, f.type])) }
+      }, `compute${i}_`)
+
+      const type = offsetErrors(() => checkExpression(expression, ctx), offsets[i], text.length)
+      const family = typeFamily(type)
+      if (!['numeric', 'string', 'boolean', 'temporal', 'timeofday'].includes(family)) {
+        throw new Error(`${alias} has unsupported type ${describeType(type)}`)
+      }
+      checkFilterCost(expression, limits, [], '$compute')
+
+      const value = compileValue(expression, ctx)
+      fields[alias] = {
+        sql: family === 'boolean' ? `CAST(${value} AS bit)` : `(${value})`,
+        type,
+        computed: true
+      }
+      Object.assign(params, ctx.params)
+      reserved.add(alias)
+    })
+  } catch (err) {
+    throw invalidQueryOption('$compute', err, compute)
+  }
+
+  return { fields, params }
+}
+
+// Split a $search expression into words, "quoted phrases", parentheses and
+// the AND/OR/NOT operators (upper case only, as in OData)
+function tokenizeSearch(search) {
   const tokens = []
   let i = 0
 
-  while (i < filter.length) {
-    // Skip whitespace
-    if (/\s/.test(filter[i])) {
+  while (i < search.length) {
+    if (/\s/.test(search[i])) {
       i++
       continue
     }
 
-    // String literal
-    if (filter[i] === "'") {
+    const position = i
+    if (search[i] === '(' || search[i] === ')') {
+      tokens.push({ type: 'paren', value: search[i++], position })
+      continue
+    }
+
+    if (search[i] === '"') {
       let value = ''
       i++ // skip opening quote
-      while (i < filter.length) {
-        if (filter[i] === "'" && filter[i + 1] === "'") {
-          // Escaped quote
-          value += "'"
-          i += 2
-        } else if (filter[i] === "'") {
-          // End of string
-          break
-        } else {
-          value += filter[i]
-          i++
-        }
+      while (i < search.length && search[i] !== '"') {
+        // Backslash escapes \" and \\ inside phrases
+        if (search[i] === '\\' && i + 1 < search.length) i++
+        value += search[i++]
+      }
+      if (i >= search.length) {
+        throw syntaxError('Unterminated phrase', { position }, ['"'])
       }
       i++ // skip closing quote
-      tokens.push({ type: 'string', value })
+      if (!value.trim()) {
+        throw syntaxError('Empty phrase', { position })
+      }
+      tokens.push({ type: 'term', value, position })
       continue
     }
 
-    // Number or datetime literal
-    if (/[\d.-]/.test(filter[i])) {
-      let value = ''
-      // Check if this looks like a datetime (starts with 4 digits for year)
-      const remaining = filter.slice(i)
-      const isDatetime = /^\d{4}-\d{2}-\d{2}/.test(remaining)
-
-      if (isDatetime) {
-        // Parse datetime literal: allow digits, hyphens, colons, T, Z, dots
-        while (i < filter.length && /[\d.:\-TZ+]/.test(filter[i])) {
-          value += filter[i]
-          i++
-        }
-        tokens.push({ type: 'datetime', value })
-      } else {
-        // Regular number
-        while (i < filter.length && /[\d.eE+-]/.test(filter[i])) {
-          value += filter[i]
-          i++
-        }
-        tokens.push({ type: 'number', value: parseFloat(value) })
-      }
-      continue
+    let word = ''
+    while (i < search.length && !/[\s()"]/.test(search[i])) {
+      word += search[i++]
     }
+    const isOperator = word === 'AND' || word === 'OR' || word === 'NOT'
+    tokens.push({ type: isOperator ? 'operator' : 'term', value: word, position })
+  }
 
-    // Parentheses
-    if (filter[i] === '(' || filter[i] === ')') {
-      tokens.push({ type: 'paren', value: filter[i] })
-      i++
-      continue
+  return tokens
+}
+
+// What may start a $search expression, for syntax error details
+const SEARCH_START = ['term', '"phrase"', '(', 'NOT']
+
+// Parse search tokens: OR < AND (explicit or implied by adjacent terms) < NOT
+function parseSearchExpression(tokens) {
+  let pos = 0
+
+  function matches(type, value) {
+    const token = tokens[pos]
+    return token && token.type === type && (value === undefined || token.value === value)
+  }
+
+  function parseOr() {
+    let left = parseAnd()
+    while (matches('operator', 'OR')) {
+      pos++
+      left = { type: 'or', left, right: parseAnd() }
     }
+    return left
+  }
 
-    // Comma
-    if (filter[i] === ',') {
-      tokens.push({ type: 'comma', value: ',' })
-      i++
-      continue
+  function parseAnd() {
+    let left = parseNot()
+    while (matches('operator', 'AND') || matches('operator', 'NOT') || matches('term') || matches('paren', '(')) {
+      if (matches('operator', 'AND')) pos++
+      left = { type: 'and', left, right: parseNot() }
     }
+    return left
+  }
 
-    // Word (identifier, operator, or function)
-    if (/[a-zA-Z_]/.test(filter[i])) {
-      let word = ''
-      while (i < filter.length && /[a-zA-Z0-9_]/.test(filter[i])) {
-        word += filter[i]
-        i++
-      }
+  function parseNot() {
+    if (matches('operator', 'NOT')) {
+      pos++
+      return { type: 'not', operand: parseNot() }
+    }
+    return parsePrimary()
+  }
 
-      const lowerWord = word.toLowerCase()
-      if (['eq', 'ne', 'gt', 'ge', 'lt', 'le'].includes(lowerWord)) {
-        tokens.push({ type: 'operator', value: lowerWord })
-      } else if (['and', 'or', 'not'].includes(lowerWord)) {
-        tokens.push({ type: 'logical', value: lowerWord })
-      } else if (['contains', 'startswith', 'endswith'].includes(lowerWord)) {
-        tokens.push({ type: 'function', value: lowerWord })
-      } else if (['null', 'true', 'false'].includes(lowerWord)) {
-        tokens.push({ type: 'literal', value: lowerWord })
-      } else {
-        tokens.push({ type: 'identifier', value: word })
+  function parsePrimary() {
+    const token = tokens[pos]
+    if (!token) {
+      throw syntaxError('Unexpected end of search', null, SEARCH_START)
+    }
+    if (matches('paren', '(')) {
+      pos++
+      const expression = parseOr()
+      if (!matches('paren', ')')) {
+        throw syntaxError('Expected ) in search', tokens[pos], [')'])
       }
-      continue
+      pos++
+      return expression
     }
+    if (token.type === 'term') {
+      pos++
+      return { type: 'term', value: token.value }
+    }
+    throw syntaxError(`Unexpected ${token.value} in search`, token, SEARCH_START)
+  }
 
-    throw new Error(`Unexpected character in filter: ${filter[i]}`)
+  if (tokens.length === 0) {
+    throw syntaxError('Empty search expression', null, SEARCH_START)
   }
 
-  return tokens
+  const expression = parseOr()
+  if (pos < tokens.length) {
+    throw syntaxError(`Unexpected ${tokens[pos].value} in search`, tokens[pos], ['AND', 'OR', 'NOT', 'term', '('])
+  }
+  return expression
 }
 
-// Parse tokenized filter to SQL with parameters
-function parseFilterTokens(tokens, fieldMap) {
-  const allowedFields = new Set(Object.keys(fieldMap))
+// Escape LIKE wildcards so search terms and function patterns match literally
+function escapeLike(value) {
+  return value.replace(/[[%_]/g, char => `[${char}]`)
+}
+
+// Parse $search to SQL WHERE clause matching any of searchFields (RESO names)
+// limits caps the number of terms and their nesting (see limits.js)
+// options.largeTextFields names search fields only matched with options.selective,
+// a selective $filter alongside, or when limits.allowTextScan is set
+function parseSearch(search, fieldMap, searchFields, limits = DEFAULT_LIMITS, options = {}) {
+  if (!search) return { sql: '', params: {} }
+
   const params = {}
+  let fields = searchFields
   let paramIndex = 0
-  let sql = ''
-  let i = 0
 
-  function getNextParamName() {
-    return `filter${paramIndex++}`
+  function compile(node, parentPrecedence) {
+    if (node.type === 'term') {
+      const param = `search${paramIndex++}`
+      params[param] = `%${escapeLike(node.value)}%`
+      const columns = fields.map(field => `${fieldMap[field]} LIKE @${param}`)
+      return columns.length > 1 ? `(${columns.join(' OR ')})` : columns[0]
+    }
+    if (node.type === 'not') {
+      // NULL columns make LIKE unknown; NOT must still treat them as no match
+      return `CASE WHEN ${compile(node.operand, 0)} THEN 1 ELSE 0 END = 0`
+    }
+    const precedence = node.type === 'or' ? 1 : 2
+    const sql = `${compile(node.left, precedence)} ${node.type.toUpperCase()} ${compile(node.right, precedence)}`
+    return precedence < parentPrecedence ? `(${sql})` : sql
+  }
+
+  try {
+    const expression = parseSearchExpression(tokenizeSearch(search))
+    checkSearchCost(expression, limits)
+    fields = searchableFields(searchFields, limits, options)
+    return { sql: compile(expression, 0), params, topLevelOr: expression.type === 'or' }
+  } catch (err) {
+    throw invalidQueryOption('$search', err, search)
   }
+}
 
-  while (i < tokens.length) {
-    const token = tokens[i]
+// Options accepted inside a collection selection: Media($select=MediaURL;$top=1)
+const COLLECTION_SELECT_OPTIONS = ['$select', '$top', '$skip']
 
-    if (token.type === 'identifier') {
-      // Validate and map field name
-      const resoField = token.value
-      if (!allowedFields.has(resoField)) {
-        throw new Error(`Unknown field: ${resoField}`)
+// Split $select into { name, subField, options, position } items; Media/MediaURL
+// and Media($top=1) are only valid for collection-valued properties
+function parseSelectItems(select, collections) {
+  let items
+  try {
+    items = splitTopLevel(select, ',')
+  } catch {
+    // Unbalanced parentheses or quotes, which no property name contains
+    throw queryOptionError('$select', `Invalid field in $select: ${select}`)
+  }
+
+  const offsets = itemOffsets(select, items)
+  return items.map((item, i) => {
+    const position = offsets[i]
+    const invalid = (message, token = item) => queryOptionError('$select', message, { position, token })
+    const match = item.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:\/([A-Za-z_][A-Za-z0-9_]*))?\s*(?:\(([\s\S]*)\))?$/)
+    if (!match) {
+      throw invalid(`Invalid field in $select: ${item}`)
+    }
+    const [, name, subField, optionText] = match
+    const collection = Object.hasOwn(collections, name) && collections[name].column ? collections[name] : null
+    if (!collection) {
+      if (subField || optionText !== undefined) {
+        throw invalid(`Invalid field in $select: ${item}`)
       }
-      sql += fieldMap[resoField]
-      i++
-      continue
+      return { name, position }
     }
 
-    if (token.type === 'operator') {
-      const opMap = {
-        'eq': '=',
-        'ne': '!=',
-        'gt': '>',
-        'ge': '>=',
-        'lt': '<',
-        'le': '<='
+    const fields = Object.keys(collection.fieldTypes || {})
+    if (subField && !fields.includes(subField)) {
+      throw invalid(`Invalid field in $select: ${name}/${subField}`)
+    }
+    const options = {}
+    for (const option of optionText?.trim() ? splitTopLevel(optionText, ';') : []) {
+      const separator = option.indexOf('=')
+      const key = separator > 0 ? option.slice(0, separator).trim() : option
+      const value = option.slice(separator + 1).trim()
+      if (!COLLECTION_SELECT_OPTIONS.includes(key)) {
+        throw invalid(`Invalid $select: unsupported option ${key} in ${name}`)
       }
-      sql += ` ${opMap[token.value]} `
-      i++
-      continue
+      if (key === '$select') {
+        for (const field of value.split(',').map(f => f.trim())) {
+          if (!fields.includes(field)) {
+            throw invalid(`Invalid field in $select: ${name}/${field}`)
+          }
+        }
+      } else if (!/^\d+$/.test(value)) {
+        throw invalid(`Invalid $select: ${key} in ${name} must be a non-negative integer`)
+      }
+      options[key] = value
     }
+    return { name, subField, options, collection, position }
+  })
+}
 
-    if (token.type === 'logical') {
-      sql += ` ${token.value.toUpperCase()} `
-      i++
-      continue
-    }
+// Parse $select to SQL column list (validated against whitelist)
+// Derived fields select the columns they are built from (derivedFields[name].dependsOn)
+// Computed properties ($compute) select their expression as _compute_<alias>
+// Collections declaring a `column` (e.g. Media in PROPERTYPHOTOS) select it only when requested,
+// along with the fields it dependsOn
+// extraFields (RESO names) are selected alongside an explicit $select for internal use
+function parseSelect(select, fieldMap, derivedFields = {}, collections = {}, extraFields = []) {
+  const collectionColumns = Object.values(collections).map(c => c.column).filter(Boolean)
+  const computedColumn = name => `${derivedFields[name].sql} AS ${COMPUTE_COLUMN_PREFIX}${name}`
+  if (!select) {
+    // Return all fields
+    const computed = Object.keys(derivedFields).filter(name => derivedFields[name].computed).map(computedColumn)
+    return [...Object.values(fieldMap), ...collectionColumns, ...computed].join(', ')
+  }
 
-    if (token.type === 'string') {
-      const paramName = getNextParamName()
-      params[paramName] = token.value
-      sql += `@${paramName}`
-      i++
-      continue
-    }
+  const allowedFields = new Set(Object.keys(fieldMap))
+  const dbFields = []
 
-    if (token.type === 'number') {
-      const paramName = getNextParamName()
-      params[paramName] = token.value
-      sql += `@${paramName}`
-      i++
+  for (const { name: field, collection, position } of parseSelectItems(select, collections)) {
+    if (collection) {
+      dbFields.push(collection.column, ...(collection.dependsOn || []).map(dep => fieldMap[dep]))
       continue
     }
-
-    if (token.type === 'datetime') {
-      const paramName = getNextParamName()
-      params[paramName] = token.value
-      sql += `@${paramName}`
-      i++
+    if (Object.hasOwn(derivedFields, field)) {
+      dbFields.push(...derivedFields[field].computed
+        ? [computedColumn(field)]
+        : derivedFields[field].dependsOn.map(dep => fieldMap[dep]))
       continue
     }
-
-    if (token.type === 'literal') {
-      if (token.value === 'null') {
-        sql += 'NULL'
-      } else if (token.value === 'true') {
-        sql += '1'
-      } else if (token.value === 'false') {
-        sql += '0'
-      }
-      i++
-      continue
+    if (!allowedFields.has(field)) {
+      throw queryOptionError('$select', `Invalid field in $select: ${field}`, { position, token: field })
     }
+    dbFields.push(fieldMap[field])
+  }
+  dbFields.push(...extraFields.map(field => fieldMap[field]))
 
-    if (token.type === 'function') {
-      // Parse function call: functionName(field, value)
-      const funcName = token.value
-      i++ // skip function name
-
-      if (tokens[i]?.type !== 'paren' || tokens[i]?.value !== '(') {
-        throw new Error(`Expected ( after ${funcName}`)
-      }
-      i++ // skip (
+  const uniqueFields = [...new Set(dbFields)]
+  return uniqueFields.length > 0 ? uniqueFields.join(', ') : Object.values(fieldMap).join(', ')
+}
 
-      if (tokens[i]?.type !== 'identifier') {
-        throw new Error(`Expected field name in ${funcName}()`)
-      }
-      const fieldName = tokens[i].value
-      if (!allowedFields.has(fieldName)) {
-        throw new Error(`Unknown field: ${fieldName}`)
-      }
-      i++
+// Which collection-valued properties $select asks for, and how to shape them:
+// { Media: { fields: ['MediaURL'] | null (all), top, skip } }. Without $select
+// every collection is returned in full.
+function parseCollectionSelect(select, collections = {}) {
+  const selection = {}
+  const selectable = Object.keys(collections).filter(name => collections[name].column)
+  if (!select) {
+    for (const name of selectable) selection[name] = { fields: null, top: null, skip: 0 }
+    return selection
+  }
 
-      if (tokens[i]?.type !== 'comma') {
-        throw new Error(`Expected comma in ${funcName}()`)
-      }
-      i++ // skip comma
+  for (const { name, subField, options, collection } of parseSelectItems(select, collections)) {
+    if (!collection) continue
+    const entry = selection[name] || (selection[name] = { fields: [], top: null, skip: 0 })
+    // A bare Media selects every field, and wins over sub-selections
+    const fields = subField ? [subField] : options.$select?.split(',').map(f => f.trim()) || null
+    entry.fields = entry.fields && fields ? [...new Set([...entry.fields, ...fields])] : null
+    if (options.$top !== undefined) entry.top = parseInt(options.$top)
+    if (options.$skip !== undefined) entry.skip = parseInt(options.$skip)
+  }
+  return selection
+}
 
-      if (tokens[i]?.type !== 'string') {
-        throw new Error(`Expected string value in ${funcName}()`)
-      }
-      const value = tokens[i].value
-      i++
+// Apply a parseCollectionSelect entry to the items of a collection
+function applyCollectionSelect(items, { fields, top, skip }) {
+  const page = items.slice(skip, top === null ? undefined : skip + top)
+  if (!fields) return page
+  return page.map(item => Object.fromEntries(fields.map(field => [field, item[field]])))
+}
 
-      if (tokens[i]?.type !== 'paren' || tokens[i]?.value !== ')') {
-        throw new Error(`Expected ) after ${funcName}`)
-      }
-      i++ // skip )
+// Parse $orderby to [{ sql, direction }] terms (validated against whitelist)
+// options.navigations enables navigation paths such as ListOffice/OfficeName
+// options.fieldTypes sorts enum fields by member order rather than DB code
+// options.computed sorts by $compute aliases (parseCompute fields)
+function parseOrderByTerms(orderby, fieldMap, options = {}) {
+  if (!orderby) return []
 
-      const paramName = getNextParamName()
-      const dbField = fieldMap[fieldName]
+  const allowedFields = new Set(Object.keys(fieldMap))
+  let offset = 0
+  return orderby.split(',').map(part => {
+    const position = offset + part.search(/\S|$/)
+    offset += part.length + 1
+    const [field, direction, ...rest] = part.trim().split(/\s+/)
+    const invalidField = () => queryOptionError('$orderby', `Invalid field in $orderby: ${field}`, { position, token: field })
 
-      if (funcName === 'contains') {
-        params[paramName] = `%${value}%`
-        sql += `${dbField} LIKE @${paramName}`
-      } else if (funcName === 'startswith') {
-        params[paramName] = `${value}%`
-        sql += `${dbField} LIKE @${paramName}`
-      } else if (funcName === 'endswith') {
-        params[paramName] = `%${value}`
-        sql += `${dbField} LIKE @${paramName}`
+    let dbField = fieldMap[field]
+    let type = options.fieldTypes?.[field]
+    if (field.includes('/')) {
+      const segments = field.split('/')
+      const name = segments.pop()
+      const navigation = resolveNavigation(segments, name, options.navigations)
+      if (!navigation) {
+        throw invalidField()
       }
-      continue
+      dbField = navigationSql(navigation, name)
+      type = navigation.fieldTypes?.[name]
+    } else if (options.computed && Object.hasOwn(options.computed, field)) {
+      dbField = options.computed[field].sql
+      type = options.computed[field].type
+    } else if (!allowedFields.has(field)) {
+      throw invalidField()
+    } else if (getEnumType(type)) {
+      dbField = enumOrderSql(type, dbField)
+      type = 'Edm.Int32'
     }
 
-    if (token.type === 'paren') {
-      sql += token.value
-      i++
-      continue
+    const words = [direction, ...rest]
+    const invalidWord = words.find((word, i) => word !== undefined && (i > 0 || !/^(asc|desc)$/i.test(word)))
+    if (invalidWord !== undefined) {
+      const expected = invalidWord === direction ? ['asc', 'desc'] : [',']
+      throw queryOptionError('$orderby', `Invalid $orderby: unexpected ${invalidWord} after ${field}`, {
+        position: position + part.trim().indexOf(invalidWord, field.length),
+        token: invalidWord,
+        expected
+      })
     }
 
-    throw new Error(`Unexpected token: ${JSON.stringify(token)}`)
-  }
+    const dir = direction?.toLowerCase() === 'desc' ? 'DESC' : 'ASC'
+    return { sql: dbField, direction: dir, type }
+  })
+}
 
-  return { sql, params }
+// Parse $orderby to SQL ORDER BY clause (validated against whitelist)
+function parseOrderBy(orderby, fieldMap, options = {}) {
+  return parseOrderByTerms(orderby, fieldMap, options).map(term => `${term.sql} ${term.direction}`).join(', ')
 }
 
-// Parse $filter expression to SQL WHERE clause
-function parseFilter(filter, fieldMap) {
-  if (!filter) return { sql: '', params: {} }
+// Parse $expand to list of expansions (validated against allowed expansions)
+function parseExpand(expand, allowedExpansions) {
+  return parseExpandItems(expand, allowedExpansions).map(item => item.name)
+}
+
+// Query options accepted inside $expand=Name(...)
+const EXPAND_OPTIONS = ['$select', '$filter', '$orderby', '$top', '$expand']
+
+// Parse $expand with nested options into [{ name, options }], e.g.
+// ListAgent($select=MemberEmail;$filter=MemberCity eq 'Malibu'),ListOffice
+function parseExpandItems(expand, allowedExpansions) {
+  if (!expand) return []
 
+  const allowed = new Set(allowedExpansions || [])
+  let items
   try {
-    const tokens = tokenizeFilter(filter)
-    return parseFilterTokens(tokens, fieldMap)
+    items = splitTopLevel(expand, ',')
   } catch (err) {
-    throw new Error(`Invalid $filter: ${err.message}`)
+    throw invalidQueryOption('$expand', err)
   }
+
+  const offsets = itemOffsets(expand, items)
+  return items.map((item, i) => {
+    const match = item.match(/^([^()\s]+)\s*(?:\(([\s\S]*)\))?$/)
+    const name = match ? match[1] : item
+    if (!match || !allowed.has(name)) {
+      throw queryOptionError('$expand', `Invalid $expand: ${name}. Allowed: ${[...allowed].join(', ')}`, {
+        position: offsets[i],
+        token: name,
+        expected: [...allowed]
+      })
+    }
+
+    const options = {}
+    for (const option of match[2]?.trim() ? splitTopLevel(match[2], ';') : []) {
+      const separator = option.indexOf('=')
+      const key = separator > 0 ? option.slice(0, separator).trim() : option
+      if (!EXPAND_OPTIONS.includes(key)) {
+        throw queryOptionError('$expand', `Invalid $expand: unsupported option ${key} in ${name}`, {
+          position: offsets[i] + item.indexOf(key, name.length),
+          token: key,
+          expected: EXPAND_OPTIONS
+        })
+      }
+      const value = option.slice(separator + 1).trim()
+      if (key === '$top' && !/^\d+$/.test(value)) {
+        throw queryOptionError('$expand', `Invalid $expand: $top in ${name} must be a non-negative integer`, {
+          position: offsets[i] + item.indexOf(key, name.length),
+          token: value
+        })
+      }
+      options[key] = value
+    }
+    return { name, options }
+  })
 }
 
-// Parse $select to SQL column list (validated against whitelist)
-function parseSelect(select, fieldMap) {
-  if (!select) {
-    // Return all fields
-    return Object.values(fieldMap).join(', ')
+// $top/$skip/$count, with $top limited between 1-1000
+function parsePaging(query) {
+  return {
+    top: Math.min(Math.max(parseInt(query.$top) || 100, 1), 1000),
+    skip: Math.max(parseInt(query.$skip) || 0, 0),
+    count: query.$count === 'true'
   }
+}
 
-  const allowedFields = new Set(Object.keys(fieldMap))
-  const fields = select.split(',').map(f => f.trim())
-  const dbFields = []
+// Query options a nextLink carries over to the following page
+const NEXT_LINK_OPTIONS = ['$select', '$compute', '$apply', '$filter', '$search', '$orderby', '$expand', '$count', '$format']
 
-  for (const field of fields) {
-    if (!allowedFields.has(field)) {
-      throw new Error(`Invalid field in $select: ${field}`)
+// nextLink for the page after `rows`, emitted whenever the page is full.
+// pageOptions(rows) returns the paging options ($skip or $skiptoken) of the next page.
+function createNextLinkBuilder(baseUrl, query, top, pageOptions) {
+  return (rows) => {
+    if (rows.length < top) return null
+
+    const queryParams = new URLSearchParams()
+    queryParams.set('$top', top.toString())
+    for (const [option, value] of Object.entries(pageOptions(rows))) {
+      queryParams.set(option, value)
     }
-    dbFields.push(fieldMap[field])
+    for (const option of NEXT_LINK_OPTIONS) {
+      if (query[option]) queryParams.set(option, query[option])
+    }
+    return `${baseUrl}?${queryParams.toString()}`
   }
+}
+
+// $skiptoken key: ODATA_SKIPTOKEN_SECRET, or one per process, in which case
+// nextLinks stop working when the server restarts
+const SKIPTOKEN_KEY = crypto.createHash('sha256')
+  .update(process.env.ODATA_SKIPTOKEN_SECRET || crypto.randomBytes(32))
+  .digest()
 
-  return dbFields.length > 0 ? dbFields.join(', ') : Object.values(fieldMap).join(', ')
+// $skiptoken: the $orderby it was issued for and the last row's sort values
+// (key last) as JSON, encrypted with AES-256-GCM so clients can neither read
+// the internal key nor alter the position. base64url of IV, auth tag and ciphertext.
+function encodeSkipToken(orderby, values) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', SKIPTOKEN_KEY, iv)
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify({ o: orderby || '', v: values })), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url')
 }
 
-// Parse $orderby to SQL ORDER BY clause (validated against whitelist)
-function parseOrderBy(orderby, fieldMap) {
-  if (!orderby) return ''
+function decodeSkipToken(token, orderby, termCount) {
+  let decoded
+  try {
+    const data = Buffer.from(token, 'base64url')
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SKIPTOKEN_KEY, data.subarray(0, 12))
+    decipher.setAuthTag(data.subarray(12, 28))
+    decoded = JSON.parse(Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8'))
+  } catch {
+    throw queryOptionError('$skiptoken', 'Invalid $skiptoken')
+  }
+  if (!decoded || decoded.o !== (orderby || '') || !Array.isArray(decoded.v) || decoded.v.length !== termCount) {
+    throw queryOptionError('$skiptoken', 'Invalid $skiptoken')
+  }
+  return decoded.v
+}
 
-  const allowedFields = new Set(Object.keys(fieldMap))
-  const parts = orderby.split(',').map(part => {
-    const [field, direction] = part.trim().split(/\s+/)
+// Sort value selected for the skiptoken. Dates and times are selected as ISO
+// 8601 text: read into JavaScript they would lose datetime2's sub-millisecond
+// precision, and resuming would skip or repeat rows. Compared with the column,
+// the text converts back to the column's type.
+function sortValueSql(term) {
+  const family = typeFamily(term.type)
+  return family === 'temporal' || family === 'timeofday' ? `CONVERT(varchar(33), ${term.sql}, 126)` : term.sql
+}
 
-    if (!allowedFields.has(field)) {
-      throw new Error(`Invalid field in $orderby: ${field}`)
+// Rows sorting after the skiptoken position. SQL Server sorts NULLs first, so a
+// NULL precedes every value ascending and follows every value descending.
+function keysetPredicate(terms, values, params) {
+  const placeholders = values.map((value, i) => {
+    params[`skiptoken${i}`] = value
+    return `@skiptoken${i}`
+  })
+  const equals = (term, i) => values[i] === null ? `${term.sql} IS NULL` : `${term.sql} = ${placeholders[i]}`
+  const after = (term, i) => {
+    if (term.direction === 'ASC') {
+      return values[i] === null ? `${term.sql} IS NOT NULL` : `${term.sql} > ${placeholders[i]}`
     }
+    return values[i] === null ? null : `(${term.sql} < ${placeholders[i]} OR ${term.sql} IS NULL)`
+  }
 
-    const dbField = fieldMap[field]
-    const dir = direction?.toLowerCase() === 'desc' ? 'DESC' : 'ASC'
-    return `${dbField} ${dir}`
-  })
+  const branches = terms.map((term, i) => {
+    const condition = after(term, i)
+    return condition && [...terms.slice(0, i).map(equals), condition].join(' AND ')
+  }).filter(Boolean)
+  return branches.length > 0 ? `(${branches.join(' OR ')})` : '1 = 0'
+}
+
+// SQL and result type of one aggregate() expression
+function aggregateSql({ field, method }, fieldMap, fieldTypes) {
+  if (method === 'count') {
+    return { sql: 'COUNT(*)', type: 'Edm.Int32' }
+  }
+  if (!Object.hasOwn(fieldMap, field)) {
+    throw new Error(`Unknown field: ${field}`)
+  }
+
+  const type = fieldTypes[field]
+  const column = getEnumType(type) ? enumMemberSql(type, fieldMap[field]) : fieldMap[field]
+  if (method === 'countdistinct') {
+    return { sql: `COUNT(DISTINCT ${column})`, type: 'Edm.Int32' }
+  }
 
-  return parts.join(', ')
+  const accepted = method === 'min' || method === 'max' ? ['numeric', 'temporal', 'timeofday', 'string'] : 'numeric'
+  if (!acceptsFamily(type, accepted) || getEnumType(type)) {
+    throw new Error(`${method} is not supported for ${field} (${describeType(type)})`)
+  }
+  if (method === 'average') {
+    return { sql: `AVG(CAST(${column} AS float))`, type: 'Edm.Double' }
+  }
+  return { sql: `${method.toUpperCase()}(${column})`, type }
 }
 
-// Parse $expand to list of expansions (validated against allowed expansions)
-function parseExpand(expand, allowedExpansions) {
-  if (!expand) return []
+// $apply: filter() steps become the WHERE clause and groupby/aggregate the
+// SELECT list of a grouped subquery. $filter, $orderby, $count and paging then
+// apply to the aggregated rows, whose columns are the group properties and aliases.
+function buildApplyQuery(options) {
+  const {
+    table, fieldMap, fieldTypes = {}, limits, largeTextFields, derivedFields, collections, navigations, keyDecoders, query, baseUrl, baseWhere
+  } = options
+  const { top, skip, count } = parsePaging(query)
 
-  const expansions = expand.split(',').map(e => e.trim())
-  const allowed = new Set(allowedExpansions || [])
+  for (const option of ['$select', '$compute', '$search', '$expand']) {
+    if (query[option]) {
+      throw queryOptionError(option, `${option} cannot be combined with $apply`)
+    }
+  }
+
+  const plan = parseApply(query.$apply)
+  const whereConditions = []
+  const params = {}
 
-  for (const exp of expansions) {
-    if (!allowed.has(exp)) {
-      throw new Error(`Invalid $expand: ${exp}. Allowed: ${allowedExpansions.join(', ')}`)
+  if (baseWhere?.sql) {
+    whereConditions.push(baseWhere.sql)
+  }
+  Object.assign(params, baseWhere?.params || {})
+
+  plan.filters.forEach((expression, i) => {
+    const filter = parseFilter(expression, fieldMap, {
+      fieldTypes, limits, largeTextFields, derivedFields, collections, navigations, keyDecoders, paramPrefix: `apply${i}_`
+    })
+    whereConditions.push(filter.topLevelOr ? `(${filter.sql})` : filter.sql)
+    Object.assign(params, filter.params)
+  })
+
+  // Output property -> EDM type; enum groups hold member names, so they are strings
+  const outputTypes = {}
+  const columns = []
+  const groupColumns = []
+
+  try {
+    for (const field of plan.groupBy || []) {
+      if (!Object.hasOwn(fieldMap, field)) {
+        throw new Error(`Unknown field: ${field}`)
+      }
+      if (Object.hasOwn(outputTypes, field)) {
+        throw new Error(`Duplicate groupby property: ${field}`)
+      }
+      const type = fieldTypes[field]
+      const column = getEnumType(type) ? enumMemberSql(type, fieldMap[field]) : fieldMap[field]
+      groupColumns.push(column)
+      columns.push(`${column} AS [${field}]`)
+      outputTypes[field] = getEnumType(type) ? 'Edm.String' : type
+    }
+
+    for (const aggregate of plan.aggregates) {
+      if (Object.hasOwn(fieldMap, aggregate.alias) || Object.hasOwn(outputTypes, aggregate.alias)) {
+        throw new Error(`Alias ${aggregate.alias} conflicts with an existing property`)
+      }
+      const { sql, type } = aggregateSql(aggregate, fieldMap, fieldTypes)
+      columns.push(`${sql} AS [${aggregate.alias}]`)
+      outputTypes[aggregate.alias] = type
     }
+  } catch (err) {
+    throw invalidQueryOption('$apply', err)
+  }
+
+  if (columns.length === 0) {
+    throw queryOptionError('$apply', 'Invalid $apply: groupby or aggregate is required')
+  }
+
+  const applied = `(
+      SELECT ${columns.join(', ')}
+      FROM ${table}
+      ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+      ${groupColumns.length > 0 ? `GROUP BY ${groupColumns.join(', ')}` : ''}
+    ) AS applied`
+
+  // $filter and $orderby address the aggregated columns by name
+  const outputFieldMap = Object.fromEntries(Object.keys(outputTypes).map(name => [name, `[${name}]`]))
+  const filter = parseFilter(query.$filter, outputFieldMap, { fieldTypes: outputTypes, limits })
+  Object.assign(params, filter.params)
+  const whereClause = filter.sql ? `WHERE ${filter.sql}` : ''
+
+  // Groups are unique by their groupby properties: ordering by all of them, then
+  // the aliases, after any $orderby makes OFFSET paging deterministic
+  const orderTerms = parseOrderByTerms(query.$orderby, outputFieldMap)
+  const tieBreakers = Object.values(outputFieldMap).filter(column => !orderTerms.some(term => term.sql === column))
+  const orderByClause = `ORDER BY ${[...orderTerms.map(term => `${term.sql} ${term.direction}`), ...tieBreakers].join(', ')}`
+
+  const dataQuery = `
+    SELECT *
+    FROM ${applied}
+    ${whereClause}
+    ${orderByClause}
+    OFFSET ${skip} ROWS
+    FETCH NEXT ${top} ROWS ONLY
+  `
+
+  const countQuery = count ? `
+    SELECT COUNT(*) as total
+    FROM ${applied}
+    ${whereClause}
+  ` : null
+
+  return {
+    dataQuery,
+    countQuery,
+    params,
+    top,
+    skip,
+    nextLinkBuilder: baseUrl ? createNextLinkBuilder(baseUrl, query, top, () => ({ $skip: String(skip + top) })) : null,
+    aggregateProperties: Object.keys(outputTypes)
   }
+}
 
-  return expansions
+// Computed (or derived) properties present in the results: all of them without $select
+function selectedComputed(select, computed, collections) {
+  if (!select) return Object.keys(computed)
+  return parseSelectItems(select, collections || {})
+    .map(item => item.name)
+    .filter(name => Object.hasOwn(computed, name))
+}
+
+// Fields an explicit $select fetches without naming them: extraFields and
+// those the selected derived fields and collections dependsOn
+function hiddenFields(select, extraFields, derivedFields, collections) {
+  if (!select) return []
+  const items = parseSelectItems(select, collections || {})
+  const selected = items.map(item => item.name)
+  const dependencies = items.flatMap(item => Object.hasOwn(derivedFields, item.name)
+    ? derivedFields[item.name].dependsOn || []
+    : item.collection?.dependsOn || [])
+  return [...new Set([...extraFields, ...dependencies])].filter(field => !selected.includes(field))
 }
 
 // Build complete SQL query
@@ -334,39 +1863,76 @@ function buildQuery(options) {
   const {
     table,
     fieldMap,
+    fieldTypes, // Optional: RESO field name -> EDM type, used to type-check $filter and sort enums
+    limits, // Optional: query cost limits for the client (see limits.js)
+    largeTextFields, // Optional: fields $filter and $search may only scan alongside a selective condition
+    derivedFields, // Optional: synthesized fields, e.g. { Location: { sql, dependsOn: ['Latitude', 'Longitude'] } }
+    collections, // Optional: collection-valued fields usable in $filter lambdas, e.g. { Media: { source, fieldMap } },
+    // and in $select when they declare the `column` holding them (and the fields it dependsOn)
+    navigations, // Optional: single-valued navigation properties usable in $filter/$orderby paths
+    keyDecoders, // Optional: encoded key fields -> decoder of $filter literals, e.g. { ResourceRecordKey: decodeListingKey }
+    searchFields, // Optional: string fields matched by $search terms; $search is rejected without them
+    extraFields = [], // Optional: fields the caller needs whatever $select says (ETag fields, expansion keys);
+    // those $select leaves out, like those of selected collections, are returned as hiddenFields for omitFields to drop
     query,
     keyField,
     keyValue,
     baseUrl,
-    baseWhere // Optional: { sql: 'COLUMN = @param', params: { param: 'value' } }
+    baseWhere // Optional: { sql: 'COLUMN = @param', params: { param: 'value' } }; without sql, params the table itself uses
   } = options
 
-  const top = Math.min(Math.max(parseInt(query.$top) || 100, 1), 1000) // Limit between 1-1000
-  const skip = Math.max(parseInt(query.$skip) || 0, 0)
-  const count = query.$count === 'true'
+  if (query.$apply && !keyValue) {
+    return buildApplyQuery(options)
+  }
+
+  const { top, skip, count } = parsePaging(query)
+
+  // Computed properties behave as derived fields in $select, $filter and $orderby
+  const compute = parseCompute(query.$compute, fieldMap, { fieldTypes, limits, derivedFields, collections, navigations })
+  const computedTypes = Object.fromEntries(Object.entries(compute.fields).map(([name, field]) => [name, field.type]))
+  const queryFields = { ...derivedFields, ...compute.fields }
+  const queryTypes = { ...fieldTypes, ...computedTypes }
 
   // Build SELECT clause (validated)
-  const selectFields = parseSelect(query.$select, fieldMap)
+  const selectFields = parseSelect(query.$select, fieldMap, queryFields, collections, extraFields)
 
   // Build WHERE clause (parameterized)
   let whereConditions = []
-  let params = {}
+  let params = { ...compute.params }
 
-  // Apply base filter (always applied)
+  // Apply base filter (always applied); a table may use its params without sql
   if (baseWhere?.sql) {
     whereConditions.push(baseWhere.sql)
-    Object.assign(params, baseWhere.params || {})
   }
+  Object.assign(params, baseWhere?.params || {})
 
   if (keyValue) {
     // Single entity lookup - parameterized
     whereConditions.push(`${fieldMap[keyField]} = @keyValue`)
     params.keyValue = keyValue
-  } else if (query.$filter) {
-    const filter = parseFilter(query.$filter, fieldMap)
-    if (filter.sql) {
-      whereConditions.push(filter.sql)
-      Object.assign(params, filter.params)
+  } else {
+    let selective = false
+    if (query.$filter) {
+      const filter = parseFilter(query.$filter, fieldMap, {
+        fieldTypes: queryTypes, limits, largeTextFields, derivedFields: queryFields, collections, navigations, keyDecoders
+      })
+      if (filter.sql) {
+        // Keep a top-level OR grouped so it cannot escape the base filter
+        whereConditions.push(filter.topLevelOr ? `(${filter.sql})` : filter.sql)
+        Object.assign(params, filter.params)
+      }
+      selective = filter.selective
+    }
+
+    if (query.$search) {
+      if (!searchFields) {
+        throw queryOptionError('$search', '$search is not supported on this resource')
+      }
+      const search = parseSearch(query.$search, fieldMap, searchFields, { ...DEFAULT_LIMITS, ...limits }, {
+        largeTextFields, selective
+      })
+      whereConditions.push(search.topLevelOr ? `(${search.sql})` : search.sql)
+      Object.assign(params, search.params)
     }
   }
 
@@ -374,45 +1940,54 @@ function buildQuery(options) {
     ? `WHERE ${whereConditions.join(' AND ')}`
     : ''
 
-  // Build ORDER BY clause (validated)
-  const orderBy = parseOrderBy(query.$orderby, fieldMap)
-  const orderByClause = orderBy ? `ORDER BY ${orderBy}` : `ORDER BY ${Object.values(fieldMap)[0]}`
+  // Build ORDER BY clause (validated). The key breaks ties so the order is
+  // total and keyset paging neither repeats nor skips rows.
+  const orderTerms = parseOrderByTerms(query.$orderby, fieldMap, { navigations, fieldTypes, computed: compute.fields })
+  const keyColumn = fieldMap[keyField] || Object.values(fieldMap)[0]
+  if (!orderTerms.some(term => term.sql === keyColumn)) {
+    orderTerms.push({ sql: keyColumn, direction: 'ASC' })
+  }
+  const orderByClause = `ORDER BY ${orderTerms.map(term => `${term.sql} ${term.direction}`).join(', ')}`
+
+  // Server-driven paging: the sort values are selected as _sort0.._sortN so the
+  // nextLink can resume after the last row with a $skiptoken
+  let columns = selectFields
+  let dataWhereClause = whereClause
+  let offset = skip
+  if (baseUrl && !keyValue) {
+    columns += orderTerms.map((term, i) => `, ${sortValueSql(term)} AS _sort${i}`).join('')
+    if (query.$skiptoken) {
+      const values = decodeSkipToken(query.$skiptoken, query.$orderby, orderTerms.length)
+      const keyset = keysetPredicate(orderTerms, values, params)
+      dataWhereClause = whereClause ? `${whereClause} AND ${keyset}` : `WHERE ${keyset}`
+      offset = 0
+    }
+  }
 
   // Build main query with pagination
   const dataQuery = `
-    SELECT ${selectFields}
+    SELECT ${columns}
     FROM ${table}
-    ${whereClause}
+    ${dataWhereClause}
     ${orderByClause}
-    OFFSET ${skip} ROWS
+    OFFSET ${offset} ROWS
     FETCH NEXT ${top} ROWS ONLY
   `
 
-  // Build count query if needed
+  // Build count query if needed (counts the whole result, not what follows the skiptoken)
   const countQuery = count ? `
     SELECT COUNT(*) as total
     FROM ${table}
     ${whereClause}
   ` : null
 
-  // Build nextLink if there might be more results
-  let nextLinkBuilder = null
-  if (baseUrl) {
-    nextLinkBuilder = (totalCount) => {
-      if (skip + top < totalCount) {
-        const nextSkip = skip + top
-        const queryParams = new URLSearchParams()
-        queryParams.set('$top', top.toString())
-        queryParams.set('$skip', nextSkip.toString())
-        if (query.$select) queryParams.set('$select', query.$select)
-        if (query.$filter) queryParams.set('$filter', query.$filter)
-        if (query.$orderby) queryParams.set('$orderby', query.$orderby)
-        if (query.$count) queryParams.set('$count', query.$count)
-        return `${baseUrl}?${queryParams.toString()}`
-      }
-      return null
-    }
-  }
+  // Build nextLink from the last row's sort values when the page is full
+  const nextLinkBuilder = baseUrl && !keyValue
+    ? createNextLinkBuilder(baseUrl, query, top, rows => {
+      const last = rows[rows.length - 1]
+      return { $skiptoken: encodeSkipToken(query.$orderby, orderTerms.map((_, i) => last[`_sort${i}`])) }
+    })
+    : null
 
   return {
     dataQuery,
@@ -420,12 +1995,29 @@ function buildQuery(options) {
     params,
     top,
     skip,
-    nextLinkBuilder
+    nextLinkBuilder,
+    collectionSelect: parseCollectionSelect(query.$select, collections),
+    computedProperties: selectedComputed(query.$select, compute.fields, collections),
+    derivedProperties: selectedComputed(query.$select, derivedFields || {}, collections),
+    hiddenFields: hiddenFields(query.$select, extraFields, queryFields, collections)
   }
 }
 
-// Transform DB row to RESO format
-function transformRow(row, reverseFieldMap) {
+// Build the query behind a /$count path segment. Only the options that
+// restrict the collection apply; $top, $skip, $orderby, $select and $expand are ignored.
+function buildCountQuery(options) {
+  const { query } = options
+  const { countQuery, params } = buildQuery({
+    ...options,
+    query: { $compute: query.$compute, $filter: query.$filter, $search: query.$search, $apply: query.$apply, $count: 'true' },
+    keyValue: undefined,
+    baseUrl: undefined
+  })
+  return { countQuery, params }
+}
+
+// Transform DB row to RESO format, including the selected computed properties
+function transformRow(row, reverseFieldMap, computedProperties = []) {
   const result = {}
   for (const [dbField, value] of Object.entries(row)) {
     const resoField = reverseFieldMap[dbField]
@@ -433,15 +2025,32 @@ function transformRow(row, reverseFieldMap) {
       result[resoField] = value
     }
   }
+  for (const name of computedProperties) {
+    result[name] = row[`${COMPUTE_COLUMN_PREFIX}${name}`]
+  }
   return result
 }
 
+// Entities without the hiddenFields buildQuery selected for internal use
+function omitFields(entities, fields = []) {
+  if (fields.length === 0) return entities
+  return entities.map(entity => Object.fromEntries(Object.entries(entity).filter(([name]) => !fields.includes(name))))
+}
+
 module.exports = {
   parseFilter,
+  parseCompute,
+  parseSearch,
   parseSelect,
+  parseCollectionSelect,
+  applyCollectionSelect,
   parseOrderBy,
   parseExpand,
+  parseExpandItems,
   buildQuery,
+  buildCountQuery,
   transformRow,
-  tokenizeFilter
+  omitFields,
+  tokenizeFilter,
+  parseFilterExpression
 }
@@ -0,0 +1,85 @@
+const { transformRow } = require('../parser')
+const { getFieldTypes, mediaFields, concurrencyFields } = require('../metadata')
+const { entitySetHandlers } = require('../entitySet')
+const property = require('./property')
+
+// One row per photo of the exposed listings, shredded from PROPERTYPHOTOS like
+// the Media embedded in Property, so MediaKey and Order are the same in both.
+// The XML holds only URLs: every item is a listing photo and ImageOf is unknown.
+// Listings are scoped by property.BASE_WHERE before their photos are shredded.
+const TABLE = `(
+    SELECT listings.IDCPROPERTYID, listings.IDCMLSNUMBER, listings.PHOTOMODIFIEDDATE,
+      'Property' AS ResourceName, 'Photo' AS MediaCategory, CAST(NULL AS nvarchar(50)) AS ImageOf,
+      items.MediaKey, items.MediaURL, items.MediaOrder
+    FROM ${property.TABLE} AS listings
+    CROSS APPLY ${property.MEDIA_SOURCE} AS items
+    WHERE ${property.BASE_WHERE.sql}
+  ) AS media`
+const ENTITY_SET = 'Media'
+const KEY_FIELD = 'MediaKey'
+
+// Only media of exposed listings: the condition is inside TABLE, its
+// parameters are bound with every query
+const BASE_WHERE = { params: property.BASE_WHERE.params }
+
+// Navigation properties (see navigation.js)
+const relationships = {}
+
+// RESO field name -> column of TABLE
+const fieldMap = {
+  MediaKey: 'MediaKey',
+  ResourceName: 'ResourceName',
+  ResourceRecordKey: 'IDCPROPERTYID',
+  ResourceRecordID: 'IDCMLSNUMBER',
+  MediaCategory: 'MediaCategory',
+  MediaURL: 'MediaURL',
+  Order: 'MediaOrder',
+  ImageOf: 'ImageOf',
+  ModificationTimestamp: 'PHOTOMODIFIEDDATE'
+}
+
+// RESO field name -> EDM type for $filter type checking
+const fieldTypes = getFieldTypes(mediaFields)
+
+// ResourceRecordKey holds encoded ListingKeys, as in Property
+const keyDecoders = { ResourceRecordKey: property.decodeListingKey }
+
+// Fields the entity ETag is computed from, selected whatever $select says
+const ETAG_FIELDS = concurrencyFields.Media
+
+// Reverse map for transforming results
+const reverseFieldMap = Object.fromEntries(
+  Object.entries(fieldMap).map(([k, v]) => [v, k])
+)
+
+function transformMediaRow(row, computedProperties) {
+  const result = transformRow(row, reverseFieldMap, computedProperties)
+  if (result.ResourceRecordKey) {
+    result.ResourceRecordKey = property.encodeListingKey(result.ResourceRecordKey)
+  }
+  return result
+}
+
+// Key from a Media('key') route; MediaKeys are hex strings, never numbers
+function keyParam(req) {
+  const key = req.params.key
+  return key.startsWith("'") && key.endsWith("'") ? key.slice(1, -1) : key
+}
+
+// Route handlers: list, count, get, value and the send* functions navigation.js uses
+const handlers = entitySetHandlers({
+  TABLE, ENTITY_SET, KEY_FIELD, fieldMap, fieldTypes, reverseFieldMap, ETAG_FIELDS,
+  BASE_WHERE, keyDecoders, relationships, transformEntity: transformMediaRow, entityKey: keyParam
+})
+
+module.exports = {
+  ...handlers,
+  relationships,
+  fieldMap,
+  fieldTypes,
+  reverseFieldMap,
+  TABLE,
+  ENTITY_SET,
+  KEY_FIELD,
+  BASE_WHERE
+}
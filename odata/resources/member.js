@@ -1,9 +1,21 @@
-const db = require('../../db')
-const { buildQuery, transformRow } = require('../parser')
+const { getFieldTypes, memberFields, concurrencyFields } = require('../metadata')
+const { entitySetHandlers } = require('../entitySet')
 
 const TABLE = 'idc_agy.AGY_AGENT'
+const ENTITY_SET = 'Member'
 const KEY_FIELD = 'MemberKey'
 
+// Navigation properties available to $expand (nested, as in Property?$expand=ListAgent($expand=Office))
+const expansions = {
+  Office: { resource: () => require('./office'), localKey: 'OfficeKey', remoteKey: 'OfficeKey' }
+}
+
+// Navigation properties (see navigation.js)
+const relationships = {
+  ...expansions,
+  Listings: { resource: () => require('./property'), localKey: 'MemberKey', remoteKey: 'ListAgentKey', collection: true }
+}
+
 // RESO field name -> DB column name
 const fieldMap = {
   MemberKey: 'AGENTKEY',
@@ -27,92 +39,34 @@ const fieldMap = {
   ModificationTimestamp: 'LASTMODIFIED'
 }
 
+// RESO field name -> EDM type for $filter type checking
+const fieldTypes = getFieldTypes(memberFields)
+
+// Fields the entity ETag is computed from, selected whatever $select says
+const ETAG_FIELDS = concurrencyFields.Member
+
+// Free text that $filter may only scan (contains, endswith) alongside a selective condition
+const LARGE_TEXT_FIELDS = ['MemberComments']
+
 // Reverse map for transforming results
 const reverseFieldMap = Object.fromEntries(
   Object.entries(fieldMap).map(([k, v]) => [v, k])
 )
 
-async function list(req, res, next) {
-  try {
-    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`
-
-    const { dataQuery, countQuery, params } = buildQuery({
-      table: TABLE,
-      fieldMap,
-      query: req.query,
-      keyField: KEY_FIELD
-    })
-
-    // Execute queries
-    const [dataResult, countResult] = await Promise.all([
-      db.query(dataQuery, params),
-      countQuery ? db.query(countQuery, params) : Promise.resolve(null)
-    ])
-
-    // Transform rows to RESO format
-    const value = dataResult.recordset.map(row => transformRow(row, reverseFieldMap))
-
-    // Build response
-    const response = {
-      '@odata.context': `${baseUrl}/$metadata#Member`
-    }
-
-    if (countResult) {
-      response['@odata.count'] = countResult.recordset[0].total
-    }
-
-    response.value = value
-
-    res.json(response)
-  } catch (err) {
-    next(err)
-  }
-}
-
-async function get(req, res, next) {
-  try {
-    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`
-
-    // Extract key from route param
-    let key = req.params.key
-    if (key.startsWith("'") && key.endsWith("'")) {
-      key = key.slice(1, -1)
-    }
-    key = parseInt(key) || key
-
-    const { dataQuery, params } = buildQuery({
-      table: TABLE,
-      fieldMap,
-      query: req.query,
-      keyField: KEY_FIELD,
-      keyValue: key
-    })
-
-    const result = await db.query(dataQuery, params)
-
-    if (result.recordset.length === 0) {
-      return res.status(404).json({
-        error: {
-          code: 'NotFound',
-          message: `Member with key '${key}' not found`
-        }
-      })
-    }
-
-    const entity = transformRow(result.recordset[0], reverseFieldMap)
-    entity['@odata.context'] = `${baseUrl}/$metadata#Member/$entity`
-
-    res.json(entity)
-  } catch (err) {
-    next(err)
-  }
-}
+// Route handlers: list, count, get, value and the send* functions navigation.js uses
+const handlers = entitySetHandlers({
+  TABLE, ENTITY_SET, KEY_FIELD, fieldMap, fieldTypes, reverseFieldMap, ETAG_FIELDS, LARGE_TEXT_FIELDS, relationships
+})
 
 module.exports = {
-  list,
-  get,
+  ...handlers,
+  expansions,
+  relationships,
   fieldMap,
+  fieldTypes,
   reverseFieldMap,
   TABLE,
-  KEY_FIELD
+  ENTITY_SET,
+  KEY_FIELD,
+  LARGE_TEXT_FIELDS
 }
@@ -0,0 +1,77 @@
+const { transformRow } = require('../parser')
+const { getFieldTypes, openHouseFields, concurrencyFields } = require('../metadata')
+const { entitySetHandlers } = require('../entitySet')
+const property = require('./property')
+
+// Open houses by listing. This view and the columns in fieldMap follow the
+// naming of the other idc_agy views but are not yet confirmed against the
+// database: check them with node query.js SELECT TOP 1 * FROM idc_agy.AGY_OPENHOUSE,
+// then set ODATA_ENABLE_OPENHOUSE=true to route and advertise the entity set
+const TABLE = 'idc_agy.AGY_OPENHOUSE'
+const ENTITY_SET = 'OpenHouse'
+const KEY_FIELD = 'OpenHouseKey'
+
+// Navigation properties (see navigation.js)
+const relationships = {}
+
+// RESO field name -> DB column name
+const fieldMap = {
+  OpenHouseKey: 'OPENHOUSEID',
+  ListingKey: 'IDCPROPERTYID',
+  OpenHouseDate: 'OPENHOUSEDATE',
+  OpenHouseStartTime: 'STARTTIME',
+  OpenHouseEndTime: 'ENDTIME',
+  OpenHouseRemarks: 'REMARKS',
+  ShowingAgentKey: 'AGENTKEY',
+  ModificationTimestamp: 'LASTMODIFIED'
+}
+
+// Only open houses of exposed listings, scoped like Property
+const BASE_WHERE = {
+  sql: `${fieldMap.ListingKey} IN (SELECT ${property.fieldMap.ListingKey} FROM ${property.TABLE} WHERE ${property.BASE_WHERE.sql})`,
+  params: property.BASE_WHERE.params
+}
+
+// RESO field name -> EDM type for $filter type checking
+const fieldTypes = getFieldTypes(openHouseFields)
+
+// ListingKey holds encoded ListingKeys, as in Property
+const keyDecoders = { ListingKey: property.decodeListingKey }
+
+// Fields the entity ETag is computed from, selected whatever $select says
+const ETAG_FIELDS = concurrencyFields.OpenHouse
+
+// Free text that $filter may only scan (contains, endswith) alongside a selective condition
+const LARGE_TEXT_FIELDS = ['OpenHouseRemarks']
+
+// Reverse map for transforming results
+const reverseFieldMap = Object.fromEntries(
+  Object.entries(fieldMap).map(([k, v]) => [v, k])
+)
+
+function transformOpenHouseRow(row, computedProperties) {
+  const result = transformRow(row, reverseFieldMap, computedProperties)
+  if (result.ListingKey) {
+    result.ListingKey = property.encodeListingKey(result.ListingKey)
+  }
+  return result
+}
+
+// Route handlers: list, count, get, value and the send* functions navigation.js uses
+const handlers = entitySetHandlers({
+  TABLE, ENTITY_SET, KEY_FIELD, fieldMap, fieldTypes, reverseFieldMap, ETAG_FIELDS,
+  BASE_WHERE, LARGE_TEXT_FIELDS, keyDecoders, relationships, transformEntity: transformOpenHouseRow
+})
+
+module.exports = {
+  ...handlers,
+  relationships,
+  fieldMap,
+  fieldTypes,
+  reverseFieldMap,
+  TABLE,
+  ENTITY_SET,
+  KEY_FIELD,
+  BASE_WHERE,
+  LARGE_TEXT_FIELDS
+}
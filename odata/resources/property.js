@@ -1,6 +1,16 @@
 const crypto = require('crypto')
 const db = require('../../db')
-const { buildQuery, transformRow, parseExpand } = require('../parser')
+const { buildQuery, buildCountQuery, transformRow, omitFields, applyCollectionSelect } = require('../parser')
+const { limitsForClient } = require('../limits')
+const { getFieldTypes, propertyFields, mediaItemFields, concurrencyFields, openHouseEnabled } = require('../metadata')
+const { pointSql, toGeoJsonPoint } = require('../geo')
+const { decodeEnums } = require('../enums')
+const { parseExpansions, expandEntities, expansionKeys } = require('../expand')
+const { annotateEntities } = require('../format')
+const { tagEntities, collectionETag, matchesETag } = require('../etag')
+const { sendPropertyValue, propertyNotFound } = require('../values')
+const member = require('./member')
+const office = require('./office')
 
 // Simple hash encoding for ListingKey
 // Uses 32-bit hash with in-memory cache for reverse lookups
@@ -30,8 +40,26 @@ function decodeListingKey(encoded) {
 }
 
 const TABLE = 'idc_agy.AGY_CMNCMN_VW'
+const ENTITY_SET = 'Property'
 const KEY_FIELD = 'ListingKey'
-const ALLOWED_EXPANSIONS = ['ListAgent', 'ListOffice']
+
+// Navigation properties available to $expand
+const expansions = {
+  ListAgent: { resource: () => member, localKey: 'ListAgentKey', remoteKey: 'MemberKey' },
+  ListOffice: { resource: () => office, localKey: 'ListOfficeKey', remoteKey: 'OfficeKey' }
+}
+
+// Navigation properties (see navigation.js). Media is not one: it is a
+// collection of MediaItem embedded in each listing (see collections), whose
+// photos the Media entity set serves one by one. OpenHouses only once OpenHouse
+// is served (see metadata.js).
+const relationships = {
+  ...expansions,
+  ...(openHouseEnabled && {
+    OpenHouses: { resource: () => require('./openHouse'), localKey: 'ListingKey', remoteKey: 'ListingKey', collection: true }
+  })
+}
+const ALLOWED_EXPANSIONS = Object.keys(expansions)
 
 // Only expose internal/exclusive listings
 const BASE_WHERE = {
@@ -71,30 +99,131 @@ const fieldMap = {
   ModificationTimestamp: 'LASTMODIFIED',
   PhotoCount: 'MLSPHOTOCOUNT',
   PhotosChangeTimestamp: 'PHOTOMODIFIEDDATE',
-  CurrencyCode: 'CURRENCY',
-  _PhotosXML: 'PROPERTYPHOTOS'
+  CurrencyCode: 'CURRENCY'
+}
+
+// Photo URLs as XML; only fetched when Media is selected
+const PHOTOS_COLUMN = 'PROPERTYPHOTOS'
+
+// Fields synthesized from other columns: filterable through `sql`,
+// selecting them fetches the `dependsOn` fields
+const derivedFields = {
+  Location: {
+    sql: pointSql(fieldMap.Latitude, fieldMap.Longitude),
+    dependsOn: ['Latitude', 'Longitude']
+  }
+}
+
+// Media lives in the PROPERTYPHOTOS XML column as <URL> elements. For $filter
+// lambdas (Media/any(m: ...)) and Media/$count it is shredded into one row per
+// photo, mirroring parsePhotosXML: Order is the 1-based document position and
+// MediaKey is mediaKey() of the listing's IDCPROPERTYID, the URL and how many
+// times that URL has appeared so far, so it survives reordering and deleting
+// other photos. Malformed XML converts to NULL and yields no photos.
+const MEDIA_SOURCE = `(
+  SELECT MediaURL, MediaOrder,
+    LOWER(LEFT(CONVERT(varchar(64), HASHBYTES('SHA2_256',
+      CONCAT(CAST(${fieldMap.ListingKey} AS nvarchar(50)), N':', MediaURL, N':', MediaOccurrence)), 2), 16)) AS MediaKey
+  FROM (
+    SELECT urls.photo.value('.', 'nvarchar(2000)') AS MediaURL,
+      urls.photo.value('let $u := . return count(//URL[. << $u]) + 1', 'int') AS MediaOrder,
+      urls.photo.value('let $u := . return count(//URL[. << $u and . = $u]) + 1', 'int') AS MediaOccurrence
+    FROM (SELECT TRY_CONVERT(xml, ${PHOTOS_COLUMN}) AS doc) AS photos
+    CROSS APPLY photos.doc.nodes('//URL') AS urls(photo)
+  ) AS shredded
+)`
+
+// Embedded Media items carry a subset of the Media entity's fields
+const MEDIA_ITEM_FIELDS = { MediaKey: 'MediaKey', MediaURL: 'MediaURL', Order: 'MediaOrder' }
+
+// MediaKey of the occurrence-th photo with url of the listing with IDCPROPERTYID
+// listingId; MEDIA_SOURCE computes the same in SQL, hashing the nvarchar (UTF-16) text
+function mediaKey(listingId, url, occurrence) {
+  return crypto.createHash('sha256').update(`${listingId}:${url}:${occurrence}`, 'utf16le').digest('hex').substring(0, 16)
+}
+
+// Selecting Media also fetches the ListingKey its MediaKeys are derived from
+const collections = {
+  Media: {
+    column: PHOTOS_COLUMN,
+    dependsOn: ['ListingKey'],
+    source: MEDIA_SOURCE,
+    fieldMap: MEDIA_ITEM_FIELDS,
+    fieldTypes: getFieldTypes(mediaItemFields)
+  }
 }
 
+// Single-valued navigation properties usable in $filter and $orderby paths
+// (ListAgent/MemberLastName, ListOffice/OfficeName), whitelisted by the
+// related resource's own field map
+const navigations = {
+  ListAgent: {
+    table: member.TABLE,
+    key: member.fieldMap[member.KEY_FIELD],
+    foreignKey: `${TABLE}.${fieldMap.ListAgentKey}`,
+    fieldMap: member.fieldMap,
+    fieldTypes: member.fieldTypes
+  },
+  ListOffice: {
+    table: office.TABLE,
+    key: office.fieldMap[office.KEY_FIELD],
+    foreignKey: `${TABLE}.${fieldMap.ListOfficeKey}`,
+    fieldMap: office.fieldMap,
+    fieldTypes: office.fieldTypes
+  }
+}
+
+// RESO field name -> EDM type for $filter type checking
+const fieldTypes = getFieldTypes(propertyFields)
+
+// Fields matched by $search terms
+const SEARCH_FIELDS = ['UnparsedAddress', 'City', 'PostalCode', 'ListingId', 'PublicRemarks']
+
+// Fields the entity ETag is computed from, selected whatever $select says
+const ETAG_FIELDS = concurrencyFields.Property
+
+// Free text that $filter may only scan (contains, endswith) alongside a selective condition
+const LARGE_TEXT_FIELDS = ['PublicRemarks']
+
 // Reverse map for transforming results
 const reverseFieldMap = Object.fromEntries(
   Object.entries(fieldMap).map(([k, v]) => [v, k])
 )
 
-// Parse XML photo URLs to array
+// Predefined XML entities; with character references, what the xml type's
+// .value() in MEDIA_SOURCE decodes
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(amp|lt|gt|quot|apos));/g, (entity, hex, decimal, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16))
+    if (decimal) return String.fromCodePoint(parseInt(decimal, 10))
+    return XML_ENTITIES[name]
+  })
+}
+
+// An & that starts no entity or character reference: the usual reason
+// PROPERTYPHOTOS fails to convert to xml
+const STRAY_AMPERSAND = /&(?!#x[0-9a-fA-F]+;|#\d+;|(?:amp|lt|gt|quot|apos);)/
+
+// Parse XML photo URLs to array, decoded as MEDIA_SOURCE decodes them; like
+// MEDIA_SOURCE, malformed XML yields no photos
 function parsePhotosXML(xml) {
-  if (!xml) return []
+  if (!xml || STRAY_AMPERSAND.test(xml)) return []
   const urls = []
   const regex = /<URL>([^<]+)<\/URL>/g
   let match
   while ((match = regex.exec(xml)) !== null) {
-    urls.push(match[1])
+    urls.push(decodeXmlEntities(match[1]))
   }
   return urls
 }
 
-// Transform property row and handle photos
-function transformPropertyRow(row) {
-  const result = transformRow(row, reverseFieldMap)
+// Transform property row and handle photos. collectionSelect, computedProperties
+// and derivedProperties come from buildQuery; Media and Location are omitted
+// when not selected.
+function transformPropertyRow(row, collectionSelect, computedProperties, derivedProperties) {
+  const result = transformRow(row, reverseFieldMap, computedProperties)
 
   // Encode ListingKey as integer
   if (result.ListingKey) {
@@ -107,178 +236,153 @@ function transformPropertyRow(row) {
     result.LotSizeArea = isNaN(parsed) ? null : parsed
   }
 
+  // Translate StandardStatus/PropertyType codes to RESO enum members
+  decodeEnums(result, fieldTypes)
+
+  // Synthesize GeoJSON Location from coordinates
+  if (derivedProperties.includes('Location')) {
+    result.Location = toGeoJsonPoint(result.Latitude, result.Longitude)
+  }
+
   // Convert XML photos to Media array
-  if (result._PhotosXML) {
-    result.Media = parsePhotosXML(result._PhotosXML).map((url, i) => ({
-      MediaKey: crypto.createHash('sha256').update(url).digest('hex').substring(0, 16),
-      ResourceRecordKey: result.ListingKey,
-      MediaURL: url,
-      Order: i + 1
-    }))
-    delete result._PhotosXML
-  } else {
-    result.Media = []
+  if (collectionSelect.Media) {
+    const occurrences = new Map()
+    const media = parsePhotosXML(row[PHOTOS_COLUMN]).map((url, i) => {
+      occurrences.set(url, (occurrences.get(url) || 0) + 1)
+      return {
+        MediaKey: mediaKey(row[fieldMap.ListingKey], url, occurrences.get(url)),
+        MediaURL: url,
+        Order: i + 1
+      }
+    })
+    result.Media = applyCollectionSelect(media, collectionSelect.Media)
   }
 
   return result
 }
 
-// Member field map for $expand
-const memberFieldMap = {
-  MemberKey: 'AGENTKEY',
-  MemberMlsId: 'AGYAGENTID',
-  MemberFirstName: 'GIVENNAME',
-  MemberLastName: 'SURNAME',
-  MemberEmail: 'EMAILADDRESS1',
-  MemberMobilePhone: 'MOBILEPHONE',
-  MemberOfficePhone: 'BUSINESSPHONE'
-}
-
-const memberReverseFieldMap = Object.fromEntries(
-  Object.entries(memberFieldMap).map(([k, v]) => [v, k])
-)
-
-// Office field map for $expand
-const officeFieldMap = {
-  OfficeKey: 'OFFICEKEY',
-  OfficeName: 'OFFICENAME',
-  OfficeCity: 'CITY',
-  OfficeStateOrProvince: 'STATE',
-  OfficePhone: 'PHONE'
-}
-
-const officeReverseFieldMap = Object.fromEntries(
-  Object.entries(officeFieldMap).map(([k, v]) => [v, k])
-)
-
-async function expandListAgent(properties) {
-  if (properties.length === 0) return
-
-  const agentKeys = [...new Set(properties.map(p => p.ListAgentKey).filter(Boolean))]
-  if (agentKeys.length === 0) return
-
-  const placeholders = agentKeys.map((_, i) => `@agent${i}`).join(', ')
-  const params = {}
-  agentKeys.forEach((key, i) => { params[`agent${i}`] = key })
-
-  const result = await db.query(
-    `SELECT ${Object.values(memberFieldMap).join(', ')}
-     FROM idc_agy.AGY_AGENT
-     WHERE AGENTKEY IN (${placeholders})`,
-    params
-  )
-
-  const agentMap = new Map()
-  result.recordset.forEach(row => {
-    const agent = transformRow(row, memberReverseFieldMap)
-    agentMap.set(agent.MemberKey, agent)
+// Listings matching the query options within baseWhere, as the collection at
+// path (Property, or a navigation path such as Member(1)/Listings)
+async function sendCollection(req, res, { baseWhere = BASE_WHERE, path = ENTITY_SET } = {}) {
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/${path}`
+  const limits = limitsForClient(req.clientId)
+
+  // Parse $expand; the foreign keys it follows must be selected, as must the ETag fields
+  const expandItems = parseExpansions(req.query.$expand, expansions)
+
+  const {
+    dataQuery, countQuery, params, nextLinkBuilder, aggregateProperties,
+    collectionSelect, computedProperties, derivedProperties, hiddenFields
+  } = buildQuery({
+    table: TABLE,
+    fieldMap,
+    fieldTypes,
+    derivedFields,
+    collections,
+    navigations,
+    searchFields: SEARCH_FIELDS,
+    query: req.query,
+    extraFields: [...expansionKeys(expandItems, expansions), ...ETAG_FIELDS],
+    limits,
+    largeTextFields: LARGE_TEXT_FIELDS,
+    keyField: KEY_FIELD,
+    baseUrl,
+    baseWhere
   })
 
-  properties.forEach(p => {
-    if (p.ListAgentKey && agentMap.has(p.ListAgentKey)) {
-      p.ListAgent = agentMap.get(p.ListAgentKey)
-    }
-  })
-}
-
-async function expandListOffice(properties) {
-  if (properties.length === 0) return
-
-  const officeKeys = [...new Set(properties.map(p => p.ListOfficeKey).filter(Boolean))]
-  if (officeKeys.length === 0) return
+  // Execute queries
+  const [dataResult, countResult] = await Promise.all([
+    db.query(dataQuery, params),
+    countQuery ? db.query(countQuery, params) : Promise.resolve(null)
+  ])
+
+  // Transform rows to RESO format ($apply rows already use RESO names)
+  const value = aggregateProperties
+    ? dataResult.recordset
+    : tagEntities(dataResult.recordset.map(row => transformPropertyRow(row, collectionSelect, computedProperties, derivedProperties)), ETAG_FIELDS)
+
+  // Handle $expand, then drop the keys and ETag fields $select left out
+  await expandEntities(value, expandItems, expansions, limits)
+  const entities = aggregateProperties ? value : omitFields(value, hiddenFields)
+
+  // Build response
+  const selected = aggregateProperties ? `(${aggregateProperties.join(',')})` : ''
+  const response = {
+    '@odata.context': `${req.protocol}://${req.get('host')}${req.baseUrl}/$metadata#Property${selected}`
+  }
 
-  const placeholders = officeKeys.map((_, i) => `@office${i}`).join(', ')
-  const params = {}
-  officeKeys.forEach((key, i) => { params[`office${i}`] = key })
+  if (countResult) {
+    response['@odata.count'] = countResult.recordset[0].total
+  }
 
-  const result = await db.query(
-    `SELECT ${Object.values(officeFieldMap).join(', ')}
-     FROM idc_agy.AGY_OFFICE
-     WHERE OFFICEKEY IN (${placeholders})`,
-    params
-  )
+  // Add nextLink whenever the page is full
+  const nextLink = nextLinkBuilder?.(dataResult.recordset)
+  if (nextLink) {
+    response['@odata.nextLink'] = nextLink
+  }
 
-  const officeMap = new Map()
-  result.recordset.forEach(row => {
-    const office = transformRow(row, officeReverseFieldMap)
-    officeMap.set(office.OfficeKey, office)
-  })
+  response.value = aggregateProperties ? value : annotateEntities(req, entities, { ENTITY_SET, KEY_FIELD, expansions })
 
-  properties.forEach(p => {
-    if (p.ListOfficeKey && officeMap.has(p.ListOfficeKey)) {
-      p.ListOffice = officeMap.get(p.ListOfficeKey)
-    }
-  })
+  if (!aggregateProperties) {
+    res.set('ETag', collectionETag(entities, KEY_FIELD))
+  }
+  res.json(response)
 }
 
 async function list(req, res, next) {
   try {
-    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/Property`
-
-    // Parse $expand
-    const expansions = parseExpand(req.query.$expand, ALLOWED_EXPANSIONS)
-
-    const { dataQuery, countQuery, params, nextLinkBuilder } = buildQuery({
-      table: TABLE,
-      fieldMap,
-      query: req.query,
-      keyField: KEY_FIELD,
-      baseUrl,
-      baseWhere: BASE_WHERE
-    })
-
-    // Execute queries
-    const [dataResult, countResult] = await Promise.all([
-      db.query(dataQuery, params),
-      countQuery ? db.query(countQuery, params) : Promise.resolve(null)
-    ])
-
-    // Transform rows to RESO format
-    const value = dataResult.recordset.map(row => transformPropertyRow(row))
-
-    // Handle $expand
-    if (expansions.includes('ListAgent')) {
-      await expandListAgent(value)
-    }
-    if (expansions.includes('ListOffice')) {
-      await expandListOffice(value)
-    }
-
-    // Build response
-    const response = {
-      '@odata.context': `${req.protocol}://${req.get('host')}${req.baseUrl}/$metadata#Property`
-    }
-
-    if (countResult) {
-      const totalCount = countResult.recordset[0].total
-      response['@odata.count'] = totalCount
+    await sendCollection(req, res)
+  } catch (err) {
+    next(err)
+  }
+}
 
-      // Add nextLink if there are more results
-      if (nextLinkBuilder) {
-        const nextLink = nextLinkBuilder(totalCount)
-        if (nextLink) {
-          response['@odata.nextLink'] = nextLink
-        }
-      }
-    }
+// The number of listings matching the query options within baseWhere as plain text
+async function sendCount(req, res, { baseWhere = BASE_WHERE } = {}) {
+  const { countQuery, params } = buildCountQuery({
+    table: TABLE,
+    fieldMap,
+    fieldTypes,
+    derivedFields,
+    collections,
+    navigations,
+    searchFields: SEARCH_FIELDS,
+    query: req.query,
+    limits: limitsForClient(req.clientId),
+    largeTextFields: LARGE_TEXT_FIELDS,
+    keyField: KEY_FIELD,
+    baseWhere
+  })
 
-    response.value = value
+  const result = await db.query(countQuery, params)
+  res.type('text/plain').send(String(result.recordset[0].total))
+}
 
-    res.json(response)
+// /$count: the number of matching listings as plain text
+async function count(req, res, next) {
+  try {
+    await sendCount(req, res)
   } catch (err) {
     next(err)
   }
 }
 
+// Key from a Property('key') or Property(key) route (format: 'key' or key)
+function keyParam(req) {
+  const key = req.params.key
+  return key.startsWith("'") && key.endsWith("'") ? key.slice(1, -1) : key
+}
+
+// Original IDCPROPERTYID of the route key; null for unknown keys
+function entityKey(req) {
+  return decodeListingKey(keyParam(req))
+}
+
 async function get(req, res, next) {
   try {
     const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`
 
-    // Extract key from route param (format: 'key' or key)
-    let key = req.params.key
-    if (key.startsWith("'") && key.endsWith("'")) {
-      key = key.slice(1, -1)
-    }
+    let key = keyParam(req)
 
     // Decode the encoded ListingKey back to original IDCPROPERTYID
     const decodedKey = decodeListingKey(key)
@@ -292,13 +396,18 @@ async function get(req, res, next) {
     }
     key = decodedKey
 
-    // Parse $expand
-    const expansions = parseExpand(req.query.$expand, ALLOWED_EXPANSIONS)
+    // Parse $expand; the foreign keys it follows must be selected, as must the ETag fields
+    const expandItems = parseExpansions(req.query.$expand, expansions)
 
-    const { dataQuery, params } = buildQuery({
+    const { dataQuery, params, collectionSelect, computedProperties, derivedProperties, hiddenFields } = buildQuery({
       table: TABLE,
       fieldMap,
+      fieldTypes,
+      derivedFields,
+      collections,
+      navigations,
       query: req.query,
+      extraFields: [...expansionKeys(expandItems, expansions), ...ETAG_FIELDS],
       keyField: KEY_FIELD,
       keyValue: key,
       baseWhere: BASE_WHERE
@@ -315,16 +424,18 @@ async function get(req, res, next) {
       })
     }
 
-    const entity = transformPropertyRow(result.recordset[0])
+    const [row] = tagEntities([transformPropertyRow(result.recordset[0], collectionSelect, computedProperties, derivedProperties)], ETAG_FIELDS)
 
-    // Handle $expand
-    if (expansions.includes('ListAgent')) {
-      await expandListAgent([entity])
-    }
-    if (expansions.includes('ListOffice')) {
-      await expandListOffice([entity])
+    // Unchanged since the client's copy: skip $expand and the body
+    res.set('ETag', row['@odata.etag'])
+    if (matchesETag(req.get('If-None-Match'), row['@odata.etag'])) {
+      return res.status(304).end()
     }
 
+    // Handle $expand, then drop the keys and ETag fields $select left out
+    await expandEntities([row], expandItems, expansions, limitsForClient(req.clientId))
+
+    const [entity] = annotateEntities(req, omitFields([row], hiddenFields), { ENTITY_SET, KEY_FIELD, expansions })
     entity['@odata.context'] = `${baseUrl}/$metadata#Property/$entity`
 
     res.json(entity)
@@ -333,13 +444,68 @@ async function get(req, res, next) {
   }
 }
 
+// /Property('key')/Name and /Property('key')/Name/$value, selecting just that column
+async function value(req, res, next) {
+  try {
+    const name = req.params.property
+    if (![fieldMap, derivedFields, collections].some(fields => Object.hasOwn(fields, name))) {
+      return propertyNotFound(res, ENTITY_SET, name)
+    }
+
+    const key = keyParam(req)
+    const notFound = () => res.status(404).json({
+      error: {
+        code: 'NotFound',
+        message: `Property with key '${key}' not found`
+      }
+    })
+    const decodedKey = decodeListingKey(key)
+    if (!decodedKey) {
+      return notFound()
+    }
+
+    const { dataQuery, params, collectionSelect, derivedProperties } = buildQuery({
+      table: TABLE,
+      fieldMap,
+      fieldTypes,
+      derivedFields,
+      collections,
+      query: { $select: name },
+      keyField: KEY_FIELD,
+      keyValue: decodedKey,
+      baseWhere: BASE_WHERE
+    })
+
+    const result = await db.query(dataQuery, params)
+    if (result.recordset.length === 0) {
+      return notFound()
+    }
+
+    const entity = transformPropertyRow(result.recordset[0], collectionSelect, [], derivedProperties)
+    sendPropertyValue(req, res, ENTITY_SET, entity[name])
+  } catch (err) {
+    next(err)
+  }
+}
+
 module.exports = {
   list,
+  count,
   get,
+  value,
+  sendCollection,
+  sendCount,
+  entityKey,
+  relationships,
   fieldMap,
+  fieldTypes,
   reverseFieldMap,
   TABLE,
+  ENTITY_SET,
+  BASE_WHERE,
+  MEDIA_SOURCE,
   KEY_FIELD,
+  LARGE_TEXT_FIELDS,
   ALLOWED_EXPANSIONS,
   encodeListingKey,
   decodeListingKey
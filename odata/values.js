@@ -0,0 +1,43 @@
+/**
+ * Individual property access
+ * /Entity(key)/Name responds { value } and /Entity(key)/Name/$value the raw
+ * value as text/plain; a null value is 204 No Content either way.
+ *
+ * Routes declare the :key, :property and optional :raw ($value) parameters.
+ */
+
+const { ODataError } = require('./errors')
+
+function sendPropertyValue(req, res, entitySet, value) {
+  const { key, property, raw } = req.params
+  if (value === null || value === undefined) {
+    return res.status(204).end()
+  }
+
+  if (raw) {
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      throw new ODataError(400, 'BadRequest', `${property} has no raw value, request it without /$value`)
+    }
+    return res.type('text/plain').send(value instanceof Date ? value.toISOString() : String(value))
+  }
+
+  const serviceRoot = `${req.protocol}://${req.get('host')}${req.baseUrl}`
+  res.json({
+    '@odata.context': `${serviceRoot}/$metadata#${entitySet}(${key})/${property}`,
+    value
+  })
+}
+
+function propertyNotFound(res, entitySet, property) {
+  return res.status(404).json({
+    error: {
+      code: 'NotFound',
+      message: `${entitySet} has no property '${property}'`
+    }
+  })
+}
+
+module.exports = {
+  sendPropertyValue,
+  propertyNotFound
+}
@@ -6,7 +6,10 @@
 // Set up environment variables BEFORE requiring modules
 process.env.OAUTH_CLIENT_ID = 'test-client'
 process.env.OAUTH_CLIENT_SECRET = 'test-secret'
+// Serve OpenHouse as though its view were confirmed (off by default, see below)
+process.env.ODATA_ENABLE_OPENHOUSE = 'true'
 
+const crypto = require('crypto')
 const request = require('supertest')
 const express = require('express')
 
@@ -85,12 +88,14 @@ describe('OData API Integration Tests', () => {
       expect(res.headers['odata-version']).toBe('4.0')
       expect(res.body['@odata.context']).toContain('$metadata')
       expect(res.body.value).toBeInstanceOf(Array)
-      expect(res.body.value).toHaveLength(3)
+      expect(res.body.value).toHaveLength(5)
 
       const names = res.body.value.map(v => v.name)
       expect(names).toContain('Property')
       expect(names).toContain('Member')
       expect(names).toContain('Office')
+      expect(names).toContain('Media')
+      expect(names).toContain('OpenHouse')
     })
   })
 
@@ -105,6 +110,55 @@ describe('OData API Integration Tests', () => {
       expect(res.text).toContain('EntityType Name="Property"')
       expect(res.text).toContain('EntityType Name="Member"')
       expect(res.text).toContain('EntityType Name="Office"')
+      expect(res.text).toContain('<Property Name="Location" Type="Edm.GeographyPoint" SRID="4326"/>')
+      expect(res.text).toContain('<Property Name="StandardStatus" Type="org.reso.metadata.enums.StandardStatus"/>')
+      expect(res.text).toContain('<Schema Namespace="org.reso.metadata.enums"')
+      expect(res.text).toContain('<EnumType Name="StandardStatus">')
+      expect(res.text).toContain('<Member Name="ActiveUnderContract" Value="1"/>')
+      expect(res.text).toContain('<edmx:Include Namespace="Org.OData.Aggregation.V1" Alias="Aggregation"/>')
+      expect(res.text).toContain('<Annotation Term="Aggregation.ApplySupported">')
+    })
+
+    test('GET /odata/$metadata declares the ETag properties', async () => {
+      const res = await request(app).get('/odata/$metadata')
+
+      expect(res.text).toContain('<edmx:Include Namespace="Org.OData.Core.V1" Alias="Core"/>')
+      expect(res.text).toMatch(/<EntitySet Name="Property"[\s\S]*?<Annotation Term="Core.OptimisticConcurrency">\s*<Collection>\s*<PropertyPath>ModificationTimestamp<\/PropertyPath>\s*<PropertyPath>PhotosChangeTimestamp<\/PropertyPath>/)
+      expect(res.text).toMatch(/<EntitySet Name="Office"[\s\S]*?<PropertyPath>ModificationTimestamp<\/PropertyPath>\s*<\/Collection>/)
+    })
+
+    test('GET /odata/$metadata declares navigation properties with partners', async () => {
+      const res = await request(app).get('/odata/$metadata')
+
+      expect(res.text).toContain('<NavigationProperty Name="ListAgent" Type="org.reso.metadata.Member" Partner="Listings">')
+      expect(res.text).toContain('<ReferentialConstraint Property="ListAgentKey" ReferencedProperty="MemberKey"/>')
+      expect(res.text).toContain('<NavigationProperty Name="Listings" Type="Collection(org.reso.metadata.Property)" Partner="ListAgent"/>')
+      expect(res.text).toContain('<NavigationProperty Name="Office" Type="org.reso.metadata.Office" Partner="Members">')
+      expect(res.text).toContain('<NavigationProperty Name="Members" Type="Collection(org.reso.metadata.Member)" Partner="Office"/>')
+      expect(res.text).toMatch(/<EntitySet Name="Member"[^>]*>\s*<NavigationPropertyBinding Path="Office" Target="Office"\/>\s*<NavigationPropertyBinding Path="Listings" Target="Property"\/>/)
+    })
+
+    test('GET /odata/$metadata declares Media as an entity type', async () => {
+      const res = await request(app).get('/odata/$metadata')
+
+      expect(res.text).toMatch(/<EntityType Name="Media">\s*<Key>\s*<PropertyRef Name="MediaKey"\/>/)
+      expect(res.text).toContain('<Property Name="ResourceRecordKey" Type="Edm.String"/>')
+      expect(res.text).toContain('<EntitySet Name="Media" EntityType="org.reso.metadata.Media">')
+      // Property embeds its photos as a complex collection rather than navigating to Media
+      expect(res.text).toMatch(/<ComplexType Name="MediaItem">\s*<Property Name="MediaKey" Type="Edm.String"\/>/)
+      expect(res.text).toContain('<Property Name="Media" Type="Collection(org.reso.metadata.MediaItem)"/>')
+      expect(res.text).not.toContain('<NavigationProperty Name="Media"')
+      expect(res.text).not.toContain('<NavigationPropertyBinding Path="Media"')
+    })
+
+    test('GET /odata/$metadata declares OpenHouse and Property/OpenHouses', async () => {
+      const res = await request(app).get('/odata/$metadata')
+
+      expect(res.text).toMatch(/<EntityType Name="OpenHouse">\s*<Key>\s*<PropertyRef Name="OpenHouseKey"\/>/)
+      expect(res.text).toContain('<Property Name="OpenHouseDate" Type="Edm.Date"/>')
+      expect(res.text).toContain('<NavigationProperty Name="OpenHouses" Type="Collection(org.reso.metadata.OpenHouse)"/>')
+      expect(res.text).toContain('<NavigationPropertyBinding Path="OpenHouses" Target="OpenHouse"/>')
+      expect(res.text).toContain('<EntitySet Name="OpenHouse" EntityType="org.reso.metadata.OpenHouse">')
     })
   })
 
@@ -272,10 +326,268 @@ describe('OData API Integration Tests', () => {
         .get("/odata/Property?$filter=InvalidField eq 'test'")
         .set('Authorization', `Bearer ${token}`)
 
-      expect(res.status).toBe(500)
+      expect(res.status).toBe(400)
       expect(res.body.error.message).toContain('Unknown field')
     })
 
+    test('GET /odata/Property with $filter in list', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get("/odata/Property?$filter=City in ('Beverly Hills','Malibu','Bel Air')")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('WHERE MLSBOARD = @mlsBoard AND CITY IN (@filter0, @filter1, @filter2)')
+      expect(params.filter0).toBe('Beverly Hills')
+    })
+
+    test('GET /odata/Property with arithmetic $filter', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get('/odata/Property?$filter=ListPrice div LivingArea lt 1500')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('AND IDCLISTPRICE / NULLIF(SQFT, 0) < @filter0')
+      expect(params.filter0).toBe(1500)
+    })
+
+    test('GET /odata/Property with date functions in $filter', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get('/odata/Property?$filter=year(ListingContractDate) eq 2025 and date(PhotosChangeTimestamp) eq date(now())')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('AND DATEPART(year, IDCLISTDATE) = @filter0 AND CAST(PHOTOMODIFIEDDATE AS date) = CAST(SYSUTCDATETIME() AS date)')
+      expect(params.filter0).toBe(2025)
+    })
+
+    test('GET /odata/Property with string functions in $filter', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get("/odata/Property?$filter=tolower(City) eq 'malibu' and length(PublicRemarks) gt 500")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('AND LOWER(CITY) = @filter0 AND LEN(IDCREMARKS) > @filter1')
+      expect(params).toMatchObject({ filter0: 'malibu', filter1: 500 })
+    })
+
+    test('GET /odata/Property with geo.distance $filter and Location output', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', IDCLATITUDE: 34.07, IDCLONGITUDE: -118.4 }] })
+        .mockResolvedValueOnce({ recordset: [{ total: 1 }] })
+
+      const res = await request(app)
+        .get("/odata/Property?$filter=geo.distance(Location, geography'POINT(-118.4 34.07)') lt 3200&$count=true")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('AND geography::STGeomFromText(@filter0, 4326).STDistance(geography::Point(')
+      expect(params).toMatchObject({ filter0: 'POINT(-118.4 34.07)', filter1: 3200 })
+      expect(db.query.mock.calls[1][0]).toContain('STDistance')
+      expect(res.body.value[0].Location).toEqual({ type: 'Point', coordinates: [-118.4, 34.07] })
+    })
+
+    test('GET /odata/Property with $select=Location fetches coordinates', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', IDCLATITUDE: 34.07, IDCLONGITUDE: -118.4 }] })
+
+      const res = await request(app)
+        .get('/odata/Property?$select=ListingKey,Location')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(db.query.mock.calls[0][0]).toContain('SELECT IDCPROPERTYID, IDCLATITUDE, IDCLONGITUDE')
+      // The coordinates Location is built from are not returned unless selected
+      expect(res.body.value[0]).toEqual({
+        '@odata.etag': expect.any(String),
+        ListingKey: expect.any(String),
+        Location: { type: 'Point', coordinates: [-118.4, 34.07] }
+      })
+    })
+
+    test('GET /odata/Property returns Location only when selected', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCLATITUDE: 34.07, IDCLONGITUDE: -118.4 }] })
+
+      const res = await request(app)
+        .get('/odata/Property?$select=Latitude,Longitude')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.value[0]).toMatchObject({ Latitude: 34.07, Longitude: -118.4 })
+      expect(res.body.value[0]).not.toHaveProperty('Location')
+    })
+
+    test('GET /odata/Property fetches photos only when Media is selected', async () => {
+      const photos = '<Photos><URL>https://img/1.jpg</URL><URL>https://img/2.jpg</URL></Photos>'
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1' }] })
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', PROPERTYPHOTOS: photos }] })
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', PROPERTYPHOTOS: photos }] })
+
+      const withoutMedia = await request(app)
+        .get('/odata/Property?$select=ListingKey')
+        .set('Authorization', `Bearer ${token}`)
+      expect(withoutMedia.status).toBe(200)
+      expect(db.query.mock.calls[0][0]).not.toContain('PROPERTYPHOTOS')
+      expect(withoutMedia.body.value[0].Media).toBeUndefined()
+
+      const thumbnail = await request(app)
+        .get('/odata/Property?$select=ListingKey,Media($select=MediaURL;$top=1)')
+        .set('Authorization', `Bearer ${token}`)
+      expect(thumbnail.status).toBe(200)
+      expect(db.query.mock.calls[1][0]).toContain('SELECT IDCPROPERTYID, PROPERTYPHOTOS')
+      expect(thumbnail.body.value[0].Media).toEqual([{ MediaURL: 'https://img/1.jpg' }])
+
+      const urls = await request(app)
+        .get('/odata/Property?$select=ListingKey,Media/MediaURL,Media/Order')
+        .set('Authorization', `Bearer ${token}`)
+      expect(urls.body.value[0].Media).toEqual([
+        { MediaURL: 'https://img/1.jpg', Order: 1 },
+        { MediaURL: 'https://img/2.jpg', Order: 2 }
+      ])
+    })
+
+    test('GET /odata/Property decodes entities in photo URLs as SQL Server does', async () => {
+      const photos = '<Photos><URL>https://img/1.jpg?w=100&amp;h=50&#38;q=&#x41;</URL></Photos>'
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', PROPERTYPHOTOS: photos }] })
+
+      const res = await request(app)
+        .get('/odata/Property?$select=Media/MediaURL')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.value[0].Media).toEqual([{ MediaURL: 'https://img/1.jpg?w=100&h=50&q=A' }])
+    })
+
+    test('GET /odata/Property with Media lambda and $count filters', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get('/odata/Property?$filter=Media/any(m: m/Order eq 1) and Media/$count ge 5')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('AND EXISTS (SELECT 1 FROM (')
+      expect(query).toContain("CROSS APPLY photos.doc.nodes('//URL') AS urls(photo)")
+      expect(query).toContain('AS lambda0 WHERE lambda0.MediaOrder = @filter0)')
+      expect(query).toContain('(SELECT COUNT(*) FROM (')
+      expect(params).toMatchObject({ filter0: 1, filter1: 5 })
+    })
+
+    test('GET /odata/Property filters and orders across ListAgent and ListOffice', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get("/odata/Property?$filter=ListAgent/MemberLastName eq 'Smith'&$orderby=ListOffice/OfficeName")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain(
+        'AND (SELECT TOP 1 nav.SURNAME FROM idc_agy.AGY_AGENT AS nav ' +
+        'WHERE nav.AGENTKEY = idc_agy.AGY_CMNCMN_VW.IDCLISTAGENTKEY) = @filter0'
+      )
+      expect(query).toContain(
+        'ORDER BY (SELECT TOP 1 nav.OFFICENAME FROM idc_agy.AGY_OFFICE AS nav ' +
+        'WHERE nav.OFFICEKEY = idc_agy.AGY_CMNCMN_VW.IDCLISTOFFICEKEY) ASC'
+      )
+      expect(params.filter0).toBe('Smith')
+    })
+
+    test('GET /odata/Property maps StandardStatus and PropertyType enumerations', async () => {
+      db.query.mockResolvedValueOnce({
+        recordset: [{ IDCPROPERTYID: 'P1', IDCSTATUS: 'Sold', PROPERTYTYPE: 'Single Family' }]
+      })
+
+      const res = await request(app)
+        .get("/odata/Property?$filter=StandardStatus eq 'Closed' and PropertyType has org.reso.metadata.enums.PropertyType'Residential'&$orderby=StandardStatus")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.value[0].StandardStatus).toBe('Closed')
+      expect(res.body.value[0].PropertyType).toBe('Residential')
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('AND IDCSTATUS IN (@filter0, @filter1, @filter2) AND PROPERTYTYPE IN (@filter3, @filter4, @filter5, @filter6)')
+      expect(query).toContain("ORDER BY CASE IDCSTATUS WHEN 'Active' THEN 0")
+      expect(params).toMatchObject({ filter1: 'Sold', filter4: 'Single Family' })
+    })
+
+    test('GET /odata/Property supports $search with $filter and $count', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [] })
+        .mockResolvedValueOnce({ recordset: [{ total: 0 }] })
+
+      const res = await request(app)
+        .get('/odata/Property?$search="ocean view" Malibu NOT condo&$filter=BedroomsTotal ge 4&$count=true')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('WHERE MLSBOARD = @mlsBoard AND BEDS >= @filter0 AND (IDCADDRESS LIKE @search0 OR CITY LIKE @search0')
+      expect(query).toContain('OR IDCMLSNUMBER LIKE @search2 OR IDCREMARKS LIKE @search2) THEN 1 ELSE 0 END = 0')
+      expect(params).toMatchObject({ search0: '%ocean view%', search1: '%Malibu%', search2: '%condo%' })
+      expect(db.query.mock.calls[1][0]).toContain('AND BEDS >= @filter0 AND (IDCADDRESS LIKE @search0')
+    })
+
+    test('GET /odata/Property supports $compute in $select, $filter and $orderby', async () => {
+      db.query.mockResolvedValueOnce({
+        recordset: [{ IDCPROPERTYID: 'P1', _compute_PricePerSqFt: 412.5, _sort0: 412.5, _sort1: 'P1' }]
+      })
+
+      const res = await request(app)
+        .get('/odata/Property?$compute=ListPrice div LivingArea as PricePerSqFt&$select=ListingKey,PricePerSqFt' +
+          '&$filter=PricePerSqFt gt 100&$orderby=PricePerSqFt')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.value[0]).toEqual({ '@odata.etag': expect.any(String), ListingKey: expect.any(String), PricePerSqFt: 412.5 })
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('(IDCLISTPRICE / NULLIF(SQFT, 0)) AS _compute_PricePerSqFt')
+      expect(query).toContain('AND (IDCLISTPRICE / NULLIF(SQFT, 0)) > @filter0')
+      expect(query).toContain('ORDER BY (IDCLISTPRICE / NULLIF(SQFT, 0)) ASC')
+      expect(params.filter0).toBe(100)
+    })
+
+    test('GET /odata/Property supports $apply aggregation', async () => {
+      db.query.mockResolvedValueOnce({
+        recordset: [{ City: 'Malibu', AvgPrice: 2500000.5, Total: 12 }]
+      })
+
+      const res = await request(app)
+        .get('/odata/Property?$apply=groupby((City),aggregate(ListPrice with average as AvgPrice,$count as Total))&$orderby=AvgPrice desc')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body['@odata.context']).toContain('$metadata#Property(City,AvgPrice,Total)')
+      expect(res.body.value).toEqual([{ City: 'Malibu', AvgPrice: 2500000.5, Total: 12 }])
+      const [query] = db.query.mock.calls[0]
+      expect(query).toContain('SELECT CITY AS [City], AVG(CAST(IDCLISTPRICE AS float)) AS [AvgPrice], COUNT(*) AS [Total]')
+      expect(query).toContain('WHERE MLSBOARD = @mlsBoard')
+      expect(query).toContain('ORDER BY [AvgPrice] DESC')
+    })
+
+    test('GET /odata/Property with mistyped $filter is rejected before querying', async () => {
+      const res = await request(app)
+        .get("/odata/Property?$filter=ListPrice eq 'abc'")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toContain('Cannot compare Edm.Decimal with Edm.String')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
     test('GET /odata/Property(key) returns single property', async () => {
       db.query.mockResolvedValueOnce({
         recordset: [{ IDCPROPERTYID: 'P123', CITY: 'Los Angeles', IDCLISTPRICE: 500000 }]
@@ -376,6 +688,29 @@ describe('OData API Integration Tests', () => {
       expect(res.body.value[0].MemberFirstName).toBe('John')
     })
 
+    test('GET /odata/Member with $filter in list', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get("/odata/Member?$filter=MemberLastName in ('Smith','Jones')")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('WHERE SURNAME IN (@filter0, @filter1)')
+      expect(params).toEqual({ filter0: 'Smith', filter1: 'Jones' })
+    })
+
+    test('GET /odata/Member rejects $search', async () => {
+      const res = await request(app)
+        .get('/odata/Member?$search=Smith')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toBe('$search is not supported on this resource')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
     test('GET /odata/Member(key) returns single member', async () => {
       db.query.mockResolvedValueOnce({
         recordset: [{ AGENTKEY: 123, GIVENNAME: 'Jane', SURNAME: 'Smith' }]
@@ -423,6 +758,19 @@ describe('OData API Integration Tests', () => {
       expect(res.body.value[0].OfficeName).toBe('Downtown Office')
     })
 
+    test('GET /odata/Office with $filter in list', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get('/odata/Office?$filter=OfficeKey in (1, 2, 3)')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('WHERE OFFICEKEY IN (@filter0, @filter1, @filter2)')
+      expect(params.filter2).toBe(3)
+    })
+
     test('GET /odata/Office(key) returns single office', async () => {
       db.query.mockResolvedValueOnce({
         recordset: [{ OFFICEKEY: 456, OFFICENAME: 'West Side Office' }]
@@ -491,12 +839,94 @@ describe('OData API Integration Tests', () => {
       expect(res.body.value[0].ListOffice.OfficeKey).toBe(200)
     })
 
+    test('GET /odata/Property applies nested $expand options with full Member fields', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          recordset: [
+            { IDCPROPERTYID: 'P1', IDCLISTAGENTKEY: 100 },
+            { IDCPROPERTYID: 'P2', IDCLISTAGENTKEY: 101 }
+          ]
+        })
+        .mockResolvedValueOnce({
+          recordset: [{ AGENTKEY: 100, GIVENNAME: 'John', EMAILADDRESS1: 'john@example.com' }]
+        })
+
+      const res = await request(app)
+        .get("/odata/Property?$select=ListingKey&$expand=ListAgent($select=MemberFirstName,MemberEmail;$filter=MemberCity eq 'Malibu')")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(db.query.mock.calls[0][0]).toContain('SELECT IDCPROPERTYID, IDCLISTAGENTKEY')
+
+      const [agentQuery, agentParams] = db.query.mock.calls[1]
+      expect(agentQuery).toContain('SELECT GIVENNAME, EMAILADDRESS1, AGENTKEY')
+      expect(agentQuery).toContain('WHERE AGENTKEY IN (@expand0, @expand1) AND CITY = @filter0')
+      expect(agentParams).toEqual({ expand0: 100, expand1: 101, filter0: 'Malibu' })
+
+      // The keys matched on are selected but not returned
+      expect(res.body.value[0].ListAgent).toEqual({ MemberFirstName: 'John', MemberEmail: 'john@example.com' })
+      expect(res.body.value[0].ListAgentKey).toBeUndefined()
+      expect(res.body.value[1].ListAgent).toBeUndefined()
+    })
+
+    test('GET /odata/Property expands the Office of the ListAgent', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', IDCLISTAGENTKEY: 100 }] })
+        .mockResolvedValueOnce({ recordset: [{ AGENTKEY: 100, GIVENNAME: 'John', PARENTOFFICE: 7 }] })
+        .mockResolvedValueOnce({ recordset: [{ OFFICEKEY: 7, OFFICENAME: 'Main Office' }] })
+
+      const res = await request(app)
+        .get('/odata/Property?$select=ListingKey&$expand=ListAgent($select=MemberFirstName;$expand=Office($select=OfficeName))')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(db.query.mock.calls[1][0]).toContain('SELECT GIVENNAME, AGENTKEY, PARENTOFFICE')
+      const [officeQuery, officeParams] = db.query.mock.calls[2]
+      expect(officeQuery).toContain('SELECT OFFICENAME, OFFICEKEY')
+      expect(officeQuery).toContain('WHERE OFFICEKEY IN (@expand0)')
+      expect(officeParams).toEqual({ expand0: 7 })
+
+      expect(res.body.value[0].ListAgent).toEqual({ MemberFirstName: 'John', Office: { OfficeName: 'Main Office' } })
+    })
+
+    test('GET /odata/Property honors a nested $top', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', IDCLISTAGENTKEY: 100 }] })
+
+      const res = await request(app)
+        .get('/odata/Property?$expand=ListAgent($top=0)')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(db.query).toHaveBeenCalledTimes(1)
+      expect(res.body.value[0].ListAgent).toBeUndefined()
+    })
+
+    test('GET /odata/Property rejects unknown nested expansions', async () => {
+      const res = await request(app)
+        .get('/odata/Property?$expand=ListAgent($expand=Listings)')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toBe('Invalid $expand: Listings. Allowed: Office at position 0')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('GET /odata/Property rejects nested $expand the related resource does not have', async () => {
+      const res = await request(app)
+        .get('/odata/Property?$expand=ListOffice($select=OfficeName;$expand=Members)')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toContain('Invalid $expand: Members')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
     test('GET /odata/Property with invalid $expand returns error', async () => {
       const res = await request(app)
         .get('/odata/Property?$expand=InvalidExpand')
         .set('Authorization', `Bearer ${token}`)
 
-      expect(res.status).toBe(500)
+      expect(res.status).toBe(400)
       expect(res.body.error.message).toContain('Invalid $expand')
     })
   })
@@ -658,20 +1088,85 @@ describe('OData API Integration Tests', () => {
       token = tokenRes.body.access_token
     })
 
+    // A full page of rows carrying the sort columns buildQuery selects
+    const fullPage = (size) => Array.from({ length: size }, (_, i) => ({
+      IDCPROPERTYID: `P${i}`,
+      IDCLISTPRICE: 1000 - i,
+      _sort0: 1000 - i,
+      _sort1: `P${i}`
+    }))
+
     test('Includes nextLink when more results available', async () => {
       db.query
-        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1' }] })
+        .mockResolvedValueOnce({ recordset: fullPage(10) })
         .mockResolvedValueOnce({ recordset: [{ total: 100 }] })
 
       const res = await request(app)
-        .get('/odata/Property?$top=10&$skip=0&$count=true')
+        .get('/odata/Property?$top=10&$skip=0&$count=true&$orderby=ListPrice desc')
         .set('Authorization', `Bearer ${token}`)
 
       expect(res.status).toBe(200)
       expect(res.body['@odata.count']).toBe(100)
       expect(res.body['@odata.nextLink']).toBeDefined()
       // URL params are encoded (%24 = $)
-      expect(res.body['@odata.nextLink']).toContain('%24skip=10')
+      expect(res.body['@odata.nextLink']).toContain('%24skiptoken=')
+      expect(res.body['@odata.nextLink']).not.toContain('%24skip=')
+      expect(res.body.value[0]._sort0).toBeUndefined()
+
+      const [query] = db.query.mock.calls[0]
+      expect(query).toContain('IDCLISTPRICE AS _sort0, IDCPROPERTYID AS _sort1')
+      expect(query).toContain('ORDER BY IDCLISTPRICE DESC, IDCPROPERTYID ASC')
+    })
+
+    test('Includes nextLink for full pages without $count', async () => {
+      db.query.mockResolvedValueOnce({ recordset: fullPage(10) })
+
+      const res = await request(app)
+        .get('/odata/Member?$top=10')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body['@odata.nextLink']).toMatch(/\/odata\/Member\?%24top=10&%24skiptoken=/)
+    })
+
+    test('Follows nextLink with keyset paging after the last row', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: fullPage(10) })
+        .mockResolvedValueOnce({ recordset: [] })
+
+      const first = await request(app)
+        .get('/odata/Property?$top=10&$orderby=ListPrice desc')
+        .set('Authorization', `Bearer ${token}`)
+      const nextLink = new URL(first.body['@odata.nextLink'])
+
+      const res = await request(app)
+        .get(`${nextLink.pathname}${nextLink.search}`)
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body['@odata.nextLink']).toBeUndefined()
+      const [query, params] = db.query.mock.calls[1]
+      expect(query).toContain(
+        'AND ((IDCLISTPRICE < @skiptoken0 OR IDCLISTPRICE IS NULL) OR IDCLISTPRICE = @skiptoken0 AND IDCPROPERTYID > @skiptoken1)'
+      )
+      expect(query).toContain('OFFSET 0 ROWS')
+      expect(params).toMatchObject({ skiptoken0: 991, skiptoken1: 'P9' })
+    })
+
+    test('Rejects a $skiptoken issued for a different $orderby', async () => {
+      db.query.mockResolvedValueOnce({ recordset: fullPage(10) })
+
+      const first = await request(app)
+        .get('/odata/Property?$top=10&$orderby=ListPrice desc')
+        .set('Authorization', `Bearer ${token}`)
+      const skiptoken = new URL(first.body['@odata.nextLink']).searchParams.get('$skiptoken')
+
+      const res = await request(app)
+        .get(`/odata/Property?$top=10&$orderby=City&$skiptoken=${skiptoken}`)
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toBe('Invalid $skiptoken')
     })
 
     test('Does not include nextLink on last page', async () => {
@@ -689,7 +1184,7 @@ describe('OData API Integration Tests', () => {
     })
   })
 
-  describe('Error Handling', () => {
+  describe('/$count path segment', () => {
     let token
 
     beforeAll(async () => {
@@ -704,7 +1199,1182 @@ describe('OData API Integration Tests', () => {
       token = tokenRes.body.access_token
     })
 
-    test('Database error returns 500', async () => {
+    test('Returns the Property total as plain text', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ total: 42 }] })
+
+      const res = await request(app)
+        .get("/odata/Property/$count?$filter=City eq 'Malibu'&$search=ocean&$top=1")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.headers['content-type']).toMatch(/^text\/plain/)
+      expect(res.text).toBe('42')
+      expect(db.query).toHaveBeenCalledTimes(1)
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('SELECT COUNT(*) as total')
+      expect(query).toContain('MLSBOARD = @mlsBoard AND CITY = @filter0 AND')
+      expect(query).not.toContain('PROPERTYPHOTOS')
+      expect(params).toMatchObject({ filter0: 'Malibu', search0: '%ocean%' })
+    })
+
+    test('Returns Member and Office totals', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ total: 7 }] })
+        .mockResolvedValueOnce({ recordset: [{ total: 3 }] })
+
+      const members = await request(app)
+        .get("/odata/Member/$count?$filter=MemberCity eq 'Dallas'")
+        .set('Authorization', `Bearer ${token}`)
+      const offices = await request(app)
+        .get('/odata/Office/$count')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(members.text).toBe('7')
+      expect(offices.text).toBe('3')
+      expect(db.query.mock.calls[0][0]).toContain('FROM idc_agy.AGY_AGENT')
+      expect(db.query.mock.calls[1][0]).toContain('FROM idc_agy.AGY_OFFICE')
+    })
+
+    test('Requires authentication', async () => {
+      const res = await request(app).get('/odata/Property/$count')
+      expect(res.status).toBe(401)
+    })
+
+    test('Reports invalid filters as OData errors', async () => {
+      const res = await request(app)
+        .get('/odata/Property/$count?$filter=Password eq 1')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.body.error.message).toContain('Unknown field: Password')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('ETags', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    const listing = {
+      IDCPROPERTYID: 'P1',
+      CITY: 'Malibu',
+      LASTMODIFIED: new Date('2026-03-01T10:00:00Z'),
+      PHOTOMODIFIEDDATE: new Date('2026-02-01T10:00:00Z')
+    }
+
+    test('Entities carry @odata.etag and the ETag header', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [listing] })
+
+      const res = await request(app)
+        .get("/odata/Property('5862564')?$select=City")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.headers.etag).toMatch(/^W\/".+"$/)
+      expect(res.body['@odata.etag']).toBe(res.headers.etag)
+      expect(Object.keys(res.body)[0]).toBe('@odata.etag')
+      // The ETag fields are selected even when $select leaves them out, but not returned
+      expect(db.query.mock.calls[0][0]).toMatch(/SELECT CITY, LASTMODIFIED, PHOTOMODIFIEDDATE/)
+      expect(res.body).not.toHaveProperty('ModificationTimestamp')
+      expect(res.body).not.toHaveProperty('PhotosChangeTimestamp')
+    })
+
+    test('Collections return and link to only the $select the client sent', async () => {
+      const { LASTMODIFIED, PHOTOMODIFIEDDATE } = listing
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCLISTPRICE: 100, LASTMODIFIED, PHOTOMODIFIEDDATE, _sort0: 'P1' }] })
+
+      const res = await request(app)
+        .get('/odata/Property?$select=ListPrice,ModificationTimestamp&$top=1')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.value[0]).toEqual({
+        '@odata.etag': expect.stringMatching(/^W\//),
+        ListPrice: 100,
+        ModificationTimestamp: '2026-03-01T10:00:00.000Z'
+      })
+      const nextLink = new URL(res.body['@odata.nextLink'])
+      expect(nextLink.searchParams.get('$select')).toBe('ListPrice,ModificationTimestamp')
+    })
+
+    test('$select errors quote what the client sent', async () => {
+      for (const path of ['/odata/Member?$select=Bogus', '/odata/Office(7)?$select=Bogus']) {
+        const res = await request(app).get(path).set('Authorization', `Bearer ${token}`)
+
+        expect(res.status).toBe(400)
+        expect(res.body.error.message).toBe('Invalid field in $select: Bogus at position 0')
+        expect(res.body.error.details[0].token).toBe('Bogus')
+      }
+    })
+
+    test('The ETag changes with PhotosChangeTimestamp', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [listing] })
+        .mockResolvedValueOnce({ recordset: [{ ...listing, PHOTOMODIFIEDDATE: new Date('2026-03-02T10:00:00Z') }] })
+
+      const before = await request(app).get("/odata/Property('5862564')").set('Authorization', `Bearer ${token}`)
+      const after = await request(app).get("/odata/Property('5862564')").set('Authorization', `Bearer ${token}`)
+
+      expect(before.headers.etag).not.toBe(after.headers.etag)
+    })
+
+    test('Answers a matching If-None-Match with 304 before expanding', async () => {
+      db.query.mockResolvedValue({ recordset: [{ ...listing, IDCLISTAGENTKEY: 100 }] })
+      const first = await request(app)
+        .get("/odata/Property('5862564')")
+        .set('Authorization', `Bearer ${token}`)
+      db.query.mockClear()
+
+      const res = await request(app)
+        .get("/odata/Property('5862564')?$expand=ListAgent")
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-None-Match', `"other", ${first.headers.etag}`)
+
+      expect(res.status).toBe(304)
+      expect(res.headers.etag).toBe(first.headers.etag)
+      expect(res.text).toBe('')
+      expect(db.query).toHaveBeenCalledTimes(1)
+      db.query.mockReset()
+    })
+
+    test('Member and Office answer If-None-Match', async () => {
+      db.query.mockResolvedValue({ recordset: [{ AGENTKEY: 123, OFFICEKEY: 7, LASTMODIFIED: new Date('2026-01-01T00:00:00Z') }] })
+
+      for (const path of ['/odata/Member(123)', '/odata/Office(7)']) {
+        const first = await request(app).get(path).set('Authorization', `Bearer ${token}`)
+        const second = await request(app)
+          .get(path)
+          .set('Authorization', `Bearer ${token}`)
+          .set('If-None-Match', first.headers.etag)
+        const stale = await request(app)
+          .get(path)
+          .set('Authorization', `Bearer ${token}`)
+          .set('If-None-Match', 'W/"stale"')
+
+        expect(first.status).toBe(200)
+        expect(second.status).toBe(304)
+        expect(stale.status).toBe(200)
+      }
+      db.query.mockReset()
+    })
+
+    test('Collections carry an ETag that follows their entities', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ OFFICEKEY: 1, LASTMODIFIED: new Date('2026-01-01T00:00:00Z') }] })
+        .mockResolvedValueOnce({ recordset: [{ OFFICEKEY: 1, LASTMODIFIED: new Date('2026-01-02T00:00:00Z') }] })
+
+      const before = await request(app).get('/odata/Office').set('Authorization', `Bearer ${token}`)
+      const after = await request(app).get('/odata/Office').set('Authorization', `Bearer ${token}`)
+
+      expect(before.headers.etag).toMatch(/^W\//)
+      expect(before.body.value[0]['@odata.etag']).toMatch(/^W\//)
+      expect(after.headers.etag).not.toBe(before.headers.etag)
+    })
+  })
+
+  describe('Navigation routes', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    beforeEach(() => {
+      db.query.mockReset()
+    })
+
+    test('Follows a single-valued navigation to the related entity', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCLISTAGENTKEY: 42 }] })
+        .mockResolvedValueOnce({ recordset: [{ AGENTKEY: 42, SURNAME: 'Smith', LASTMODIFIED: new Date('2026-01-01T00:00:00Z') }] })
+
+      const res = await request(app)
+        .get("/odata/Property('5862564')/ListAgent?$select=MemberLastName")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body['@odata.context']).toMatch(/\$metadata#Member\/\$entity$/)
+      expect(res.body).toMatchObject({ MemberKey: 42, MemberLastName: 'Smith' })
+      expect(res.headers.etag).toBe(res.body['@odata.etag'])
+
+      const [[sourceQuery, sourceParams], [memberQuery, memberParams]] = db.query.mock.calls
+      expect(sourceQuery).toMatch(/SELECT IDCLISTAGENTKEY\s+FROM idc_agy.AGY_CMNCMN_VW/)
+      expect(sourceQuery).toContain('MLSBOARD = @mlsBoard')
+      expect(sourceParams).toMatchObject({ keyValue: 'P1' })
+      expect(memberQuery).toMatch(/FROM idc_agy.AGY_AGENT/)
+      expect(memberParams).toMatchObject({ keyValue: 42 })
+    })
+
+    test('Returns 204 when a single-valued navigation has no related entity', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ PARENTOFFICE: null }] })
+
+      const res = await request(app)
+        .get('/odata/Member(1)/Office')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(204)
+      expect(db.query).toHaveBeenCalledTimes(1)
+    })
+
+    test('Lists a collection-valued navigation with query options', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ AGENTKEY: 1 }] })
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', IDCLISTPRICE: 500000 }] })
+        .mockResolvedValueOnce({ recordset: [{ total: 7 }] })
+
+      const res = await request(app)
+        .get('/odata/Member(1)/Listings?$filter=ListPrice gt 100000&$select=ListPrice&$top=1&$count=true')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body['@odata.context']).toMatch(/\$metadata#Property$/)
+      expect(res.body['@odata.count']).toBe(7)
+      expect(res.body['@odata.nextLink']).toMatch(/\/odata\/Member\(1\)\/Listings\?/)
+      expect(res.body.value).toEqual([expect.objectContaining({ ListingKey: '5862564', ListPrice: 500000 })])
+
+      const [dataQuery, params] = db.query.mock.calls[1]
+      expect(dataQuery).toContain('MLSBOARD = @mlsBoard AND IDCLISTAGENTKEY = @navigationKey')
+      expect(dataQuery).toContain('IDCLISTPRICE > @filter0')
+      expect(params).toMatchObject({ navigationKey: 1, mlsBoard: 'INT' })
+    })
+
+    test('Counts a collection-valued navigation with /$count', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ OFFICEKEY: 7 }] })
+        .mockResolvedValueOnce({ recordset: [{ total: 3 }] })
+
+      const res = await request(app)
+        .get("/odata/Office(7)/Members/$count?$filter=MemberCity eq 'Malibu'")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.headers['content-type']).toMatch(/^text\/plain/)
+      expect(res.text).toBe('3')
+      const [countQuery, params] = db.query.mock.calls[1]
+      expect(countQuery).toMatch(/FROM idc_agy.AGY_AGENT\s+WHERE PARENTOFFICE = @navigationKey AND CITY = @filter0/)
+      expect(params).toMatchObject({ navigationKey: 7 })
+    })
+
+    test('Returns 404 for missing source entities and invalid navigations', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+      const missing = await request(app)
+        .get('/odata/Member(999)/Listings')
+        .set('Authorization', `Bearer ${token}`)
+      expect(missing.status).toBe(404)
+      expect(missing.body.error.message).toBe("Member with key '999' not found")
+
+      const unknownKey = await request(app)
+        .get("/odata/Property('unknown')/ListAgent")
+        .set('Authorization', `Bearer ${token}`)
+      expect(unknownKey.status).toBe(404)
+
+      const singleCount = await request(app)
+        .get('/odata/Member(1)/Office/$count')
+        .set('Authorization', `Bearer ${token}`)
+      expect(singleCount.status).toBe(404)
+      expect(singleCount.body.error.message).toBe("Member has no collection-valued navigation property 'Office'")
+      expect(db.query).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('Media Resource', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    beforeEach(() => {
+      db.query.mockReset()
+    })
+
+    const mediaRow = {
+      MediaKey: '0123456789abcdef',
+      ResourceName: 'Property',
+      IDCPROPERTYID: 'P1',
+      IDCMLSNUMBER: 'MLS-1',
+      MediaCategory: 'Photo',
+      MediaURL: 'https://photos.example.com/1.jpg',
+      MediaOrder: 1,
+      ImageOf: null,
+      PHOTOMODIFIEDDATE: new Date('2026-03-01T00:00:00Z')
+    }
+
+    test('GET /odata/Media filters by listing and modification time', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [mediaRow] })
+
+      const res = await request(app)
+        .get("/odata/Media?$filter=ResourceRecordKey eq '5862564' and ModificationTimestamp gt 2026-01-01T00:00:00Z")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body['@odata.context']).toMatch(/\$metadata#Media$/)
+      expect(res.body.value).toEqual([{
+        '@odata.etag': expect.stringMatching(/^W\//),
+        MediaKey: '0123456789abcdef',
+        ResourceName: 'Property',
+        ResourceRecordKey: '5862564',
+        ResourceRecordID: 'MLS-1',
+        MediaCategory: 'Photo',
+        MediaURL: 'https://photos.example.com/1.jpg',
+        Order: 1,
+        ImageOf: null,
+        ModificationTimestamp: '2026-03-01T00:00:00.000Z'
+      }])
+
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toContain('CROSS APPLY')
+      // Listings are scoped before their photos are shredded
+      expect(query).toMatch(/CROSS APPLY [\s\S]*WHERE MLSBOARD = @mlsBoard\s+\) AS media/)
+      expect(query).toContain('WHERE IDCPROPERTYID = @filter0 AND PHOTOMODIFIEDDATE > @filter1')
+      expect(params).toMatchObject({ mlsBoard: 'INT', filter0: 'P1' })
+    })
+
+    test('Unknown ResourceRecordKeys match no media', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get("/odata/Media?$filter=ResourceRecordKey eq '1'")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.value).toEqual([])
+      expect(db.query.mock.calls[0][0]).toContain('IDCPROPERTYID IS NULL')
+    })
+
+    test("GET /odata/Media('key') returns a single media item", async () => {
+      db.query.mockResolvedValueOnce({ recordset: [mediaRow] })
+
+      const res = await request(app)
+        .get("/odata/Media('0123456789abcdef')")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body['@odata.context']).toMatch(/\$metadata#Media\/\$entity$/)
+      expect(res.body.MediaURL).toBe('https://photos.example.com/1.jpg')
+      expect(res.headers.etag).toBe(res.body['@odata.etag'])
+      expect(db.query.mock.calls[0][1]).toMatchObject({ keyValue: '0123456789abcdef' })
+    })
+
+    test("GET /odata/Media('key') returns 404 when not found", async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get("/odata/Media('ffffffffffffffff')")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(404)
+      expect(res.body.error.code).toBe('NotFound')
+    })
+
+    const mediaKey = (id, url, occurrence) =>
+      crypto.createHash('sha256').update(`${id}:${url}:${occurrence}`, 'utf16le').digest('hex').substring(0, 16)
+
+    test('MediaKeys are unique per listing and photo', async () => {
+      const photos = '<Photos><URL>https://img/shared.jpg</URL><URL>https://img/shared.jpg</URL></Photos>'
+      db.query.mockResolvedValueOnce({
+        recordset: [
+          { IDCPROPERTYID: 'P1', PROPERTYPHOTOS: photos, _sort0: 'P1' },
+          { IDCPROPERTYID: 'P2', PROPERTYPHOTOS: photos, _sort0: 'P2' }
+        ]
+      })
+
+      const res = await request(app)
+        .get('/odata/Property?$select=Media/MediaKey')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      // The ListingKey the keys derive from is fetched but not returned
+      expect(db.query.mock.calls[0][0]).toContain('SELECT PROPERTYPHOTOS, IDCPROPERTYID')
+      expect(res.body.value[0]).not.toHaveProperty('ListingKey')
+
+      const shared = 'https://img/shared.jpg'
+      expect(res.body.value.map(listing => listing.Media)).toEqual([
+        [{ MediaKey: mediaKey('P1', shared, 1) }, { MediaKey: mediaKey('P1', shared, 2) }],
+        [{ MediaKey: mediaKey('P2', shared, 1) }, { MediaKey: mediaKey('P2', shared, 2) }]
+      ])
+    })
+
+    test('MediaKeys survive reordering and deleting other photos', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', PROPERTYPHOTOS: '<Photos><URL>https://img/a.jpg</URL><URL>https://img/b.jpg</URL></Photos>' }] })
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', PROPERTYPHOTOS: '<Photos><URL>https://img/b.jpg</URL></Photos>' }] })
+
+      const before = await request(app)
+        .get("/odata/Property('5862564')?$select=Media")
+        .set('Authorization', `Bearer ${token}`)
+      const after = await request(app)
+        .get("/odata/Property('5862564')?$select=Media")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(before.body.Media[1]).toEqual({ MediaKey: mediaKey('P1', 'https://img/b.jpg', 1), MediaURL: 'https://img/b.jpg', Order: 2 })
+      expect(after.body.Media).toEqual([{ MediaKey: before.body.Media[1].MediaKey, MediaURL: 'https://img/b.jpg', Order: 1 }])
+    })
+
+    test('The Media entity set derives MediaKeys from the listing and URL', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get("/odata/Media?$filter=MediaKey eq 'abc'")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query] = db.query.mock.calls[0]
+      expect(query).toContain("CONCAT(CAST(IDCPROPERTYID AS nvarchar(50)), N':', MediaURL, N':', MediaOccurrence)")
+      // Malformed XML yields no photos rather than failing the statement
+      expect(query).toContain('TRY_CONVERT(xml, PROPERTYPHOTOS)')
+    })
+
+    test('Malformed photo XML yields no embedded Media', async () => {
+      const photos = '<Photos><URL>https://img/1.jpg?a=1&b=2</URL></Photos>'
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', PROPERTYPHOTOS: photos }] })
+
+      const res = await request(app)
+        .get("/odata/Property('5862564')?$select=Media")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.Media).toEqual([])
+    })
+
+    test("Property('key')/Media is the embedded collection, not a navigation", async () => {
+      const photos = '<Photos><URL>https://img/1.jpg</URL></Photos>'
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', PROPERTYPHOTOS: photos }] })
+
+      const res = await request(app)
+        .get("/odata/Property('5862564')/Media")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.value).toEqual([{ MediaKey: mediaKey('P1', 'https://img/1.jpg', 1), MediaURL: 'https://img/1.jpg', Order: 1 }])
+
+      const count = await request(app)
+        .get("/odata/Property('5862564')/Media/$count")
+        .set('Authorization', `Bearer ${token}`)
+      expect(count.status).toBe(404)
+    })
+  })
+
+  describe('OpenHouse Resource', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    beforeEach(() => {
+      db.query.mockReset()
+    })
+
+    const openHouseRow = {
+      OPENHOUSEID: 5,
+      IDCPROPERTYID: 'P1',
+      OPENHOUSEDATE: new Date('2026-05-10T00:00:00Z'),
+      STARTTIME: new Date('2026-05-10T13:00:00Z'),
+      ENDTIME: new Date('2026-05-10T16:00:00Z'),
+      REMARKS: 'Refreshments served',
+      AGENTKEY: 42,
+      LASTMODIFIED: new Date('2026-05-01T00:00:00Z')
+    }
+
+    test('GET /odata/OpenHouse filters by date range within exposed listings', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [openHouseRow] })
+
+      const res = await request(app)
+        .get('/odata/OpenHouse?$filter=OpenHouseDate ge 2026-05-01 and OpenHouseDate le 2026-05-31')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body['@odata.context']).toMatch(/\$metadata#OpenHouse$/)
+      expect(res.body.value).toEqual([expect.objectContaining({
+        OpenHouseKey: 5,
+        ListingKey: '5862564',
+        OpenHouseStartTime: '2026-05-10T13:00:00.000Z',
+        OpenHouseRemarks: 'Refreshments served',
+        ShowingAgentKey: 42
+      })])
+
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toMatch(/FROM idc_agy.AGY_OPENHOUSE\s+WHERE IDCPROPERTYID IN \(SELECT IDCPROPERTYID FROM idc_agy.AGY_CMNCMN_VW WHERE MLSBOARD = @mlsBoard\)/)
+      expect(query).toContain('AND OPENHOUSEDATE >= @filter0 AND OPENHOUSEDATE <= @filter1')
+      expect(params).toMatchObject({ mlsBoard: 'INT' })
+    })
+
+    test('Filters by encoded ListingKey', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      await request(app)
+        .get("/odata/OpenHouse?$filter=ListingKey eq '5862564'")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(db.query.mock.calls[0][1]).toMatchObject({ filter0: 'P1' })
+    })
+
+    test("GET /odata/Property('key')/OpenHouses lists a listing's open houses", async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1' }] })
+        .mockResolvedValueOnce({ recordset: [openHouseRow] })
+
+      const res = await request(app)
+        .get("/odata/Property('5862564')/OpenHouses?$orderby=OpenHouseStartTime")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.value).toHaveLength(1)
+      const [query, params] = db.query.mock.calls[1]
+      expect(query).toContain('MLSBOARD = @mlsBoard) AND IDCPROPERTYID = @navigationKey')
+      expect(query).toContain('ORDER BY STARTTIME ASC')
+      expect(params).toMatchObject({ navigationKey: 'P1' })
+    })
+
+    test('GET /odata/OpenHouse(key) returns a single open house or 404', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [openHouseRow] })
+        .mockResolvedValueOnce({ recordset: [] })
+
+      const found = await request(app)
+        .get('/odata/OpenHouse(5)')
+        .set('Authorization', `Bearer ${token}`)
+      const missing = await request(app)
+        .get('/odata/OpenHouse(6)')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(found.status).toBe(200)
+      expect(found.body['@odata.context']).toMatch(/\$metadata#OpenHouse\/\$entity$/)
+      expect(found.body.OpenHouseKey).toBe(5)
+      expect(db.query.mock.calls[0][1]).toMatchObject({ keyValue: 5, mlsBoard: 'INT' })
+      expect(missing.status).toBe(404)
+      expect(missing.body.error.message).toBe("OpenHouse with key '6' not found")
+    })
+  })
+
+  describe('OpenHouse before its view is confirmed', () => {
+    let token
+    let defaultApp
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+
+      delete process.env.ODATA_ENABLE_OPENHOUSE
+      jest.isolateModules(() => {
+        defaultApp = express().use('/odata', require('../odata'))
+      })
+      process.env.ODATA_ENABLE_OPENHOUSE = 'true'
+
+      // Requests no route matches finish on setImmediate, which fake timers hold back
+      jest.useRealTimers()
+    })
+
+    afterAll(() => {
+      jest.useFakeTimers()
+    })
+
+    test('is neither advertised nor routed by default', async () => {
+      const service = await request(defaultApp).get('/odata/')
+      expect(service.body.value.map(v => v.name)).toEqual(['Property', 'Member', 'Office', 'Media'])
+
+      const metadata = await request(defaultApp).get('/odata/$metadata')
+      expect(metadata.text).not.toContain('OpenHouse')
+
+      const list = await request(defaultApp)
+        .get('/odata/OpenHouse')
+        .set('Authorization', `Bearer ${token}`)
+      const navigation = await request(defaultApp)
+        .get("/odata/Property('5862564')/OpenHouses")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(list.status).toBe(404)
+      expect(navigation.status).toBe(404)
+    })
+  })
+
+  describe('Individual property access', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    beforeEach(() => {
+      db.query.mockReset()
+    })
+
+    test('Returns a property as { value }, selecting just its column', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCLISTPRICE: 1250000 }] })
+
+      const res = await request(app)
+        .get("/odata/Property('5862564')/ListPrice")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body).toEqual({
+        '@odata.context': expect.stringMatching(/\/odata\/\$metadata#Property\('5862564'\)\/ListPrice$/),
+        value: 1250000
+      })
+      const [query, params] = db.query.mock.calls[0]
+      expect(query).toMatch(/SELECT IDCLISTPRICE\s+FROM idc_agy.AGY_CMNCMN_VW/)
+      expect(params).toMatchObject({ keyValue: 'P1' })
+    })
+
+    test('Returns the raw value as text/plain with /$value', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCREMARKS: 'Ocean views & a pool' }] })
+
+      const res = await request(app)
+        .get("/odata/Property('5862564')/PublicRemarks/$value")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      expect(res.headers['content-type']).toMatch(/^text\/plain/)
+      expect(res.text).toBe('Ocean views & a pool')
+    })
+
+    test('Returns 204 for a null value', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCREMARKS: null }] })
+        .mockResolvedValueOnce({ recordset: [{ IDCREMARKS: null }] })
+
+      const json = await request(app)
+        .get("/odata/Property('5862564')/PublicRemarks")
+        .set('Authorization', `Bearer ${token}`)
+      const raw = await request(app)
+        .get("/odata/Property('5862564')/PublicRemarks/$value")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(json.status).toBe(204)
+      expect(raw.status).toBe(204)
+    })
+
+    test('Returns derived and enum properties in their RESO form', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCLATITUDE: 34.05, IDCLONGITUDE: -118.25 }] })
+        .mockResolvedValueOnce({ recordset: [{ IDCLATITUDE: 34.05, IDCLONGITUDE: -118.25 }] })
+
+      const location = await request(app)
+        .get("/odata/Property('5862564')/Location")
+        .set('Authorization', `Bearer ${token}`)
+      expect(location.body.value).toEqual({ type: 'Point', coordinates: [-118.25, 34.05] })
+
+      const raw = await request(app)
+        .get("/odata/Property('5862564')/Location/$value")
+        .set('Authorization', `Bearer ${token}`)
+      expect(raw.status).toBe(400)
+    })
+
+    test('Returns Member and Office properties', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ SURNAME: 'Smith' }] })
+        .mockResolvedValueOnce({ recordset: [{ OFFICENAME: 'Malibu' }] })
+
+      const member = await request(app)
+        .get('/odata/Member(123)/MemberLastName/$value')
+        .set('Authorization', `Bearer ${token}`)
+      const office = await request(app)
+        .get("/odata/Office('7')/OfficeName")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(member.text).toBe('Smith')
+      expect(office.body.value).toBe('Malibu')
+      expect(db.query.mock.calls[0][0]).toMatch(/SELECT SURNAME\s+FROM idc_agy.AGY_AGENT/)
+      expect(db.query.mock.calls[1][1]).toMatchObject({ keyValue: 7 })
+    })
+
+    test('Returns 404 for unknown properties and entities', async () => {
+      const unknown = await request(app)
+        .get("/odata/Property('5862564')/Password")
+        .set('Authorization', `Bearer ${token}`)
+      expect(unknown.status).toBe(404)
+      expect(unknown.body.error.message).toBe("Property has no property 'Password'")
+
+      db.query.mockResolvedValueOnce({ recordset: [] })
+      const missing = await request(app)
+        .get('/odata/Member(999)/MemberLastName')
+        .set('Authorization', `Bearer ${token}`)
+      expect(missing.status).toBe(404)
+      expect(db.query).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('odata.metadata levels', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    test('Defaults to minimal metadata', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ OFFICEKEY: 7, OFFICENAME: 'Malibu' }] })
+
+      const res = await request(app)
+        .get('/odata/Office')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.headers['content-type']).toBe('application/json; charset=utf-8; odata.metadata=minimal')
+      expect(res.body['@odata.context']).toContain('$metadata#Office')
+      expect(res.body.value[0]).toEqual({ '@odata.etag': expect.any(String), OfficeKey: 7, OfficeName: 'Malibu' })
+    })
+
+    test('Full metadata adds ids, types and navigation links, including expanded entities', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', IDCLISTAGENTKEY: 100 }] })
+        .mockResolvedValueOnce({ recordset: [{ AGENTKEY: 100, GIVENNAME: 'John' }] })
+
+      const res = await request(app)
+        .get('/odata/Property?$select=ListingKey&$expand=ListAgent')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Accept', 'application/json;odata.metadata=full')
+
+      expect(res.status).toBe(200)
+      expect(res.headers['content-type']).toContain('odata.metadata=full')
+      const [entity] = res.body.value
+      expect(entity).toMatchObject({
+        '@odata.type': '#org.reso.metadata.Property',
+        '@odata.id': expect.stringMatching(/\/odata\/Property\('5862564'\)$/),
+        '@odata.editLink': "Property('5862564')",
+        'ListAgent@odata.navigationLink': "Property('5862564')/ListAgent",
+        'ListOffice@odata.navigationLink': "Property('5862564')/ListOffice"
+      })
+      expect(Object.keys(entity)[0]).toBe('@odata.type')
+      expect(entity.ListAgent).toMatchObject({
+        '@odata.id': expect.stringMatching(/\/odata\/Member\(100\)$/),
+        MemberKey: 100,
+        MemberFirstName: 'John'
+      })
+    })
+
+    test('Full metadata on a single entity', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [{ AGENTKEY: 123, GIVENNAME: 'Jane' }] })
+
+      const res = await request(app)
+        .get('/odata/Member(123)?$format=application/json;odata.metadata=full')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.body['@odata.editLink']).toBe('Member(123)')
+      expect(res.body['@odata.context']).toContain('$metadata#Member/$entity')
+    })
+
+    test('No metadata strips annotations but keeps count and nextLink', async () => {
+      db.query
+        .mockResolvedValueOnce({ recordset: [{ OFFICEKEY: 1 }] })
+        .mockResolvedValueOnce({ recordset: [{ total: 9 }] })
+
+      const res = await request(app)
+        .get('/odata/Office?$top=1&$count=true&$format=application/json;odata.metadata=none')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.headers['content-type']).toContain('odata.metadata=none')
+      expect(res.body['@odata.context']).toBeUndefined()
+      expect(res.body['@odata.count']).toBe(9)
+      expect(res.body['@odata.nextLink']).toContain('%24format=application%2Fjson%3Bodata.metadata%3Dnone')
+      expect(res.body.value).toEqual([{ OfficeKey: 1 }])
+    })
+
+    test('Rejects unsupported formats and metadata levels', async () => {
+      const xml = await request(app)
+        .get('/odata/Office?$format=xml')
+        .set('Authorization', `Bearer ${token}`)
+      expect(xml.status).toBe(406)
+      expect(xml.body.error.code).toBe('NotAcceptable')
+
+      const level = await request(app)
+        .get('/odata/Office?$format=json;odata.metadata=some')
+        .set('Authorization', `Bearer ${token}`)
+      expect(level.status).toBe(400)
+      expect(level.body.error.target).toBe('$format')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('Leaves $metadata to XML', async () => {
+      for (const format of ['xml', 'application/xml']) {
+        const res = await request(app).get(`/odata/$metadata?$format=${format}`)
+        expect(res.status).toBe(200)
+        expect(res.headers['content-type']).toContain('application/xml')
+      }
+
+      const accept = await request(app).get('/odata/$metadata').set('Accept', 'application/xml')
+      expect(accept.status).toBe(200)
+    })
+  })
+
+  describe('$batch', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    // Read multipart responses as text instead of form data
+    function readText(res, callback) {
+      let text = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => { text += chunk })
+      res.on('end', () => callback(null, text))
+    }
+
+    test('Runs JSON batch requests and correlates responses by id', async () => {
+      db.query.mockImplementation(async (query) => query.includes('AGY_OFFICE')
+        ? { recordset: [{ OFFICEKEY: 'O1', OFFICENAME: 'Beverly Hills' }] }
+        : { recordset: [{ total: 12 }] })
+
+      const res = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          requests: [
+            { id: 'office', method: 'GET', url: "Office('O1')?$select=OfficeName" },
+            { id: 'agents', method: 'GET', url: '/odata/Member/$count' }
+          ]
+        })
+
+      expect(res.status).toBe(200)
+      expect(res.body.responses).toHaveLength(2)
+      const [office, agents] = res.body.responses
+      expect(office).toMatchObject({ id: 'office', status: 200, body: { OfficeName: 'Beverly Hills' } })
+      expect(office.headers['content-type']).toMatch(/^application\/json/)
+      expect(agents).toMatchObject({ id: 'agents', status: 200, body: '12' })
+      db.query.mockReset()
+    })
+
+    test('Runs independent requests concurrently', async () => {
+      // Neither query completes until both have started
+      let started = 0
+      let release
+      const bothStarted = new Promise(resolve => { release = resolve })
+      db.query.mockImplementation(async () => {
+        if (++started === 2) release()
+        await bothStarted
+        return { recordset: [{ total: started }] }
+      })
+
+      const res = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          requests: [
+            { id: '1', method: 'GET', url: 'Property/$count' },
+            { id: '2', method: 'GET', url: 'Office/$count' }
+          ]
+        })
+
+      expect(res.body.responses.map(r => r.status)).toEqual([200, 200])
+      expect(db.query).toHaveBeenCalledTimes(2)
+      db.query.mockReset()
+    })
+
+    test('Fails requests whose dependency failed with 424', async () => {
+      const res = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          requests: [
+            { id: 'a', method: 'GET', url: 'Property?$filter=Password eq 1' },
+            { id: 'b', method: 'GET', url: 'Office', dependsOn: ['a'] }
+          ]
+        })
+
+      expect(res.status).toBe(200)
+      expect(res.body.responses[0]).toMatchObject({ id: 'a', status: 400, body: { error: { target: '$filter' } } })
+      expect(res.body.responses[1]).toMatchObject({ id: 'b', status: 424 })
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('Runs multipart/mixed batches and echoes Content-ID', async () => {
+      db.query.mockResolvedValue({ recordset: [{ total: 5 }] })
+      const body = [
+        '--batch_1',
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        'Content-ID: 1',
+        '',
+        'GET Property/$count HTTP/1.1',
+        'Accept: text/plain',
+        '',
+        '',
+        '--batch_1',
+        'Content-Type: application/http',
+        'Content-ID: 2',
+        '',
+        'GET Property?$filter=Password%20eq%201 HTTP/1.1',
+        '',
+        '',
+        '--batch_1--',
+        ''
+      ].join('\r\n')
+
+      const res = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'multipart/mixed; boundary=batch_1')
+        .buffer(true)
+        .parse(readText)
+        .send(body)
+
+      expect(res.status).toBe(200)
+      const boundary = res.headers['content-type'].match(/boundary=([^;]+)/)[1]
+      const parts = res.body.split(`--${boundary}`)
+      expect(parts).toHaveLength(4)
+      expect(parts[1]).toContain('Content-ID: 1\r\n\r\nHTTP/1.1 200 OK\r\n')
+      expect(parts[1]).toMatch(/\r\n\r\n5\r\n$/)
+      expect(parts[2]).toContain('Content-ID: 2\r\n\r\nHTTP/1.1 400 Bad Request\r\n')
+      expect(parts[2]).toContain('Unknown field: Password')
+      expect(parts[3]).toBe('--\r\n')
+      db.query.mockReset()
+    })
+
+    test('Rejects change sets and malformed batches', async () => {
+      const changeSet = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'multipart/mixed; boundary=b')
+        .send('--b\r\nContent-Type: multipart/mixed; boundary=c\r\n\r\n--c--\r\n--b--\r\n')
+      expect(changeSet.status).toBe(400)
+      expect(changeSet.body.error.message).toBe('Invalid $batch: change sets are not supported, the service is read-only')
+
+      const missingId = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ requests: [{ method: 'GET', url: 'Office' }] })
+      expect(missingId.status).toBe(400)
+
+      const nested = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ requests: [{ id: '1', method: 'GET', url: '$batch' }] })
+      expect(nested.body.error.message).toBe('Invalid $batch: nested $batch requests are not supported')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('Forwards only the Authorization header of the batch request', async () => {
+      db.query.mockResolvedValue({ recordset: [{ OFFICEKEY: 7, LASTMODIFIED: new Date('2026-01-01T00:00:00Z') }] })
+      const first = await request(app).get('/odata/Office(7)').set('Authorization', `Bearer ${token}`)
+
+      const res = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-None-Match', '*')
+        .send({
+          requests: [
+            { id: 'plain', method: 'GET', url: 'Office(7)' },
+            { id: 'cached', method: 'GET', url: 'Office(7)', headers: { 'If-None-Match': first.headers.etag } }
+          ]
+        })
+
+      expect(res.status).toBe(200)
+      expect(res.body.responses.map(r => r.status)).toEqual([200, 304])
+      expect(res.body.responses[0].body['@odata.context']).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/odata\/\$metadata#Office/)
+      db.query.mockReset()
+    })
+
+    test('Rejects invalid requests before dispatching any', async () => {
+      const send = requests => request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ requests })
+      const valid = { id: 'a', method: 'GET', url: 'Office' }
+
+      const method = await send([valid, { id: 'b', method: 1, url: 'Office' }])
+      expect(method.status).toBe(400)
+      expect(method.body.error.message).toBe('Invalid $batch: request b has a method that is not a string')
+
+      const dependsOn = await send([valid, { id: 'b', url: 'Office', dependsOn: 'a' }])
+      expect(dependsOn.status).toBe(400)
+      expect(dependsOn.body.error.message).toBe('Invalid $batch: request b has a dependsOn that is not an array')
+
+      const later = await send([valid, { id: 'b', url: 'Office', dependsOn: ['c'] }, { id: 'c', url: 'Office' }])
+      expect(later.status).toBe(400)
+      expect(later.body.error.message).toBe('Invalid $batch: request b depends on c, which is not an earlier request')
+
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('Rejects request URLs on other origins', async () => {
+      const res = await request(app)
+        .post('/odata/$batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ requests: [{ id: '1', method: 'GET', url: 'http://evil.com/odata/Member(1)' }] })
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toBe('Invalid $batch: request URL http://evil.com/odata/Member(1) is outside the service')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('Requires authentication', async () => {
+      const res = await request(app)
+        .post('/odata/$batch')
+        .send({ requests: [{ id: '1', method: 'GET', url: 'Office' }] })
+
+      expect(res.status).toBe(401)
+      expect(db.query).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Query cost limits', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    test('Rejects a $filter with too many predicates with 400', async () => {
+      const filter = Array.from({ length: 60 }, (_, i) => `BedroomsTotal eq ${i}`).join(' or ')
+
+      const res = await request(app)
+        .get(`/odata/Property?$filter=${encodeURIComponent(filter)}`)
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.code).toBe('QueryLimitExceeded')
+      expect(res.body.error.message).toBe('$filter exceeds maxPredicates: more than 50 conditions')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('Rejects scanning PublicRemarks without a selective condition', async () => {
+      const res = await request(app)
+        .get("/odata/Property?$filter=contains(PublicRemarks, 'pool')")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toContain('allowTextScan')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('Allows scanning PublicRemarks alongside a selective condition', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get("/odata/Property?$filter=City eq 'Malibu' and contains(PublicRemarks, 'pool')")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+    })
+
+    test('Serves a plain $search under the default limits without scanning PublicRemarks', async () => {
+      db.query.mockResolvedValueOnce({ recordset: [] })
+
+      const res = await request(app)
+        .get('/odata/Property?$search=ocean view Malibu')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(200)
+      const [query] = db.query.mock.calls[0]
+      expect(query).toContain('(IDCADDRESS LIKE @search0 OR CITY LIKE @search0')
+      expect(query).not.toContain('IDCREMARKS LIKE')
+    })
+
+    test('Does not count a constant comparison as selective', async () => {
+      const res = await request(app)
+        .get("/odata/Property?$filter=contains(PublicRemarks, 'x') and 1 eq 1")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toContain('allowTextScan')
+      expect(db.query).not.toHaveBeenCalled()
+    })
+
+    test('Applies the limits to /$count and nested $expand filters', async () => {
+      const count = await request(app)
+        .get("/odata/Member/$count?$filter=contains(MemberComments, 'luxury')")
+        .set('Authorization', `Bearer ${token}`)
+      expect(count.status).toBe(400)
+
+      db.query.mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1', IDCLISTAGENTKEY: 7 }] })
+      const expanded = await request(app)
+        .get("/odata/Property?$expand=ListAgent($filter=contains(MemberComments, 'luxury'))")
+        .set('Authorization', `Bearer ${token}`)
+      expect(expanded.status).toBe(400)
+      expect(expanded.body.error.message).toContain('MemberComments')
+    })
+  })
+
+  describe('Error Handling', () => {
+    let token
+
+    beforeAll(async () => {
+      const tokenRes = await request(app)
+        .post('/odata/token')
+        .type('form')
+        .send({
+          grant_type: 'client_credentials',
+          client_id: 'test-client',
+          client_secret: 'test-secret'
+        })
+      token = tokenRes.body.access_token
+    })
+
+    test('Database error returns 500', async () => {
       db.query.mockRejectedValueOnce(new Error('Database connection failed'))
 
       const res = await request(app)
@@ -714,5 +2384,27 @@ describe('OData API Integration Tests', () => {
       expect(res.status).toBe(500)
       expect(res.body.error).toBeDefined()
     })
+
+    test('Invalid query option returns 400 with target and details', async () => {
+      const res = await request(app)
+        .get("/odata/Property?$filter=City eq 'Malibu' City")
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(res.status).toBe(400)
+      expect(res.body.error).toEqual({
+        code: 'BadRequest',
+        message: 'Invalid $filter: Unexpected token: City at position 17',
+        target: '$filter',
+        details: [{
+          code: 'SyntaxError',
+          message: 'Invalid $filter: Unexpected token: City',
+          target: '$filter',
+          position: 17,
+          token: 'City',
+          expected: ['and', 'or']
+        }]
+      })
+      expect(db.query).not.toHaveBeenCalled()
+    })
   })
 })
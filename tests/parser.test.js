@@ -5,13 +5,24 @@
 
 const {
   parseFilter,
+  parseCompute,
+  parseSearch,
   parseSelect,
+  parseCollectionSelect,
+  applyCollectionSelect,
   parseOrderBy,
   parseExpand,
+  parseExpandItems,
   buildQuery,
+  buildCountQuery,
   transformRow,
-  tokenizeFilter
+  omitFields,
+  tokenizeFilter,
+  parseFilterExpression
 } = require('../odata/parser')
+const { enumTypes, decodeEnumValue } = require('../odata/enums')
+const { parseApply } = require('../odata/apply')
+const { DEFAULT_LIMITS, validateClientLimits, limitsForClient } = require('../odata/limits')
 
 // Sample field map for testing
 const fieldMap = {
@@ -29,56 +40,79 @@ describe('tokenizeFilter', () => {
   test('tokenizes simple equality', () => {
     const tokens = tokenizeFilter("City eq 'Los Angeles'")
     expect(tokens).toEqual([
-      { type: 'identifier', value: 'City' },
-      { type: 'operator', value: 'eq' },
-      { type: 'string', value: 'Los Angeles' }
+      { type: 'identifier', value: 'City', position: 0 },
+      { type: 'operator', value: 'eq', position: 5 },
+      { type: 'string', value: 'Los Angeles', position: 8 }
     ])
   })
 
   test('tokenizes numeric comparison', () => {
     const tokens = tokenizeFilter('ListPrice gt 500000')
     expect(tokens).toEqual([
-      { type: 'identifier', value: 'ListPrice' },
-      { type: 'operator', value: 'gt' },
-      { type: 'number', value: 500000 }
+      { type: 'identifier', value: 'ListPrice', position: 0 },
+      { type: 'operator', value: 'gt', position: 10 },
+      { type: 'number', value: 500000, position: 13 }
     ])
   })
 
   test('tokenizes logical operators', () => {
     const tokens = tokenizeFilter("City eq 'LA' and ListPrice gt 100000")
     expect(tokens).toHaveLength(7)
-    expect(tokens[3]).toEqual({ type: 'logical', value: 'and' })
+    expect(tokens[3]).toEqual({ type: 'logical', value: 'and', position: 13 })
   })
 
   test('tokenizes function calls', () => {
     const tokens = tokenizeFilter("contains(City, 'Angeles')")
     expect(tokens).toEqual([
-      { type: 'function', value: 'contains' },
-      { type: 'paren', value: '(' },
-      { type: 'identifier', value: 'City' },
-      { type: 'comma', value: ',' },
-      { type: 'string', value: 'Angeles' },
-      { type: 'paren', value: ')' }
+      { type: 'function', value: 'contains', position: 0 },
+      { type: 'paren', value: '(', position: 8 },
+      { type: 'identifier', value: 'City', position: 9 },
+      { type: 'comma', value: ',', position: 13 },
+      { type: 'string', value: 'Angeles', position: 15 },
+      { type: 'paren', value: ')', position: 24 }
     ])
   })
 
+  test('tokenizes arithmetic operators', () => {
+    const tokens = tokenizeFilter('ListPrice div LivingArea lt 1500')
+    expect(tokens[1]).toEqual({ type: 'arithmetic', value: 'div', position: 10 })
+  })
+
+  test('tokenizes date and time literals', () => {
+    expect(tokenizeFilter('2025-01-15')).toEqual([{ type: 'datetime', value: '2025-01-15', position: 0 }])
+    expect(tokenizeFilter('2025-01-15T10:30:00Z')).toEqual([{ type: 'datetime', value: '2025-01-15T10:30:00Z', position: 0 }])
+    expect(tokenizeFilter('10:30:00')).toEqual([{ type: 'time', value: '10:30:00', position: 0 }])
+  })
+
+  test('tokenizes namespaced functions and geography literals', () => {
+    const tokens = tokenizeFilter("geo.distance(Location, geography'POINT(-118.4 34.07)')")
+    expect(tokens[0]).toEqual({ type: 'function', value: 'geo.distance', position: 0 })
+    expect(tokens[4]).toEqual({ type: 'geography', value: 'POINT(-118.4 34.07)', position: 23 })
+  })
+
+  test('tokenizes in operator', () => {
+    const tokens = tokenizeFilter("City in ('LA', 'NYC')")
+    expect(tokens[1]).toEqual({ type: 'operator', value: 'in', position: 5 })
+    expect(tokens[2]).toEqual({ type: 'paren', value: '(', position: 8 })
+  })
+
   test('tokenizes null and boolean literals', () => {
     const tokens = tokenizeFilter('City eq null')
-    expect(tokens[2]).toEqual({ type: 'literal', value: 'null' })
+    expect(tokens[2]).toEqual({ type: 'literal', value: 'null', position: 8 })
 
     const boolTokens = tokenizeFilter('IsActive eq true')
-    expect(boolTokens[2]).toEqual({ type: 'literal', value: 'true' })
+    expect(boolTokens[2]).toEqual({ type: 'literal', value: 'true', position: 12 })
   })
 
   test('handles escaped quotes in strings', () => {
     const tokens = tokenizeFilter("City eq 'O''Brien'")
-    expect(tokens[2]).toEqual({ type: 'string', value: "O'Brien" })
+    expect(tokens[2]).toEqual({ type: 'string', value: "O'Brien", position: 8 })
   })
 
   test('handles parentheses for grouping', () => {
     const tokens = tokenizeFilter("(City eq 'LA' or City eq 'NYC')")
-    expect(tokens[0]).toEqual({ type: 'paren', value: '(' })
-    expect(tokens[tokens.length - 1]).toEqual({ type: 'paren', value: ')' })
+    expect(tokens[0]).toEqual({ type: 'paren', value: '(', position: 0 })
+    expect(tokens[tokens.length - 1]).toEqual({ type: 'paren', value: ')', position: 30 })
   })
 
   test('throws on unexpected character', () => {
@@ -129,6 +163,12 @@ describe('parseFilter', () => {
     expect(params.filter0).toBe('Los%')
   })
 
+  test('escapes LIKE wildcards in function patterns', () => {
+    expect(parseFilter("contains(City, '50%')", fieldMap).params.filter0).toBe('%50[%]%')
+    expect(parseFilter("startswith(City, 'a_b')", fieldMap).params.filter0).toBe('a[_]b%')
+    expect(parseFilter("endswith(City, '[x]')", fieldMap).params.filter0).toBe('%[[]x]')
+  })
+
   test('parses endswith function', () => {
     const { sql, params } = parseFilter("endswith(City, 'Beach')", fieldMap)
     expect(sql).toBe('CITY LIKE @filter0')
@@ -137,7 +177,10 @@ describe('parseFilter', () => {
 
   test('parses null comparison', () => {
     const { sql } = parseFilter('City eq null', fieldMap)
-    expect(sql).toBe('CITY = NULL')
+    expect(sql).toBe('CITY IS NULL')
+
+    const notNull = parseFilter('City ne null', fieldMap)
+    expect(notNull.sql).toBe('CITY IS NOT NULL')
   })
 
   test('parses boolean literals', () => {
@@ -173,6 +216,635 @@ describe('parseFilter', () => {
   })
 })
 
+describe('parseFilterExpression', () => {
+  test('builds AST with and binding tighter than or', () => {
+    const ast = parseFilterExpression(tokenizeFilter("City eq 'LA' or City eq 'NYC' and BedroomsTotal gt 2"))
+    expect(ast.type).toBe('binary')
+    expect(ast.operator).toBe('or')
+    expect(ast.left).toEqual({
+      type: 'binary',
+      operator: 'eq',
+      left: { type: 'property', name: 'City', position: 0 },
+      right: { type: 'literal', dataType: 'Edm.String', value: 'LA', position: 8 },
+      position: 5
+    })
+    expect(ast.right.operator).toBe('and')
+  })
+
+  test('binds not tighter than comparison', () => {
+    const ast = parseFilterExpression(tokenizeFilter("not contains(City, 'x')"))
+    expect(ast).toEqual({
+      type: 'unary',
+      operator: 'not',
+      operand: {
+        type: 'call',
+        name: 'contains',
+        args: [
+          { type: 'property', name: 'City', position: 13 },
+          { type: 'literal', dataType: 'Edm.String', value: 'x', position: 19 }
+        ],
+        position: 4
+      },
+      position: 0
+    })
+  })
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseFilterExpression(tokenizeFilter("City City eq 'x'"))).toThrow('Unexpected token: City')
+    expect(() => parseFilterExpression(tokenizeFilter('eq 5'))).toThrow('Unexpected token: eq')
+    expect(() => parseFilterExpression(tokenizeFilter("(City eq 'x'"))).toThrow('Expected )')
+    expect(() => parseFilterExpression(tokenizeFilter("City eq 'x')"))).toThrow('Unexpected token: )')
+    expect(() => parseFilterExpression(tokenizeFilter("City eq 'x' and"))).toThrow('Unexpected end of filter')
+    expect(() => parseFilterExpression(tokenizeFilter("City eq 'a' eq 'b'"))).toThrow('Unexpected token: eq')
+    expect(() => parseFilterExpression([])).toThrow('Empty filter expression')
+  })
+
+  test('rejects unknown functions', () => {
+    expect(() => parseFilterExpression(tokenizeFilter("foo(City, 'x')"))).toThrow('Unknown function: foo')
+  })
+})
+
+describe('query option diagnostics', () => {
+  // The ODataError a parser throws for an invalid query option
+  function errorOf(parse) {
+    try {
+      parse()
+    } catch (err) {
+      return err
+    }
+    throw new Error('Expected an error')
+  }
+
+  test('locates unexpected tokens and lists what was expected', () => {
+    const err = errorOf(() => parseFilter("City eq 'LA' City", fieldMap))
+    expect(err.status).toBe(400)
+    expect(err.target).toBe('$filter')
+    expect(err.message).toBe('Invalid $filter: Unexpected token: City at position 13')
+    expect(err.details).toEqual([{
+      code: 'SyntaxError',
+      message: 'Invalid $filter: Unexpected token: City',
+      target: '$filter',
+      position: 13,
+      token: 'City',
+      expected: ['and', 'or']
+    }])
+  })
+
+  test('expects an operator after a value', () => {
+    const [detail] = errorOf(() => parseFilter('ListPrice 5', fieldMap)).details
+    expect(detail).toMatchObject({ position: 10, token: '5' })
+    expect(detail.expected).toEqual(expect.arrayContaining(['eq', 'add', 'and']))
+  })
+
+  test('reports the end of the filter with a null token', () => {
+    const [detail] = errorOf(() => parseFilter("City eq 'LA' and", fieldMap)).details
+    expect(detail).toMatchObject({ position: 16, token: null, expected: ['property', 'literal', 'function', '(', 'not'] })
+
+    const [paren] = errorOf(() => parseFilter("(City eq 'LA'", fieldMap)).details
+    expect(paren).toMatchObject({ position: 13, token: null, expected: [')'] })
+  })
+
+  test('locates tokenizer and type errors', () => {
+    expect(errorOf(() => parseFilter("City eq 'LA", fieldMap)).details[0])
+      .toMatchObject({ message: 'Invalid $filter: Unterminated string literal', position: 8, token: "'LA", expected: ["'"] })
+    expect(errorOf(() => parseFilter('ListPrice gt 1 and Nope eq 2', fieldMap)).details[0])
+      .toMatchObject({ code: 'InvalidQueryOption', position: 19, token: 'Nope' })
+    expect(errorOf(() => parseFilter("ListPrice eq 'x'", fieldMap, { fieldTypes: { ListPrice: 'Edm.Decimal' } })).details[0])
+      .toMatchObject({ position: 10, token: 'eq' })
+  })
+
+  test('locates errors in $search, $select, $orderby, $expand and $compute', () => {
+    expect(errorOf(() => parseSearch('ocean AND', fieldMap, ['City'])).details[0])
+      .toMatchObject({ target: '$search', position: 9, token: null })
+    expect(errorOf(() => parseSelect('City,Nope', fieldMap)).details[0])
+      .toMatchObject({ target: '$select', message: 'Invalid field in $select: Nope', position: 5, token: 'Nope' })
+    expect(errorOf(() => parseOrderBy('City, ListPrice dsc', fieldMap)).details[0])
+      .toMatchObject({ target: '$orderby', position: 16, token: 'dsc', expected: ['asc', 'desc'] })
+    expect(errorOf(() => parseExpandItems('ListOffice,Nope', ['ListOffice'])).details[0])
+      .toMatchObject({ target: '$expand', position: 11, token: 'Nope', expected: ['ListOffice'] })
+    expect(errorOf(() => parseCompute('ListPrice mul 2 as X, ListPrice mul as Y', fieldMap, { fieldTypes: { ListPrice: 'Edm.Decimal' } })).details[0])
+      .toMatchObject({ target: '$compute', position: 35, token: null })
+  })
+})
+
+describe('parseFilter precedence and validation', () => {
+  const fieldTypes = {
+    ListingKey: 'Edm.String',
+    ListingId: 'Edm.String',
+    ListPrice: 'Edm.Decimal',
+    City: 'Edm.String',
+    StateOrProvince: 'Edm.String',
+    StandardStatus: 'Edm.String',
+    BedroomsTotal: 'Edm.Int32',
+    ModificationTimestamp: 'Edm.DateTimeOffset'
+  }
+
+  test('adds parentheses only where precedence requires them', () => {
+    const { sql, params } = parseFilter("(City eq 'LA' or City eq 'NYC') and ListPrice gt 100", fieldMap, { fieldTypes })
+    expect(sql).toBe('(CITY = @filter0 OR CITY = @filter1) AND IDCLISTPRICE > @filter2')
+    expect(params).toEqual({ filter0: 'LA', filter1: 'NYC', filter2: 100 })
+  })
+
+  test('translates not', () => {
+    const { sql } = parseFilter("not (City eq 'LA' or BedroomsTotal lt 2)", fieldMap, { fieldTypes })
+    expect(sql).toBe('NOT (CITY = @filter0 OR BEDS < @filter1)')
+  })
+
+  test('type-checks comparisons against EDM types', () => {
+    expect(() => parseFilter("ListPrice eq 'abc'", fieldMap, { fieldTypes }))
+      .toThrow('Invalid $filter: Cannot compare Edm.Decimal with Edm.String using eq')
+    expect(() => parseFilter('City gt 5', fieldMap, { fieldTypes }))
+      .toThrow('Cannot compare Edm.String with Edm.Int32')
+    expect(() => parseFilter("ModificationTimestamp gt 'yesterday'", fieldMap, { fieldTypes }))
+      .toThrow('Cannot compare Edm.DateTimeOffset with Edm.String')
+  })
+
+  test('accepts compatible types', () => {
+    expect(parseFilter('ListPrice ge 100.5', fieldMap, { fieldTypes }).sql).toBe('IDCLISTPRICE >= @filter0')
+    expect(parseFilter('ModificationTimestamp gt 2024-01-01', fieldMap, { fieldTypes }).sql).toBe('LASTMODIFIED > @filter0')
+  })
+
+  test('type-checks function arguments', () => {
+    expect(() => parseFilter("contains(ListPrice, '1')", fieldMap, { fieldTypes }))
+      .toThrow('contains() argument 1 must be string, got Edm.Decimal')
+    expect(() => parseFilter('contains(City)', fieldMap, { fieldTypes }))
+      .toThrow('contains() expects 2 arguments, got 1')
+  })
+
+  test('requires boolean operands for logical operators', () => {
+    expect(() => parseFilter("City and City eq 'x'", fieldMap, { fieldTypes }))
+      .toThrow('Operator and requires boolean operands, got Edm.String')
+    expect(() => parseFilter("not City eq 'x'", fieldMap, { fieldTypes }))
+      .toThrow('Operator not requires a boolean operand')
+  })
+
+  test('requires a boolean result', () => {
+    expect(() => parseFilter('ListPrice', fieldMap, { fieldTypes }))
+      .toThrow('Filter must be a boolean expression, got Edm.Decimal')
+  })
+
+  test('only allows eq and ne with null', () => {
+    expect(() => parseFilter('ListPrice gt null', fieldMap, { fieldTypes }))
+      .toThrow('null can only be compared using eq or ne')
+  })
+
+  test('translates in to a parameterized IN list', () => {
+    const { sql, params } = parseFilter("City in ('Beverly Hills', 'Malibu', 'Bel Air')", fieldMap, { fieldTypes })
+    expect(sql).toBe('CITY IN (@filter0, @filter1, @filter2)')
+    expect(params).toEqual({ filter0: 'Beverly Hills', filter1: 'Malibu', filter2: 'Bel Air' })
+  })
+
+  test('supports in with numbers and dates', () => {
+    const numbers = parseFilter('BedroomsTotal in (3, 4) and ListPrice gt 1', fieldMap, { fieldTypes })
+    expect(numbers.sql).toBe('BEDS IN (@filter0, @filter1) AND IDCLISTPRICE > @filter2')
+    expect(numbers.params.filter1).toBe(4)
+
+    const dates = parseFilter('ModificationTimestamp in (2024-01-01, 2024-01-02T10:00:00Z)', fieldMap, { fieldTypes })
+    expect(dates.sql).toBe('LASTMODIFIED IN (@filter0, @filter1)')
+    expect(dates.params.filter1).toBe('2024-01-02T10:00:00Z')
+  })
+
+  test('binds in tighter than not', () => {
+    const { sql } = parseFilter("not City in ('LA')", fieldMap, { fieldTypes })
+    expect(sql).toBe('NOT (CITY IN (@filter0))')
+  })
+
+  test('validates in lists', () => {
+    expect(() => parseFilter("ListPrice in (1, 'two')", fieldMap, { fieldTypes }))
+      .toThrow('Cannot compare Edm.Decimal with Edm.String using in')
+    expect(() => parseFilter('City in ()', fieldMap, { fieldTypes })).toThrow('Unexpected token: )')
+    expect(() => parseFilter('City in (City)', fieldMap, { fieldTypes })).toThrow('Expected literal in list')
+    expect(() => parseFilter("City in ('a', null)", fieldMap, { fieldTypes })).toThrow('in list cannot contain null')
+  })
+
+  test('enforces the in list cap', () => {
+    expect(() => parseFilter("City in ('a', 'b', 'c')", fieldMap, { fieldTypes, limits: { maxInListSize: 2 } }))
+      .toThrow('in list has 3 values, maximum is 2')
+  })
+
+  test('translates arithmetic operators', () => {
+    const add = parseFilter('BedroomsTotal add 1 ge 4', fieldMap, { fieldTypes })
+    expect(add.sql).toBe('BEDS + @filter0 >= @filter1')
+    expect(add.params).toEqual({ filter0: 1, filter1: 4 })
+
+    expect(parseFilter('ListPrice sub 100 mul 2 gt 0', fieldMap, { fieldTypes }).sql)
+      .toBe('IDCLISTPRICE - @filter0 * @filter1 > @filter2')
+    expect(parseFilter('(ListPrice sub 100) mul 2 gt 0', fieldMap, { fieldTypes }).sql)
+      .toBe('(IDCLISTPRICE - @filter0) * @filter1 > @filter2')
+    expect(parseFilter('ListPrice sub (BedroomsTotal sub 1) gt 0', fieldMap, { fieldTypes }).sql)
+      .toBe('IDCLISTPRICE - (BEDS - @filter0) > @filter1')
+  })
+
+  test('guards div and mod against division by zero', () => {
+    const { sql, params } = parseFilter('ListPrice div BedroomsTotal lt 1500', fieldMap, { fieldTypes })
+    expect(sql).toBe('IDCLISTPRICE / NULLIF(BEDS, 0) < @filter0')
+    expect(params).toEqual({ filter0: 1500 })
+
+    expect(parseFilter('BedroomsTotal mod (ListPrice add 1) eq 0', fieldMap, { fieldTypes }).sql)
+      .toBe('BEDS % NULLIF(IDCLISTPRICE + @filter0, 0) = @filter1')
+  })
+
+  test('requires numeric operands for arithmetic', () => {
+    expect(() => parseFilter('City add 1 eq 2', fieldMap, { fieldTypes }))
+      .toThrow('Operator add requires numeric operands, got Edm.String')
+    expect(() => parseFilter("ListPrice mul 'x' gt 1", fieldMap, { fieldTypes }))
+      .toThrow('Operator mul requires numeric operands, got Edm.String')
+    expect(() => parseFilter('ListPrice div 2', fieldMap, { fieldTypes }))
+      .toThrow('Filter must be a boolean expression, got Edm.Decimal')
+  })
+
+  test('translates date part functions', () => {
+    const { sql, params } = parseFilter('year(ModificationTimestamp) eq 2025 and month(ModificationTimestamp) ge 6', fieldMap, { fieldTypes })
+    expect(sql).toBe('DATEPART(year, LASTMODIFIED) = @filter0 AND DATEPART(month, LASTMODIFIED) >= @filter1')
+    expect(params).toEqual({ filter0: 2025, filter1: 6 })
+
+    expect(parseFilter('day(ModificationTimestamp) eq 1', fieldMap, { fieldTypes }).sql)
+      .toBe('DATEPART(day, LASTMODIFIED) = @filter0')
+    expect(parseFilter('hour(ModificationTimestamp) lt 12', fieldMap, { fieldTypes }).sql)
+      .toBe('DATEPART(hour, LASTMODIFIED) < @filter0')
+  })
+
+  test('translates date, time and now', () => {
+    expect(parseFilter('date(ModificationTimestamp) eq date(now())', fieldMap, { fieldTypes }).sql)
+      .toBe('CAST(LASTMODIFIED AS date) = CAST(SYSUTCDATETIME() AS date)')
+
+    const time = parseFilter('time(ModificationTimestamp) ge 08:30:00', fieldMap, { fieldTypes })
+    expect(time.sql).toBe('CAST(LASTMODIFIED AS time) >= @filter0')
+    expect(time.params.filter0).toBe('08:30:00')
+
+    expect(parseFilter('ModificationTimestamp gt mindatetime() and ModificationTimestamp lt maxdatetime()', fieldMap, { fieldTypes }).sql)
+      .toBe("LASTMODIFIED > CAST('0001-01-01T00:00:00' AS datetime2) AND LASTMODIFIED < CAST('9999-12-31T23:59:59.9999999' AS datetime2)")
+  })
+
+  test('type-checks date and time functions', () => {
+    expect(() => parseFilter('year(City) eq 2025', fieldMap, { fieldTypes }))
+      .toThrow('year() argument 1 must be temporal, got Edm.String')
+    expect(() => parseFilter("year(ModificationTimestamp) eq '2025'", fieldMap, { fieldTypes }))
+      .toThrow('Cannot compare Edm.Int32 with Edm.String')
+    expect(() => parseFilter('time(ModificationTimestamp) eq 2025-01-01', fieldMap, { fieldTypes }))
+      .toThrow('Cannot compare Edm.TimeOfDay with Edm.Date')
+    expect(() => parseFilter('now(ModificationTimestamp) eq now()', fieldMap, { fieldTypes }))
+      .toThrow('now() expects 0 arguments, got 1')
+  })
+
+  test('translates string functions', () => {
+    const lower = parseFilter("tolower(City) eq 'malibu'", fieldMap, { fieldTypes })
+    expect(lower.sql).toBe('LOWER(CITY) = @filter0')
+    expect(lower.params.filter0).toBe('malibu')
+
+    expect(parseFilter("toupper(trim(City)) eq 'LA'", fieldMap, { fieldTypes }).sql)
+      .toBe('UPPER(LTRIM(RTRIM(CITY))) = @filter0')
+    expect(parseFilter('length(City) gt 5', fieldMap, { fieldTypes }).sql)
+      .toBe('LEN(CITY) > @filter0')
+    expect(parseFilter("concat(City, StateOrProvince) eq 'LACA'", fieldMap, { fieldTypes }).sql)
+      .toBe('CONCAT(CITY, STATE) = @filter0')
+  })
+
+  test('translates zero-based indexof and substring', () => {
+    expect(parseFilter("indexof(City, 'Hills') eq 8", fieldMap, { fieldTypes }).sql)
+      .toBe('(CHARINDEX(@filter0, CITY) - 1) = @filter1')
+
+    const sub = parseFilter("substring(ListingId, 0, 3) eq '902'", fieldMap, { fieldTypes })
+    expect(sub.sql).toBe('SUBSTRING(IDCMLSNUMBER, @filter0 + 1, @filter1) = @filter2')
+    expect(sub.params).toEqual({ filter0: 0, filter1: 3, filter2: '902' })
+
+    expect(parseFilter("substring(City, 2) eq 's'", fieldMap, { fieldTypes }).sql)
+      .toBe('SUBSTRING(CITY, @filter0 + 1, 2147483647) = @filter1')
+  })
+
+  test('composes functions as arguments', () => {
+    const { sql, params } = parseFilter("contains(tolower(City), tolower('Hills'))", fieldMap, { fieldTypes })
+    expect(sql).toBe("LOWER(CITY) LIKE '%' + REPLACE(REPLACE(REPLACE(LOWER(@filter0), '[', '[[]'), '%', '[%]'), '_', '[_]') + '%'")
+    expect(params.filter0).toBe('Hills')
+
+    expect(parseFilter("startswith(concat(City, ', '), 'LA')", fieldMap, { fieldTypes }).sql)
+      .toBe('CONCAT(CITY, @filter0) LIKE @filter1')
+  })
+
+  test('type-checks string functions', () => {
+    expect(() => parseFilter("tolower(ListPrice) eq 'x'", fieldMap, { fieldTypes }))
+      .toThrow('tolower() argument 1 must be string, got Edm.Decimal')
+    expect(() => parseFilter("substring(City, 'a') eq 'x'", fieldMap, { fieldTypes }))
+      .toThrow('substring() argument 2 must be numeric, got Edm.String')
+    expect(() => parseFilter("substring(City) eq 'x'", fieldMap, { fieldTypes }))
+      .toThrow('substring() expects 2 to 3 arguments, got 1')
+    expect(() => parseFilter("length(City) eq 'x'", fieldMap, { fieldTypes }))
+      .toThrow('Cannot compare Edm.Int32 with Edm.String')
+    expect(() => parseFilter("tolower(Unknown) eq 'x'", fieldMap, { fieldTypes }))
+      .toThrow('Unknown field: Unknown')
+  })
+
+  describe('geospatial functions', () => {
+    const geoFieldMap = { ...fieldMap, Latitude: 'LAT', Longitude: 'LON' }
+    const geoOptions = {
+      fieldTypes: { ...fieldTypes, Location: 'Edm.GeographyPoint' },
+      derivedFields: { Location: { sql: 'geography::Point(LAT, LON, 4326)', dependsOn: ['Latitude', 'Longitude'] } }
+    }
+
+    test('translates geo.distance with a parameterized point', () => {
+      const { sql, params } = parseFilter("geo.distance(Location, geography'POINT(-118.4 34.07)') lt 3200", geoFieldMap, geoOptions)
+      expect(sql).toBe('geography::STGeomFromText(@filter0, 4326).STDistance(geography::Point(LAT, LON, 4326)) < @filter1')
+      expect(params).toEqual({ filter0: 'POINT(-118.4 34.07)', filter1: 3200 })
+    })
+
+    test('translates geo.intersects and reorients clockwise polygons', () => {
+      const { sql, params } = parseFilter(
+        "geo.intersects(Location, geography'SRID=4326;POLYGON((-118 34, -118 35, -117 35, -117 34, -118 34))')",
+        geoFieldMap,
+        geoOptions
+      )
+      expect(sql).toBe('geography::STGeomFromText(@filter0, 4326).STIntersects(geography::Point(LAT, LON, 4326)) = 1')
+      expect(params.filter0).toBe('POLYGON((-118 34, -117 34, -117 35, -118 35, -118 34))')
+    })
+
+    test('validates geography literals and arguments', () => {
+      expect(() => parseFilter("geo.distance(Location, geography'POINT(-118.4)') lt 1", geoFieldMap, geoOptions))
+        .toThrow('Invalid geography position')
+      expect(() => parseFilter("geo.distance(Location, geography'POINT(-118.4 134)') lt 1", geoFieldMap, geoOptions))
+        .toThrow('Geography position out of range')
+      expect(() => parseFilter("geo.intersects(Location, geography'POLYGON((0 0, 1 0, 1 1, 0 1))')", geoFieldMap, geoOptions))
+        .toThrow('Polygon rings must be closed')
+      expect(() => parseFilter("geo.distance(Location, geography'SRID=3857;POINT(1 1)') lt 1", geoFieldMap, geoOptions))
+        .toThrow('Unsupported SRID: 3857')
+      expect(() => parseFilter("geo.distance(City, geography'POINT(1 1)') lt 1", geoFieldMap, geoOptions))
+        .toThrow('geo.distance() argument 1 must be Edm.GeographyPoint, got Edm.String')
+      expect(() => parseFilter("Location eq geography'POINT(1 1)'", geoFieldMap, geoOptions))
+        .toThrow('Cannot compare Edm.GeographyPoint with Edm.GeographyPoint')
+    })
+
+    test('derived fields are not filterable without an sql expression', () => {
+      expect(() => parseFilter("Location eq 'x'", fieldMap, { fieldTypes })).toThrow('Unknown field: Location')
+    })
+  })
+
+  describe('lambda operators and collection counts', () => {
+    const collectionOptions = {
+      fieldTypes,
+      collections: {
+        Media: {
+          source: '(SELECT URL, POS FROM photos)',
+          fieldMap: { MediaURL: 'URL', Order: 'POS' },
+          fieldTypes: { MediaURL: 'Edm.String', Order: 'Edm.Int32' }
+        }
+      }
+    }
+
+    test('translates any to EXISTS over the collection source', () => {
+      const { sql, params } = parseFilter('Media/any(m: m/Order eq 1)', fieldMap, collectionOptions)
+      expect(sql).toBe('EXISTS (SELECT 1 FROM (SELECT URL, POS FROM photos) AS lambda0 WHERE lambda0.POS = @filter0)')
+      expect(params).toEqual({ filter0: 1 })
+    })
+
+    test('translates any() without a predicate', () => {
+      expect(parseFilter('Media/any()', fieldMap, collectionOptions).sql)
+        .toBe('EXISTS (SELECT 1 FROM (SELECT URL, POS FROM photos) AS lambda0)')
+    })
+
+    test('translates all to NOT EXISTS over failing items', () => {
+      const { sql } = parseFilter("Media/all(m: endswith(m/MediaURL, '.jpg')) and City eq 'LA'", fieldMap, collectionOptions)
+      expect(sql).toBe(
+        'NOT EXISTS (SELECT 1 FROM (SELECT URL, POS FROM photos) AS lambda0 ' +
+        'WHERE CASE WHEN lambda0.URL LIKE @filter0 THEN 0 ELSE 1 END = 1) AND CITY = @filter1'
+      )
+    })
+
+    test('allows outer fields and $it inside lambda predicates', () => {
+      const { sql } = parseFilter("Media/any(m: m/Order eq BedroomsTotal and $it/City eq 'LA')", fieldMap, collectionOptions)
+      expect(sql).toContain('WHERE lambda0.POS = BEDS AND CITY = @filter0')
+    })
+
+    test('translates $count on collections', () => {
+      const { sql, params } = parseFilter('Media/$count ge 5', fieldMap, collectionOptions)
+      expect(sql).toBe('(SELECT COUNT(*) FROM (SELECT URL, POS FROM photos) AS items) >= @filter0')
+      expect(params.filter0).toBe(5)
+    })
+
+    test('validates lambda expressions', () => {
+      expect(() => parseFilter('Media/any(m: m/Width eq 1)', fieldMap, collectionOptions))
+        .toThrow('Unknown field: m/Width')
+      expect(() => parseFilter('Media/any(m: x/Order eq 1)', fieldMap, collectionOptions))
+        .toThrow('Unknown field: x/Order')
+      expect(() => parseFilter("Media/any(m: m/Order eq 'first')", fieldMap, collectionOptions))
+        .toThrow('Cannot compare Edm.Int32 with Edm.String')
+      expect(() => parseFilter('Media/any(m: m/Order)', fieldMap, collectionOptions))
+        .toThrow('any() predicate must be boolean, got Edm.Int32')
+      expect(() => parseFilter('Photos/any(m: m/Order eq 1)', fieldMap, collectionOptions))
+        .toThrow('Unknown collection: Photos')
+      expect(() => parseFilter('Media/all()', fieldMap, collectionOptions))
+        .toThrow('Expected lambda variable in all()')
+      expect(() => parseFilter('Media/any(m m/Order eq 1)', fieldMap, collectionOptions))
+        .toThrow('Expected : after lambda variable m')
+      expect(() => parseFilter('Media/any(m: Media/any(m: m/Order eq 1))', fieldMap, collectionOptions))
+        .toThrow('Lambda variable m is already in use')
+    })
+  })
+
+  describe('navigation property paths', () => {
+    const navigationOptions = {
+      fieldTypes,
+      navigations: {
+        ListAgent: {
+          table: 'agents',
+          key: 'AGENTKEY',
+          foreignKey: 'listings.AGENTID',
+          fieldMap: { MemberLastName: 'SURNAME', MemberKey: 'AGENTKEY' },
+          fieldTypes: { MemberLastName: 'Edm.String', MemberKey: 'Edm.String' }
+        }
+      }
+    }
+
+    test('translates navigation paths to correlated subqueries', () => {
+      const { sql, params } = parseFilter("ListAgent/MemberLastName eq 'Smith'", fieldMap, navigationOptions)
+      expect(sql).toBe('(SELECT TOP 1 nav.SURNAME FROM agents AS nav WHERE nav.AGENTKEY = listings.AGENTID) = @filter0')
+      expect(params.filter0).toBe('Smith')
+    })
+
+    test('allows navigation paths in functions', () => {
+      const { sql } = parseFilter("startswith(ListAgent/MemberLastName, 'Sm')", fieldMap, navigationOptions)
+      expect(sql).toBe('(SELECT TOP 1 nav.SURNAME FROM agents AS nav WHERE nav.AGENTKEY = listings.AGENTID) LIKE @filter0')
+    })
+
+    test('validates navigation paths', () => {
+      expect(() => parseFilter("ListAgent/Password eq 'x'", fieldMap, navigationOptions))
+        .toThrow('Unknown field: ListAgent/Password')
+      expect(() => parseFilter("ListOffice/OfficeName eq 'x'", fieldMap, navigationOptions))
+        .toThrow('Unknown field: ListOffice/OfficeName')
+      expect(() => parseFilter('ListAgent/MemberLastName eq 1', fieldMap, navigationOptions))
+        .toThrow('Cannot compare Edm.String with Edm.Int32')
+    })
+  })
+
+  describe('enumerations', () => {
+    const STATUS = 'org.reso.metadata.enums.StandardStatus'
+    const FEATURES = 'org.reso.metadata.enums.TestFeatures'
+    const enumOptions = { fieldTypes: { ...fieldTypes, StandardStatus: STATUS, City: FEATURES } }
+
+    beforeAll(() => {
+      enumTypes.TestFeatures = { isFlags: true, members: { Pool: ['Pool'], Spa: ['Spa', 'Hot Tub'] } }
+    })
+
+    afterAll(() => {
+      delete enumTypes.TestFeatures
+    })
+
+    test('translates enum members to their DB codes', () => {
+      const { sql, params } = parseFilter("StandardStatus eq 'Closed'", fieldMap, enumOptions)
+      expect(sql).toBe('IDCSTATUS IN (@filter0, @filter1, @filter2)')
+      expect(params).toEqual({ filter0: 'Closed', filter1: 'Sold', filter2: 'S' })
+    })
+
+    test('accepts qualified enum literals', () => {
+      const { sql, params } = parseFilter(`StandardStatus ne ${STATUS}'ComingSoon'`, fieldMap, enumOptions)
+      expect(sql).toBe('IDCSTATUS != @filter0')
+      expect(params.filter0).toBe('Coming Soon')
+    })
+
+    test('expands enum members in in lists', () => {
+      const { sql } = parseFilter("StandardStatus in ('Active', 'Pending')", fieldMap, enumOptions)
+      expect(sql).toBe('IDCSTATUS IN (@filter0, @filter1, @filter2, @filter3)')
+    })
+
+    test('translates has on single-valued enums', () => {
+      const { sql } = parseFilter(`StandardStatus has ${STATUS}'Withdrawn' and ListPrice gt 1`, fieldMap, enumOptions)
+      expect(sql).toBe('IDCSTATUS IN (@filter0, @filter1) AND IDCLISTPRICE > @filter2')
+    })
+
+    test('translates has on multi-valued enums', () => {
+      const { sql, params } = parseFilter(`City has ${FEATURES}'Pool,Spa' or ListPrice gt 1`, fieldMap, enumOptions)
+      const list = "',' + REPLACE(CITY, ', ', ',') + ','"
+      expect(sql).toBe(
+        `${list} LIKE @filter0 AND (${list} LIKE @filter1 OR ${list} LIKE @filter2) OR IDCLISTPRICE > @filter3`
+      )
+      expect(params).toMatchObject({ filter0: '%,Pool,%', filter1: '%,Spa,%', filter2: '%,Hot Tub,%' })
+    })
+
+    test('validates enum expressions', () => {
+      expect(() => parseFilter("StandardStatus eq 'Sold'", fieldMap, enumOptions))
+        .toThrow('Invalid StandardStatus value: Sold')
+      expect(() => parseFilter("StandardStatus gt 'Active'", fieldMap, enumOptions))
+        .toThrow('Operator gt is not supported for StandardStatus')
+      expect(() => parseFilter('StandardStatus eq ListingId', fieldMap, enumOptions))
+        .toThrow(`Cannot compare ${STATUS} with Edm.String using eq`)
+      expect(() => parseFilter("City eq 'Pool'", fieldMap, enumOptions))
+        .toThrow('TestFeatures is multi-valued, use has instead of eq')
+      expect(() => parseFilter("ListingId has 'Pool'", fieldMap, enumOptions))
+        .toThrow('Operator has requires an enumeration operand, got Edm.String')
+      expect(() => parseFilter(`StandardStatus has ${FEATURES}'Pool'`, fieldMap, enumOptions))
+        .toThrow('Operator has requires a StandardStatus literal')
+      expect(() => parseFilter(`StandardStatus eq ${STATUS}'Active,Closed'`, fieldMap, enumOptions))
+        .toThrow('StandardStatus is not multi-valued: Active,Closed')
+      expect(() => parseFilter("StandardStatus eq Status'Active'", fieldMap, enumOptions))
+        .toThrow('Unknown enumeration type: Status')
+    })
+
+    test('decodes DB codes to enum members', () => {
+      expect(decodeEnumValue(STATUS, 'sold')).toBe('Closed')
+      expect(decodeEnumValue(STATUS, 'Under Contract')).toBe('ActiveUnderContract')
+      expect(decodeEnumValue(FEATURES, 'Hot Tub, Pool, Spa')).toBe('Spa,Pool')
+    })
+
+    test('passes unmapped DB codes through and logs them once', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      try {
+        expect(decodeEnumValue(STATUS, 'Leased')).toBe('Leased')
+        expect(decodeEnumValue(STATUS, 'Leased')).toBe('Leased')
+        expect(decodeEnumValue(FEATURES, 'Pool, Sauna')).toBe('Pool,Sauna')
+        expect(warn).toHaveBeenCalledTimes(2)
+        expect(warn).toHaveBeenCalledWith("Unmapped StandardStatus code 'Leased' passed through; add it to enumTypes.StandardStatus")
+      } finally {
+        warn.mockRestore()
+      }
+    })
+
+    test('groups and sorts unmapped codes', () => {
+      const { dataQuery } = buildQuery({
+        table: 'listings',
+        fieldMap,
+        fieldTypes: enumOptions.fieldTypes,
+        query: { $orderby: 'StandardStatus' }
+      })
+      expect(dataQuery).toMatch(/ORDER BY CASE IDCSTATUS WHEN 'Active' THEN 0 .* ELSE 11 END ASC/)
+    })
+  })
+
+  describe('encoded key fields', () => {
+    const keyOptions = { fieldTypes, keyDecoders: { ListingKey: key => ({ 101: 'P1', 102: 'P2' })[key] } }
+
+    test('decodes literals compared with encoded keys', () => {
+      const { sql, params } = parseFilter("ListingKey eq '101' and '102' ne ListingKey", fieldMap, keyOptions)
+      expect(sql).toBe('IDCPROPERTYID = @filter0 AND @filter1 != IDCPROPERTYID')
+      expect(params).toEqual({ filter0: 'P1', filter1: 'P2' })
+    })
+
+    test('decodes in lists', () => {
+      const { params } = parseFilter("ListingKey in ('101', '102')", fieldMap, keyOptions)
+      expect(params).toEqual({ filter0: 'P1', filter1: 'P2' })
+    })
+
+    test('matches nothing for unknown keys', () => {
+      expect(parseFilter("ListingKey eq '999'", fieldMap, keyOptions).sql).toBe('IDCPROPERTYID IS NULL')
+      expect(parseFilter("ListingKey ne '999'", fieldMap, keyOptions).sql).toBe('IDCPROPERTYID IS NOT NULL')
+    })
+
+    test('leaves other fields and operators alone', () => {
+      const { params } = parseFilter("ListingId eq '101' and ListingKey gt '101'", fieldMap, keyOptions)
+      expect(params).toEqual({ filter0: '101', filter1: '101' })
+    })
+  })
+
+  test('rejects unterminated strings', () => {
+    expect(() => parseFilter("City eq 'LA", fieldMap)).toThrow('Unterminated string literal')
+  })
+})
+
+describe('parseSearch', () => {
+  const searchFields = ['City', 'ListingId']
+
+  test('returns empty for null input', () => {
+    expect(parseSearch(null, fieldMap, searchFields)).toEqual({ sql: '', params: {} })
+  })
+
+  test('matches each term against every search field', () => {
+    const { sql, params } = parseSearch('ocean view', fieldMap, searchFields)
+    expect(sql).toBe(
+      '(CITY LIKE @search0 OR IDCMLSNUMBER LIKE @search0) AND (CITY LIKE @search1 OR IDCMLSNUMBER LIKE @search1)'
+    )
+    expect(params).toEqual({ search0: '%ocean%', search1: '%view%' })
+  })
+
+  test('supports quoted phrases, OR, NOT and grouping', () => {
+    const { sql, params, topLevelOr } = parseSearch('"ocean view" OR (Malibu NOT pool)', fieldMap, ['City'])
+    expect(parseSearch('(ocean OR view) Malibu', fieldMap, ['City']).sql)
+      .toBe('(CITY LIKE @search0 OR CITY LIKE @search1) AND CITY LIKE @search2')
+    expect(sql).toBe(
+      'CITY LIKE @search0 OR CITY LIKE @search1 AND CASE WHEN CITY LIKE @search2 THEN 1 ELSE 0 END = 0'
+    )
+    expect(params).toEqual({ search0: '%ocean view%', search1: '%Malibu%', search2: '%pool%' })
+    expect(topLevelOr).toBe(true)
+  })
+
+  test('treats lower-case operators and wildcards as literal text', () => {
+    const { sql, params } = parseSearch('4 or 100%_off', fieldMap, ['City'])
+    expect(sql).toBe('CITY LIKE @search0 AND CITY LIKE @search1 AND CITY LIKE @search2')
+    expect(params.search2).toBe('%100[%][_]off%')
+  })
+
+  test('unescapes phrases', () => {
+    const { params } = parseSearch('"say \\"hi\\""', fieldMap, ['City'])
+    expect(params.search0).toBe('%say "hi"%')
+  })
+
+  test('rejects malformed search expressions', () => {
+    expect(() => parseSearch('ocean AND', fieldMap, searchFields)).toThrow('Invalid $search: Unexpected end of search')
+    expect(() => parseSearch('"ocean view', fieldMap, searchFields)).toThrow('Invalid $search: Unterminated phrase')
+    expect(() => parseSearch('(ocean', fieldMap, searchFields)).toThrow('Invalid $search: Expected ) in search')
+    expect(() => parseSearch('OR view', fieldMap, searchFields)).toThrow('Invalid $search: Unexpected OR in search')
+    expect(() => parseSearch('ocean)', fieldMap, searchFields)).toThrow('Invalid $search: Unexpected ) in search')
+    expect(() => parseSearch('""', fieldMap, searchFields)).toThrow('Invalid $search: Empty phrase')
+    expect(() => parseSearch('   ', fieldMap, searchFields)).toThrow('Invalid $search: Empty search expression')
+  })
+})
+
 describe('parseSelect', () => {
   test('returns all fields when select is empty', () => {
     const result = parseSelect(null, fieldMap)
@@ -194,6 +866,12 @@ describe('parseSelect', () => {
     expect(result).toBe('IDCPROPERTYID, CITY, IDCLISTPRICE')
   })
 
+  test('selects the columns a derived field depends on', () => {
+    const derivedFields = { Location: { dependsOn: ['ListPrice', 'City'] } }
+    expect(parseSelect('ListingKey,Location,City', fieldMap, derivedFields))
+      .toBe('IDCPROPERTYID, IDCLISTPRICE, CITY')
+  })
+
   test('throws on invalid field', () => {
     expect(() => parseSelect('InvalidField', fieldMap))
       .toThrow('Invalid field in $select: InvalidField')
@@ -205,6 +883,52 @@ describe('parseSelect', () => {
   })
 })
 
+describe('collection-valued properties in $select', () => {
+  const collections = {
+    Media: {
+      column: 'PHOTOS',
+      fieldTypes: { MediaKey: 'Edm.String', MediaURL: 'Edm.String', Order: 'Edm.Int32' }
+    }
+  }
+
+  test('fetches the collection column only when it is selected', () => {
+    expect(parseSelect(null, fieldMap, {}, collections)).toContain(', LASTMODIFIED, PHOTOS')
+    expect(parseSelect('ListingKey', fieldMap, {}, collections)).toBe('IDCPROPERTYID')
+    expect(parseSelect('ListingKey,Media', fieldMap, {}, collections)).toBe('IDCPROPERTYID, PHOTOS')
+    expect(parseSelect('Media/MediaURL,Media($top=1),City', fieldMap, {}, collections)).toBe('PHOTOS, CITY')
+  })
+
+  test('describes how each selected collection is shaped', () => {
+    expect(parseCollectionSelect(null, collections)).toEqual({ Media: { fields: null, top: null, skip: 0 } })
+    expect(parseCollectionSelect('ListingKey', collections)).toEqual({})
+    expect(parseCollectionSelect('Media/MediaURL,Media/Order', collections))
+      .toEqual({ Media: { fields: ['MediaURL', 'Order'], top: null, skip: 0 } })
+    expect(parseCollectionSelect('Media($select=MediaURL;$top=1;$skip=2)', collections))
+      .toEqual({ Media: { fields: ['MediaURL'], top: 1, skip: 2 } })
+    expect(parseCollectionSelect('Media/MediaURL,Media($top=3)', collections))
+      .toEqual({ Media: { fields: null, top: 3, skip: 0 } })
+  })
+
+  test('applies paging and field selection to collection items', () => {
+    const items = [1, 2, 3].map(n => ({ MediaKey: `k${n}`, MediaURL: `u${n}`, Order: n }))
+    expect(applyCollectionSelect(items, { fields: null, top: 1, skip: 0 })).toEqual([items[0]])
+    expect(applyCollectionSelect(items, { fields: ['MediaURL'], top: null, skip: 1 }))
+      .toEqual([{ MediaURL: 'u2' }, { MediaURL: 'u3' }])
+  })
+
+  test('rejects invalid collection selections', () => {
+    expect(() => parseSelect('Media/Width', fieldMap, {}, collections)).toThrow('Invalid field in $select: Media/Width')
+    expect(() => parseSelect('Media($select=Width)', fieldMap, {}, collections)).toThrow('Invalid field in $select: Media/Width')
+    expect(() => parseSelect('Media($filter=Order eq 1)', fieldMap, {}, collections))
+      .toThrow('Invalid $select: unsupported option $filter in Media')
+    expect(() => parseSelect('Media($top=-1)', fieldMap, {}, collections))
+      .toThrow('Invalid $select: $top in Media must be a non-negative integer')
+    expect(() => parseSelect('City/Name', fieldMap, {}, collections)).toThrow('Invalid field in $select: City/Name')
+    expect(() => parseSelect('City($top=1)', fieldMap, {}, collections)).toThrow('Invalid field in $select: City($top=1)')
+    expect(() => parseSelect('Media', fieldMap)).toThrow('Invalid field in $select: Media')
+  })
+})
+
 describe('parseOrderBy', () => {
   test('returns empty for null input', () => {
     expect(parseOrderBy(null, fieldMap)).toBe('')
@@ -230,10 +954,42 @@ describe('parseOrderBy', () => {
     expect(result).toBe('CITY ASC, IDCLISTPRICE DESC')
   })
 
+  test('orders by navigation property paths', () => {
+    const navigations = {
+      ListOffice: { table: 'offices', key: 'OFFICEKEY', foreignKey: 'listings.OFFICEID', fieldMap: { OfficeName: 'OFFICENAME' } }
+    }
+    expect(parseOrderBy('ListOffice/OfficeName desc, ListPrice', fieldMap, { navigations })).toBe(
+      '(SELECT TOP 1 nav.OFFICENAME FROM offices AS nav WHERE nav.OFFICEKEY = listings.OFFICEID) DESC, IDCLISTPRICE ASC'
+    )
+    expect(() => parseOrderBy('ListOffice/OfficeKey', fieldMap, { navigations }))
+      .toThrow('Invalid field in $orderby: ListOffice/OfficeKey')
+    expect(() => parseOrderBy('ListOffice/OfficeName', fieldMap))
+      .toThrow('Invalid field in $orderby: ListOffice/OfficeName')
+  })
+
+  test('orders enum fields by member order', () => {
+    const fieldTypes = { StandardStatus: 'org.reso.metadata.enums.PropertyType' }
+    expect(parseOrderBy('StandardStatus desc', fieldMap, { fieldTypes })).toBe(
+      "CASE IDCSTATUS WHEN 'Business Opportunity' THEN 0 WHEN 'Commercial Lease' THEN 1 " +
+      "WHEN 'Commercial Sale' THEN 2 WHEN 'Commercial' THEN 2 WHEN 'Farm' THEN 3 WHEN 'Ranch' THEN 3 " +
+      "WHEN 'Land' THEN 4 WHEN 'Lots and Land' THEN 4 WHEN 'Lot' THEN 4 " +
+      "WHEN 'Manufactured In Park' THEN 5 WHEN 'Mobile Home' THEN 5 " +
+      "WHEN 'Residential' THEN 6 WHEN 'Single Family' THEN 6 WHEN 'Condominium' THEN 6 WHEN 'Townhouse' THEN 6 " +
+      "WHEN 'Residential Income' THEN 7 WHEN 'Multi-Family' THEN 7 WHEN 'Income' THEN 7 " +
+      "WHEN 'Residential Lease' THEN 8 WHEN 'Rental' THEN 8 WHEN 'Lease' THEN 8 ELSE 9 END DESC"
+    )
+  })
+
   test('throws on invalid field', () => {
     expect(() => parseOrderBy('InvalidField asc', fieldMap))
       .toThrow('Invalid field in $orderby: InvalidField')
   })
+
+  test('throws on an invalid direction or trailing words', () => {
+    expect(() => parseOrderBy('City ascending', fieldMap)).toThrow('Invalid $orderby: unexpected ascending after City')
+    expect(() => parseOrderBy('City desc ListPrice', fieldMap)).toThrow('Invalid $orderby: unexpected ListPrice after City')
+    expect(parseOrderBy('City DESC', fieldMap)).toBe('CITY DESC')
+  })
 })
 
 describe('parseExpand', () => {
@@ -261,6 +1017,45 @@ describe('parseExpand', () => {
   })
 })
 
+describe('parseExpandItems', () => {
+  const allowed = ['ListAgent', 'ListOffice']
+
+  test('parses nested query options', () => {
+    const items = parseExpandItems(
+      "ListAgent($select=MemberFirstName,MemberEmail;$filter=MemberCity in ('A;B','C');$top=1),ListOffice",
+      allowed
+    )
+    expect(items).toEqual([
+      {
+        name: 'ListAgent',
+        options: { $select: 'MemberFirstName,MemberEmail', $filter: "MemberCity in ('A;B','C')", $top: '1' }
+      },
+      { name: 'ListOffice', options: {} }
+    ])
+  })
+
+  test('keeps nested $expand for the related resource', () => {
+    const [item] = parseExpandItems('ListOffice($select=OfficeName;$expand=Members($select=MemberKey))', allowed)
+    expect(item.options).toEqual({ $select: 'OfficeName', $expand: 'Members($select=MemberKey)' })
+  })
+
+  test('rejects unknown expansions and options', () => {
+    expect(() => parseExpandItems('Media($top=1)', allowed)).toThrow('Invalid $expand: Media')
+    expect(() => parseExpandItems('ListAgent($skip=1)', allowed))
+      .toThrow('Invalid $expand: unsupported option $skip in ListAgent')
+    expect(() => parseExpandItems('ListAgent($select=MemberKey', allowed))
+      .toThrow('Invalid $expand: Unbalanced parentheses')
+  })
+
+  test('requires a non-negative integer nested $top', () => {
+    expect(parseExpandItems('ListAgent($top=0)', allowed)[0].options).toEqual({ $top: '0' })
+    expect(() => parseExpandItems('ListAgent($top=-1)', allowed))
+      .toThrow('Invalid $expand: $top in ListAgent must be a non-negative integer')
+    expect(() => parseExpandItems('ListAgent($top=all)', allowed))
+      .toThrow('Invalid $expand: $top in ListAgent must be a non-negative integer')
+  })
+})
+
 describe('buildQuery', () => {
   const table = 'test_table'
 
@@ -372,6 +1167,41 @@ describe('buildQuery', () => {
     expect(params.filter0).toBe('Los Angeles')
   })
 
+  test('keeps a top-level OR filter inside the base filter', () => {
+    const { dataQuery } = buildQuery({
+      table,
+      fieldMap,
+      query: { $filter: "City eq 'LA' or City eq 'NYC'" },
+      keyField: 'ListingKey',
+      baseWhere: { sql: 'MLSBOARD = @mlsBoard', params: { mlsBoard: 'INT' } }
+    })
+
+    expect(dataQuery).toContain('WHERE MLSBOARD = @mlsBoard AND (CITY = @filter0 OR CITY = @filter1)')
+  })
+
+  test('combines $search with $filter, paging and $count', () => {
+    const { dataQuery, countQuery, params, nextLinkBuilder } = buildQuery({
+      table,
+      fieldMap,
+      searchFields: ['City'],
+      query: { $search: 'Malibu OR Venice', $filter: 'BedroomsTotal ge 4', $top: '10', $skip: '20', $count: 'true' },
+      keyField: 'ListingKey',
+      baseUrl: 'http://localhost/odata/Property'
+    })
+
+    const where = 'WHERE BEDS >= @filter0 AND (CITY LIKE @search0 OR CITY LIKE @search1)'
+    expect(dataQuery).toContain(where)
+    expect(dataQuery).toContain('OFFSET 20 ROWS')
+    expect(countQuery).toContain(where)
+    expect(params).toEqual({ filter0: 4, search0: '%Malibu%', search1: '%Venice%' })
+    expect(nextLinkBuilder(Array(10).fill({}))).toContain('%24search=Malibu+OR+Venice')
+  })
+
+  test('rejects $search without search fields', () => {
+    expect(() => buildQuery({ table, fieldMap, query: { $search: 'ocean' }, keyField: 'ListingKey' }))
+      .toThrow('$search is not supported on this resource')
+  })
+
   test('applies $select to column list', () => {
     const { dataQuery } = buildQuery({
       table,
@@ -383,6 +1213,20 @@ describe('buildQuery', () => {
     expect(dataQuery).toContain('SELECT IDCPROPERTYID, CITY')
   })
 
+  test('selects extra fields without adding them to $select', () => {
+    const build = query => buildQuery({ table, fieldMap, extraFields: ['ListPrice'], query, keyField: 'ListingKey', baseUrl: 'http://x/Property' })
+
+    const { dataQuery, hiddenFields, nextLinkBuilder } = build({ $select: 'City', $top: '1' })
+    expect(dataQuery).toContain('SELECT CITY, IDCLISTPRICE')
+    expect(hiddenFields).toEqual(['ListPrice'])
+    expect(new URL(nextLinkBuilder([{ _sort0: 'P1' }])).searchParams.get('$select')).toBe('City')
+    expect(omitFields([{ City: 'Malibu', ListPrice: 1 }], hiddenFields)).toEqual([{ City: 'Malibu' }])
+
+    expect(build({ $select: 'City,ListPrice' }).hiddenFields).toEqual([])
+    expect(build({}).hiddenFields).toEqual([])
+    expect(() => build({ $select: 'City,Bogus' })).toThrow('Invalid field in $select: Bogus at position 5')
+  })
+
   test('applies $orderby', () => {
     const { dataQuery } = buildQuery({
       table,
@@ -430,11 +1274,13 @@ describe('buildQuery', () => {
 
     expect(nextLinkBuilder).not.toBeNull()
 
-    // Test nextLink generation
-    const nextLink = nextLinkBuilder(100) // 100 total records
+    // Test nextLink generation from a full page
+    const rows = Array.from({ length: 10 }, (_, i) => ({ _sort0: `K${i}` }))
+    const nextLink = nextLinkBuilder(rows)
     // URL-encoded: %24 = $
-    expect(nextLink).toContain('%24skip=10')
+    expect(nextLink).toContain('%24skiptoken=')
     expect(nextLink).toContain('%24top=10')
+    expect(nextLink).toContain('%24count=true')
   })
 
   test('nextLinkBuilder returns null when no more results', () => {
@@ -446,10 +1292,489 @@ describe('buildQuery', () => {
       baseUrl: 'http://localhost/odata/Property'
     })
 
-    // Only 5 total records, already showing all
-    const nextLink = nextLinkBuilder(5)
+    // Only 5 rows, the page is not full
+    const nextLink = nextLinkBuilder(Array.from({ length: 5 }, () => ({ _sort0: 'K' })))
     expect(nextLink).toBeNull()
   })
+
+  describe('keyset paging', () => {
+    const baseUrl = 'http://localhost/odata/Property'
+
+    const fieldTypes = { City: 'Edm.String', ModificationTimestamp: 'Edm.DateTimeOffset' }
+
+    function skipToken(query, lastRow) {
+      const { nextLinkBuilder } = buildQuery({ table, fieldMap, fieldTypes, query, keyField: 'ListingKey', baseUrl })
+      const rows = [...Array(Number(query.$top) - 1).fill({}), lastRow]
+      return new URL(nextLinkBuilder(rows)).searchParams.get('$skiptoken')
+    }
+
+    function nextPage(query, lastRow) {
+      const $skiptoken = skipToken(query, lastRow)
+      return buildQuery({ table, fieldMap, fieldTypes, query: { ...query, $skiptoken }, keyField: 'ListingKey', baseUrl })
+    }
+
+    test('selects sort columns with the key as tie-breaker', () => {
+      const { dataQuery } = buildQuery({ table, fieldMap, query: { $orderby: 'City' }, keyField: 'ListingKey', baseUrl })
+      expect(dataQuery).toContain('SELECT IDCPROPERTYID, IDCMLSNUMBER, IDCLISTPRICE, CITY, STATE, IDCSTATUS, BEDS, LASTMODIFIED, CITY AS _sort0, IDCPROPERTYID AS _sort1')
+      expect(dataQuery).toContain('ORDER BY CITY ASC, IDCPROPERTYID ASC')
+    })
+
+    test('does not repeat the key when it is already ordered on', () => {
+      const { dataQuery } = buildQuery({ table, fieldMap, query: { $orderby: 'ListingKey desc' }, keyField: 'ListingKey', baseUrl })
+      expect(dataQuery).toContain('ORDER BY IDCPROPERTYID DESC')
+      expect(dataQuery).not.toContain('_sort1')
+    })
+
+    test('selects date and time sort values as text to keep their precision', () => {
+      const { dataQuery } = buildQuery({
+        table, fieldMap, fieldTypes, query: { $orderby: 'ModificationTimestamp desc' }, keyField: 'ListingKey', baseUrl
+      })
+      expect(dataQuery).toContain('CONVERT(varchar(33), LASTMODIFIED, 126) AS _sort0, IDCPROPERTYID AS _sort1')
+      expect(dataQuery).toContain('ORDER BY LASTMODIFIED DESC, IDCPROPERTYID ASC')
+    })
+
+    test('resumes after the last row instead of using OFFSET', () => {
+      const { dataQuery, countQuery, params } = nextPage(
+        { $top: '2', $skip: '40', $orderby: 'City,ModificationTimestamp desc', $filter: 'BedroomsTotal gt 2', $count: 'true' },
+        { _sort0: 'LA', _sort1: '2024-05-01T00:00:00.1234567', _sort2: 'K9' }
+      )
+      expect(dataQuery).toContain(
+        'WHERE BEDS > @filter0 AND (CITY > @skiptoken0 OR ' +
+        'CITY = @skiptoken0 AND (LASTMODIFIED < @skiptoken1 OR LASTMODIFIED IS NULL) OR ' +
+        'CITY = @skiptoken0 AND LASTMODIFIED = @skiptoken1 AND IDCPROPERTYID > @skiptoken2)'
+      )
+      expect(dataQuery).toContain('OFFSET 0 ROWS')
+      expect(countQuery).not.toContain('skiptoken')
+      expect(params).toEqual({
+        filter0: 2,
+        skiptoken0: 'LA',
+        skiptoken1: '2024-05-01T00:00:00.1234567',
+        skiptoken2: 'K9'
+      })
+    })
+
+    test('handles NULL sort values', () => {
+      const asc = nextPage({ $top: '1', $orderby: 'City' }, { _sort0: null, _sort1: 'K1' })
+      expect(asc.dataQuery).toContain('WHERE (CITY IS NOT NULL OR CITY IS NULL AND IDCPROPERTYID > @skiptoken1)')
+
+      const desc = nextPage({ $top: '1', $orderby: 'City desc' }, { _sort0: null, _sort1: 'K1' })
+      expect(desc.dataQuery).toContain('WHERE (CITY IS NULL AND IDCPROPERTYID > @skiptoken1)')
+    })
+
+    test('does not reveal the sort values or key', () => {
+      const token = skipToken({ $top: '1', $orderby: 'City' }, { _sort0: 'Malibu', _sort1: 'IDC-5862564' })
+      const text = Buffer.from(token, 'base64url').toString('latin1')
+      expect(text).not.toContain('Malibu')
+      expect(text).not.toContain('5862564')
+    })
+
+    test('rejects tampered skiptokens', () => {
+      const build = $skiptoken => buildQuery({ table, fieldMap, query: { $skiptoken }, keyField: 'ListingKey', baseUrl })
+      expect(() => build('not-a-token')).toThrow('Invalid $skiptoken')
+      expect(() => build(Buffer.from(JSON.stringify({ o: '', v: ['a'] })).toString('base64url')))
+        .toThrow('Invalid $skiptoken')
+
+      const token = Buffer.from(skipToken({ $top: '1' }, { _sort0: 'K1' }), 'base64url')
+      token[token.length - 1] ^= 1
+      expect(() => build(token.toString('base64url'))).toThrow('Invalid $skiptoken')
+      expect(() => build(skipToken({ $top: '1' }, { _sort0: 'K1' }))).not.toThrow()
+    })
+  })
+})
+
+describe('parseApply', () => {
+  test('splits transformations', () => {
+    const plan = parseApply("filter(City eq 'A/B' or City eq 'C(D)')/groupby((City, StateOrProvince), aggregate(ListPrice with average as AvgPrice, $count as Total))")
+    expect(plan).toEqual({
+      filters: ["City eq 'A/B' or City eq 'C(D)'"],
+      groupBy: ['City', 'StateOrProvince'],
+      aggregates: [
+        { field: 'ListPrice', method: 'average', alias: 'AvgPrice' },
+        { field: '$count', method: 'count', alias: 'Total' }
+      ]
+    })
+  })
+
+  test('accepts aggregate without groupby', () => {
+    expect(parseApply('aggregate(ListPrice with max as MaxPrice)')).toEqual({
+      filters: [],
+      groupBy: null,
+      aggregates: [{ field: 'ListPrice', method: 'max', alias: 'MaxPrice' }]
+    })
+  })
+
+  test('rejects invalid transformations', () => {
+    expect(() => parseApply('groupby((City))/filter(City eq 1)')).toThrow('Invalid $apply: filter after aggregation is not supported')
+    expect(() => parseApply('compute(ListPrice as X)')).toThrow('Invalid $apply: Unsupported transformation: compute')
+    expect(() => parseApply('aggregate(ListPrice with median as M)')).toThrow('Unsupported aggregation method: median')
+    expect(() => parseApply('aggregate(ListPrice as M)')).toThrow('Missing aggregation method for ListPrice')
+    expect(() => parseApply('aggregate($count with sum as M)')).toThrow('$count does not take an aggregation method')
+    expect(() => parseApply('aggregate(ListPrice with sum as [M])')).toThrow('Invalid alias: [M]')
+    expect(() => parseApply('groupby(City)')).toThrow('Invalid groupby: City')
+    expect(() => parseApply('groupby((City)')).toThrow('Unbalanced parentheses')
+    expect(() => parseApply('groupby((ListOffice/OfficeName))')).toThrow('Invalid groupby property: ListOffice/OfficeName')
+  })
+})
+
+describe('buildQuery with $apply', () => {
+  const fieldTypes = {
+    ListPrice: 'Edm.Decimal',
+    City: 'Edm.String',
+    StandardStatus: 'org.reso.metadata.enums.StandardStatus',
+    BedroomsTotal: 'Edm.Int32'
+  }
+
+  function build(query) {
+    return buildQuery({
+      table: 'listings',
+      fieldMap,
+      fieldTypes,
+      query,
+      keyField: 'ListingKey',
+      baseUrl: 'http://localhost/odata/Property',
+      baseWhere: { sql: 'MLSBOARD = @mlsBoard', params: { mlsBoard: 'INT' } }
+    })
+  }
+
+  const normalize = sql => sql.replace(/\s+/g, ' ').trim()
+
+  test('groups and aggregates inside a subquery', () => {
+    const { dataQuery, params, aggregateProperties } = build({
+      $apply: 'filter(BedroomsTotal ge 3)/groupby((City),aggregate(ListPrice with average as AvgPrice,ListingKey with countdistinct as Listings,$count as Total))'
+    })
+    expect(normalize(dataQuery)).toBe(
+      'SELECT * FROM ( SELECT CITY AS [City], AVG(CAST(IDCLISTPRICE AS float)) AS [AvgPrice], ' +
+      'COUNT(DISTINCT IDCPROPERTYID) AS [Listings], COUNT(*) AS [Total] FROM listings ' +
+      'WHERE MLSBOARD = @mlsBoard AND BEDS >= @apply0_0 GROUP BY CITY ) AS applied ' +
+      'ORDER BY [City], [AvgPrice], [Listings], [Total] OFFSET 0 ROWS FETCH NEXT 100 ROWS ONLY'
+    )
+    expect(params).toEqual({ mlsBoard: 'INT', apply0_0: 3 })
+    expect(aggregateProperties).toEqual(['City', 'AvgPrice', 'Listings', 'Total'])
+  })
+
+  test('applies $filter, $orderby, $count and paging to aggregated rows', () => {
+    const { dataQuery, countQuery, params, nextLinkBuilder } = build({
+      $apply: "filter(City ne 'X')/filter(ListPrice gt 0)/groupby((City),aggregate(ListPrice with sum as Volume))",
+      $filter: 'Volume gt 1000000',
+      $orderby: 'Volume desc',
+      $top: '5',
+      $count: 'true'
+    })
+    expect(normalize(dataQuery)).toContain('WHERE MLSBOARD = @mlsBoard AND CITY != @apply0_0 AND IDCLISTPRICE > @apply1_0 GROUP BY CITY')
+    expect(normalize(dataQuery)).toContain(') AS applied WHERE [Volume] > @filter0 ORDER BY [Volume] DESC, [City] OFFSET 0 ROWS FETCH NEXT 5 ROWS ONLY')
+    expect(normalize(countQuery)).toContain('SELECT COUNT(*) as total FROM ( SELECT CITY AS [City], SUM(IDCLISTPRICE) AS [Volume]')
+    expect(params).toEqual({ mlsBoard: 'INT', apply0_0: 'X', apply1_0: 0, filter0: 1000000 })
+    expect(nextLinkBuilder(Array(5).fill({}))).toContain('%24skip=5')
+    expect(nextLinkBuilder(Array(5).fill({}))).toContain('%24apply=')
+  })
+
+  test('groups enum fields by member', () => {
+    const { dataQuery } = build({ $apply: 'groupby((StandardStatus))' })
+    expect(normalize(dataQuery)).toContain(
+      "SELECT CASE IDCSTATUS WHEN 'Active' THEN 'Active' WHEN 'A' THEN 'Active' WHEN 'Active Under Contract' THEN 'ActiveUnderContract'"
+    )
+    expect(normalize(dataQuery)).toMatch(/GROUP BY CASE IDCSTATUS WHEN .* END \) AS applied/)
+  })
+
+  test('orders by every groupby property so paging is deterministic', () => {
+    const { dataQuery } = build({ $apply: 'groupby((City,StateOrProvince),aggregate($count as Total))', $orderby: 'Total desc', $skip: '10' })
+    expect(normalize(dataQuery)).toContain('ORDER BY [Total] DESC, [City], [StateOrProvince] OFFSET 10 ROWS')
+  })
+
+  test('aggregates without groupby', () => {
+    const { dataQuery } = build({ $apply: 'aggregate(ListPrice with min as Low,ListPrice with max as High)' })
+    expect(normalize(dataQuery)).toBe(
+      'SELECT * FROM ( SELECT MIN(IDCLISTPRICE) AS [Low], MAX(IDCLISTPRICE) AS [High] FROM listings ' +
+      'WHERE MLSBOARD = @mlsBoard ) AS applied ORDER BY [Low], [High] OFFSET 0 ROWS FETCH NEXT 100 ROWS ONLY'
+    )
+  })
+
+  test('validates fields, methods and aliases', () => {
+    expect(() => build({ $apply: 'groupby((Password))' })).toThrow('Invalid $apply: Unknown field: Password')
+    expect(() => build({ $apply: 'aggregate(City with sum as Total)' })).toThrow('Invalid $apply: sum is not supported for City (Edm.String)')
+    expect(() => build({ $apply: 'aggregate(StandardStatus with max as Top)' })).toThrow('max is not supported for StandardStatus')
+    expect(() => build({ $apply: 'groupby((City),aggregate(ListPrice with sum as City))' }))
+      .toThrow('Invalid $apply: Alias City conflicts with an existing property')
+    expect(() => build({ $apply: "filter(City eq 'X')" })).toThrow('Invalid $apply: groupby or aggregate is required')
+    expect(() => build({ $apply: 'groupby((City))', $filter: 'ListPrice gt 1' })).toThrow('Invalid $filter: Unknown field: ListPrice')
+    expect(() => build({ $apply: 'groupby((City))', $select: 'City' })).toThrow('$select cannot be combined with $apply')
+  })
+})
+
+describe('query cost limits', () => {
+  const remarksFieldMap = { ...fieldMap, PublicRemarks: 'IDCREMARKS' }
+  const options = { largeTextFields: ['PublicRemarks'] }
+  const filter = (expression, limits) => parseFilter(expression, remarksFieldMap, { ...options, limits })
+
+  function rejection(fn) {
+    try {
+      fn()
+    } catch (err) {
+      return err
+    }
+    throw new Error('expected a rejection')
+  }
+
+  test('rejects too many predicates with a 400 error naming the limit', () => {
+    const many = Array.from({ length: 4 }, (_, i) => `BedroomsTotal eq ${i}`).join(' or ')
+    expect(() => filter(many, { maxPredicates: 4 })).not.toThrow()
+
+    const err = rejection(() => filter(many, { maxPredicates: 3 }))
+    expect(err.status).toBe(400)
+    expect(err.code).toBe('QueryLimitExceeded')
+    expect(err.message).toBe('$filter exceeds maxPredicates: more than 3 conditions')
+  })
+
+  test('counts a chain of the same operator as one level of depth', () => {
+    const chain = Array.from({ length: 30 }, (_, i) => `BedroomsTotal ne ${i}`).join(' and ')
+    expect(() => filter(chain, { maxDepth: 3 })).not.toThrow()
+
+    const nested = "(City eq 'A' or (City eq 'B' and (City eq 'C' or not (City eq 'D'))))"
+    expect(() => filter(nested, { maxDepth: 6 })).not.toThrow()
+    expect(() => filter(nested, { maxDepth: 5 }))
+      .toThrow('$filter exceeds maxDepth: expression is nested more than 5 levels deep')
+  })
+
+  test('caps in list size from the limits', () => {
+    expect(() => filter("City in ('a', 'b', 'c')", { maxInListSize: 2 }))
+      .toThrow('$filter exceeds maxInListSize: in list has 3 values, maximum is 2')
+  })
+
+  test('requires a selective condition alongside a text scan of large fields', () => {
+    const message = '$filter exceeds allowTextScan: searching within PublicRemarks requires another selective condition combined with and'
+    expect(() => filter("contains(PublicRemarks, 'pool')")).toThrow(message)
+    expect(() => filter("endswith(tolower(PublicRemarks), 'view')")).toThrow(message)
+    expect(() => filter("startswith(PublicRemarks, '%pool')")).toThrow(message)
+    expect(() => filter("contains(PublicRemarks, 'pool') or City eq 'Malibu'")).toThrow(message)
+    expect(() => filter("contains(PublicRemarks, 'pool') and City ne 'Malibu'")).toThrow(message)
+    expect(() => filter("contains(PublicRemarks, 'pool') and City eq null")).toThrow(message)
+    expect(() => filter("contains(PublicRemarks, 'pool') and 1 eq 1")).toThrow(message)
+    expect(() => filter("contains(PublicRemarks, 'pool') and 'Malibu' eq 'Malibu'")).toThrow(message)
+
+    expect(() => filter("contains(PublicRemarks, 'pool') and City eq 'Malibu'")).not.toThrow()
+    expect(() => filter("ListPrice lt 500000 and (contains(PublicRemarks, 'pool') or contains(PublicRemarks, 'spa'))")).not.toThrow()
+    expect(() => filter("startswith(PublicRemarks, 'Stunning')")).not.toThrow()
+    expect(() => filter("contains(City, 'Mal')")).not.toThrow()
+    expect(() => filter("contains(PublicRemarks, 'pool')", { allowTextScan: true })).not.toThrow()
+  })
+
+  test('limits $search terms and nesting', () => {
+    const searchFields = ['City']
+    expect(() => parseSearch('a b c', fieldMap, searchFields, { ...DEFAULT_LIMITS, maxPredicates: 3 })).not.toThrow()
+
+    const err = rejection(() => parseSearch('a b c d', fieldMap, searchFields, { ...DEFAULT_LIMITS, maxPredicates: 3 }))
+    expect(err.status).toBe(400)
+    expect(err.message).toBe('$search exceeds maxPredicates: more than 3 terms')
+
+    expect(() => parseSearch('a OR (b (c OR NOT d))', fieldMap, searchFields, { ...DEFAULT_LIMITS, maxDepth: 3 }))
+      .toThrow('$search exceeds maxDepth: expression is nested more than 3 levels deep')
+  })
+
+  test('searches large text fields only alongside a selective $filter', () => {
+    const build = (query, limits) => buildQuery({
+      table: 'test_table',
+      fieldMap: remarksFieldMap,
+      searchFields: ['City', 'PublicRemarks'],
+      largeTextFields: ['PublicRemarks'],
+      limits,
+      query,
+      keyField: 'ListingKey'
+    })
+    const cityOnly = 'CITY LIKE @search0'
+    const withRemarks = '(CITY LIKE @search0 OR IDCREMARKS LIKE @search0)'
+
+    expect(build({ $search: 'a' }).dataQuery).toContain(`WHERE ${cityOnly}`)
+    expect(build({ $search: 'a', $filter: "contains(City, 'Mal')" }).dataQuery).not.toContain('IDCREMARKS LIKE')
+    expect(build({ $search: 'a', $filter: "City eq 'A' or City eq 'B'" }).dataQuery).not.toContain('IDCREMARKS LIKE')
+    expect(build({ $search: 'a', $filter: '1 eq 1' }).dataQuery).not.toContain('IDCREMARKS LIKE')
+
+    expect(build({ $search: 'a', $filter: "City eq 'Malibu'" }).dataQuery).toContain(withRemarks)
+    expect(build({ $search: 'a' }, { allowTextScan: true }).dataQuery).toContain(withRemarks)
+
+    const err = rejection(() => parseSearch('a', remarksFieldMap, ['PublicRemarks'], DEFAULT_LIMITS, options))
+    expect(err.status).toBe(400)
+    expect(err.message).toBe('$search exceeds allowTextScan: searching within PublicRemarks requires a selective $filter condition')
+    expect(parseSearch('a', remarksFieldMap, ['PublicRemarks'], DEFAULT_LIMITS, { ...options, selective: true }).sql)
+      .toBe('IDCREMARKS LIKE @search0')
+  })
+
+  test('buildQuery applies the limits to $filter, $search and $apply filters', () => {
+    const build = query => buildQuery({
+      table: 'test_table',
+      fieldMap: remarksFieldMap,
+      searchFields: ['City'],
+      largeTextFields: ['PublicRemarks'],
+      limits: { maxPredicates: 1 },
+      query,
+      keyField: 'ListingKey'
+    })
+
+    expect(() => build({ $filter: "City eq 'A' and City eq 'B'" })).toThrow('$filter exceeds maxPredicates')
+    expect(() => build({ $search: 'a b' })).toThrow('$search exceeds maxPredicates')
+    expect(() => build({ $apply: "filter(contains(PublicRemarks, 'pool'))/aggregate($count as Total)" }))
+      .toThrow('$filter exceeds allowTextScan')
+  })
+
+  test('merges per-client overrides over the defaults', () => {
+    const overrides = { dashboard: { maxPredicates: 200, allowTextScan: true } }
+    expect(limitsForClient('dashboard', overrides)).toEqual({ ...DEFAULT_LIMITS, maxPredicates: 200, allowTextScan: true })
+    expect(limitsForClient('other', overrides)).toEqual(DEFAULT_LIMITS)
+    expect(limitsForClient(undefined, overrides)).toEqual(DEFAULT_LIMITS)
+  })
+
+  test('rejects overrides naming unknown limits', () => {
+    const overrides = { dashboard: { maxPredicates: 200 } }
+    expect(validateClientLimits(overrides)).toBe(overrides)
+    expect(() => validateClientLimits({ ...overrides, broken: { maxRows: 5 } }))
+      .toThrow('Unknown query limit for client broken: maxRows')
+  })
+
+  test('validates ODATA_CLIENT_LIMITS when loaded', () => {
+    const saved = process.env.ODATA_CLIENT_LIMITS
+    process.env.ODATA_CLIENT_LIMITS = JSON.stringify({ broken: { maxRows: 5 } })
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../odata/limits')).toThrow('Unknown query limit for client broken: maxRows')
+      })
+    } finally {
+      if (saved === undefined) delete process.env.ODATA_CLIENT_LIMITS
+      else process.env.ODATA_CLIENT_LIMITS = saved
+    }
+  })
+})
+
+describe('$compute', () => {
+  const computeFieldMap = { ...fieldMap, LivingArea: 'SQFT' }
+  const computeTypes = {
+    ListingKey: 'Edm.String',
+    ListPrice: 'Edm.Decimal',
+    LivingArea: 'Edm.Decimal',
+    City: 'Edm.String',
+    BedroomsTotal: 'Edm.Int32',
+    ModificationTimestamp: 'Edm.DateTimeOffset',
+    StandardStatus: 'org.reso.metadata.enums.StandardStatus'
+  }
+  const compute = expression => parseCompute(expression, computeFieldMap, { fieldTypes: computeTypes })
+
+  test('infers result types from the operands', () => {
+    const { fields, params } = compute(
+      "ListPrice div LivingArea as PricePerSqFt, BedroomsTotal add 1 as Rooms, concat(City, ' CA') as Place, " +
+      'year(ModificationTimestamp) as Year, ListPrice gt 1000000 as Luxury'
+    )
+    expect(fields.PricePerSqFt).toEqual({ sql: '(IDCLISTPRICE / NULLIF(SQFT, 0))', type: 'Edm.Decimal', computed: true })
+    expect(fields.Rooms.type).toBe('Edm.Int32')
+    expect(fields.Place).toMatchObject({ sql: '(CONCAT(CITY, @compute2_0))', type: 'Edm.String' })
+    expect(fields.Year.type).toBe('Edm.Int32')
+    expect(fields.Luxury).toMatchObject({ sql: 'CAST(CASE WHEN IDCLISTPRICE > @compute4_0 THEN 1 ELSE 0 END AS bit)', type: 'Edm.Boolean' })
+    expect(params).toEqual({ compute1_0: 1, compute2_0: ' CA', compute4_0: 1000000 })
+  })
+
+  test('lets later expressions use earlier aliases', () => {
+    const { fields } = compute('ListPrice div LivingArea as PricePerSqFt, PricePerSqFt mul 10 as PricePer10')
+    expect(fields.PricePer10).toMatchObject({ sql: '((IDCLISTPRICE / NULLIF(SQFT, 0)) * @compute1_0)', type: 'Edm.Decimal' })
+  })
+
+  test('rejects invalid expressions and aliases', () => {
+    expect(() => compute('ListPrice div LivingArea')).toThrow('Invalid $compute: Expected <expression> as <alias>')
+    expect(() => compute('ListPrice mul 2 as City')).toThrow('Invalid $compute: Alias City conflicts with an existing property')
+    expect(() => compute('ListPrice as A, BedroomsTotal as A')).toThrow('Alias A conflicts with an existing property')
+    expect(() => compute('Password as P')).toThrow('Invalid $compute: Unknown field: Password')
+    expect(() => compute("City add 1 as X")).toThrow('Invalid $compute')
+    expect(() => compute('StandardStatus as Status')).toThrow('Invalid $compute: Status has unsupported type')
+    expect(() => compute('null as Nothing')).toThrow('Invalid $compute: Nothing has unsupported type null')
+  })
+
+  test('applies the query cost limits', () => {
+    expect(() => parseCompute('ListPrice gt 1 and ListPrice lt 5 as InRange', computeFieldMap, {
+      fieldTypes: computeTypes, limits: { maxPredicates: 1 }
+    })).toThrow('$compute exceeds maxPredicates')
+  })
+
+  test('buildQuery uses computed properties in $select, $filter and $orderby', () => {
+    const { dataQuery, params, computedProperties } = buildQuery({
+      table: 'test_table',
+      fieldMap: computeFieldMap,
+      fieldTypes: computeTypes,
+      query: {
+        $compute: 'ListPrice div LivingArea as PricePerSqFt',
+        $select: 'ListingKey,PricePerSqFt',
+        $filter: 'PricePerSqFt lt 500',
+        $orderby: 'PricePerSqFt desc'
+      },
+      keyField: 'ListingKey'
+    })
+
+    expect(dataQuery).toContain('SELECT IDCPROPERTYID, (IDCLISTPRICE / NULLIF(SQFT, 0)) AS _compute_PricePerSqFt')
+    expect(dataQuery).toContain('WHERE (IDCLISTPRICE / NULLIF(SQFT, 0)) < @filter0')
+    expect(dataQuery).toContain('ORDER BY (IDCLISTPRICE / NULLIF(SQFT, 0)) DESC, IDCPROPERTYID ASC')
+    expect(params).toEqual({ filter0: 500 })
+    expect(computedProperties).toEqual(['PricePerSqFt'])
+  })
+
+  test('buildQuery returns every computed property without $select', () => {
+    const { dataQuery, computedProperties } = buildQuery({
+      table: 'test_table',
+      fieldMap: computeFieldMap,
+      fieldTypes: computeTypes,
+      query: { $compute: 'BedroomsTotal add 1 as Rooms' },
+      keyField: 'ListingKey'
+    })
+    expect(dataQuery).toContain(', SQFT, (BEDS + @compute0_0) AS _compute_Rooms')
+    expect(computedProperties).toEqual(['Rooms'])
+  })
+
+  test('filters on computed properties are type checked', () => {
+    expect(() => buildQuery({
+      table: 'test_table',
+      fieldMap: computeFieldMap,
+      fieldTypes: computeTypes,
+      query: { $compute: 'ListPrice div LivingArea as PricePerSqFt', $filter: "PricePerSqFt eq 'cheap'" },
+      keyField: 'ListingKey'
+    })).toThrow('Invalid $filter: Cannot compare Edm.Decimal with Edm.String using eq')
+  })
+
+  test('transformRow copies the selected computed properties', () => {
+    expect(transformRow({ IDCPROPERTYID: 'P1', _compute_PricePerSqFt: 412.5 }, { IDCPROPERTYID: 'ListingKey' }, ['PricePerSqFt']))
+      .toEqual({ ListingKey: 'P1', PricePerSqFt: 412.5 })
+  })
+})
+
+describe('buildCountQuery', () => {
+  const table = 'test_table'
+  const searchFields = ['City']
+
+  test('counts the filtered collection and ignores paging, order and selection', () => {
+    const { countQuery, params } = buildCountQuery({
+      table,
+      fieldMap,
+      searchFields,
+      query: { $filter: 'ListPrice gt 100', $search: 'Malibu', $top: '5', $skip: '10', $orderby: 'City', $select: 'City' },
+      keyField: 'ListingKey',
+      baseWhere: { sql: 'MLSBOARD = @mlsBoard', params: { mlsBoard: 'INT' } }
+    })
+
+    expect(countQuery).toContain('SELECT COUNT(*) as total')
+    expect(countQuery).toContain('WHERE MLSBOARD = @mlsBoard AND IDCLISTPRICE > @filter0 AND CITY LIKE @search0')
+    expect(countQuery).not.toContain('ORDER BY')
+    expect(params).toEqual({ mlsBoard: 'INT', filter0: 100, search0: '%Malibu%' })
+  })
+
+  test('counts aggregated rows for $apply', () => {
+    const { countQuery } = buildCountQuery({
+      table,
+      fieldMap,
+      query: { $apply: 'groupby((City))' },
+      keyField: 'ListingKey'
+    })
+
+    expect(countQuery).toContain('SELECT COUNT(*) as total')
+    expect(countQuery).toContain('GROUP BY CITY')
+  })
+
+  test('still validates $filter', () => {
+    expect(() => buildCountQuery({ table, fieldMap, query: { $filter: 'Password eq 1' }, keyField: 'ListingKey' }))
+      .toThrow('Unknown field: Password')
+  })
 })
 
 describe('transformRow', () => {
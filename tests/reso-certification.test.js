@@ -313,7 +313,7 @@ describe('RESO Web API Certification Tests', () => {
         .get('/odata/Property?$select=InvalidField')
         .set('Authorization', `Bearer ${token}`)
 
-      expect(res.status).toBe(500)
+      expect(res.status).toBe(400)
       expect(res.body.error.message).toContain('Invalid field')
     })
   })
@@ -424,7 +424,7 @@ describe('RESO Web API Certification Tests', () => {
         .get("/odata/Property?$filter=InvalidField eq 'test'")
         .set('Authorization', `Bearer ${token}`)
 
-      expect(res.status).toBe(500)
+      expect(res.status).toBe(400)
       expect(res.body.error.message).toContain('Unknown field')
     })
   })
@@ -533,9 +533,12 @@ describe('RESO Web API Certification Tests', () => {
   })
 
   describe('REQ-WA-11: @odata.nextLink Pagination', () => {
+    // Server-driven paging emits a nextLink whenever a page is full
+    const fullPage = () => Array.from({ length: 100 }, (_, i) => ({ IDCPROPERTYID: `P${i}`, _sort0: `P${i}` }))
+
     test('SHALL include @odata.nextLink when more results available', async () => {
       db.query
-        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1' }] })
+        .mockResolvedValueOnce({ recordset: fullPage() })
         .mockResolvedValueOnce({ recordset: [{ total: 500 }] })
 
       const res = await request(app)
@@ -546,16 +549,16 @@ describe('RESO Web API Certification Tests', () => {
       expect(res.body['@odata.nextLink']).toBeDefined()
     })
 
-    test('nextLink SHALL contain $skip for next page', async () => {
+    test('nextLink SHALL contain $skiptoken for next page', async () => {
       db.query
-        .mockResolvedValueOnce({ recordset: [{ IDCPROPERTYID: 'P1' }] })
+        .mockResolvedValueOnce({ recordset: fullPage() })
         .mockResolvedValueOnce({ recordset: [{ total: 500 }] })
 
       const res = await request(app)
         .get('/odata/Property?$top=100&$skip=0&$count=true')
         .set('Authorization', `Bearer ${token}`)
 
-      expect(res.body['@odata.nextLink']).toContain('skip=100')
+      expect(res.body['@odata.nextLink']).toContain('skiptoken=')
     })
 
     test('SHALL NOT include @odata.nextLink on final page', async () => {
@@ -595,7 +598,7 @@ describe('RESO Web API Certification Tests', () => {
         .get('/odata/Property?$expand=InvalidExpansion')
         .set('Authorization', `Bearer ${token}`)
 
-      expect(res.status).toBe(500)
+      expect(res.status).toBe(400)
       expect(res.body.error.message).toContain('Invalid $expand')
     })
   })
@@ -630,7 +633,7 @@ describe('RESO Web API Certification Tests', () => {
         .get("/odata/Property?$filter=invalid syntax here")
         .set('Authorization', `Bearer ${token}`)
 
-      expect(res.status).toBe(500)
+      expect(res.status).toBe(400)
       expect(res.body.error).toBeDefined()
     })
   })
@@ -800,7 +803,7 @@ describe('RESO Web API Certification Tests', () => {
         .get("/odata/Property?$select='; DROP TABLE Property; --")
         .set('Authorization', `Bearer ${token}`)
 
-      expect(res.status).toBe(500)
+      expect(res.status).toBe(400)
       expect(res.body.error.message).toContain('Invalid field')
     })
   })